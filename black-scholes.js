@@ -0,0 +1,1412 @@
+// Black-Scholes options pricing engine
+// No DOM dependencies: loaded as a classic script by index.html and require()d by cli.js and
+// other Node scripts.
+class BlackScholesCalculator {
+    constructor() {
+        this.TRADING_DAYS_PER_YEAR = 252;
+        this.SECONDS_PER_YEAR = 365.25 * 24 * 3600;
+        this.DEFAULT_TREE_STEPS = 201;
+        this.DEFAULT_TREE_METHOD = 'leisen-reimer';
+        this.DEFAULT_VOLATILITY = 0.3;
+        this.CALENDAR_DAYS_PER_YEAR = 365.25;
+        this.CONTRACT_MULTIPLIER = 100;
+        // Pricing models. All three are Black-Scholes-Merton with a different yield on the
+        // underlying: the dividend yield for stock, the domestic rate for a futures price (Black-76:
+        // no cost of carry, only the premium is discounted) and the foreign rate for a currency
+        // (Garman-Kohlhagen). marketData.model selects one; see modelMarketData.
+        this.PRICING_MODELS = {
+            'black-scholes': 'Black-Scholes-Merton',
+            'black-76': 'Black-76',
+            'garman-kohlhagen': 'Garman-Kohlhagen'
+        };
+        this.DEFAULT_PRICING_MODEL = 'black-scholes';
+        // Optional MarketCalendar (market-calendar.js). When set, expiries stop at the exchange's
+        // cut-off and times are measured on its clock; otherwise expiration dates are instants
+        // and time runs on the wall clock.
+        this.expiryCalendar = null;
+        // Trading signal rules: null switches a rule off. maxSpread is a fraction of the mid,
+        // deltas are absolute, commission is per contract and slippage per share, each side.
+        this.DEFAULT_SIGNAL_RULES = {
+            minDaysToExpiry: 7,
+            maxSpread: null,
+            minOpenInterest: null,
+            minDelta: null,
+            maxDelta: null,
+            commission: 0,
+            slippage: 0,
+            confidenceVolPoints: 5
+        };
+    }
+
+    // Standard normal cumulative distribution function, to about 1e-15 relative error. Uses
+    // Cody's rational Chebyshev approximations to erfc (Math. Comp. 23, 1969) and works out the
+    // smaller tail directly, so far out-of-the-money probabilities keep their relative accuracy
+    // instead of vanishing into 1 - N(x).
+    normCDF(x) {
+        const tail = 0.5 * this.erfc(Math.abs(x) / Math.SQRT2);
+        return x > 0 ? 1 - tail : tail;
+    }
+
+    // Complementary error function for y >= 0 (Cody's CALERF)
+    erfc(y) {
+        if (y <= 0.46875) {
+            const a = [3.16112374387056560e00, 1.13864154151050156e02, 3.77485237685302021e02, 3.20937758913846947e03, 1.85777706184603153e-1];
+            const b = [2.36012909523441209e01, 2.44024637934444173e02, 1.28261652607737228e03, 2.84423683343917062e03];
+            const ysq = y * y;
+            let numerator = a[4] * ysq;
+            let denominator = ysq;
+            for (let i = 0; i < 3; i++) {
+                numerator = (numerator + a[i]) * ysq;
+                denominator = (denominator + b[i]) * ysq;
+            }
+            return 1 - y * (numerator + a[3]) / (denominator + b[3]);
+        }
+        if (y > 26.543) {
+            return 0;
+        }
+
+        let result;
+        if (y <= 4) {
+            const c = [5.64188496988670089e-1, 8.88314979438837594e00, 6.61191906371416295e01, 2.98635138197400131e02,
+                8.81952221241769090e02, 1.71204761263407058e03, 2.05107837782607147e03, 1.23033935479799725e03, 2.15311535474403846e-8];
+            const d = [1.57449261107098347e01, 1.17693950891312499e02, 5.37181101862009858e02, 1.62138957456669019e03,
+                3.29079923573345963e03, 4.36261909014324716e03, 3.43936767414372164e03, 1.23033935480374942e03];
+            let numerator = c[8] * y;
+            let denominator = y;
+            for (let i = 0; i < 7; i++) {
+                numerator = (numerator + c[i]) * y;
+                denominator = (denominator + d[i]) * y;
+            }
+            result = (numerator + c[7]) / (denominator + d[7]);
+        } else {
+            const p = [3.05326634961232344e-1, 3.60344899949804439e-1, 1.25781726111229246e-1, 1.60837851487422766e-2,
+                6.58749161529837803e-4, 1.63153871373020978e-2];
+            const q = [2.56852019228982242e00, 1.87295284992346725e00, 5.27905102951428412e-1, 6.05183413124413191e-2,
+                2.33520497626869185e-3];
+            const ysq = 1 / (y * y);
+            let numerator = p[5] * ysq;
+            let denominator = ysq;
+            for (let i = 0; i < 4; i++) {
+                numerator = (numerator + p[i]) * ysq;
+                denominator = (denominator + q[i]) * ysq;
+            }
+            result = (1 / Math.sqrt(Math.PI) - ysq * (numerator + p[4]) / (denominator + q[4])) / y;
+        }
+
+        // exp(-y^2) in two parts to keep its relative accuracy for large y
+        const rounded = Math.trunc(y * 16) / 16;
+        return Math.exp(-rounded * rounded) * Math.exp(-(y - rounded) * (y + rounded)) * result;
+    }
+
+    // Standard normal probability density function
+    normPDF(x) {
+        return (1.0 / Math.sqrt(2.0 * Math.PI)) * Math.exp(-0.5 * x * x);
+    }
+
+    // Market data as the selected model sees it: dividendYield becomes the underlying's yield
+    // (the risk-free rate on a futures price, marketData.foreignRate on a currency), so every
+    // formula taking a yield prices the chosen model. Cash dividends only apply to stock.
+    // Applying it twice changes nothing.
+    modelMarketData(marketData) {
+        const model = marketData.model || this.DEFAULT_PRICING_MODEL;
+        if (!this.PRICING_MODELS[model]) {
+            throw new Error(`Unknown pricing model "${model}" - expected one of ${Object.keys(this.PRICING_MODELS).join(', ')}`);
+        }
+        if (model === 'black-76') {
+            return { ...marketData, model, dividendYield: marketData.riskFreeRate, dividends: [] };
+        }
+        if (model === 'garman-kohlhagen') {
+            if (!Number.isFinite(marketData.foreignRate)) {
+                throw new Error('Garman-Kohlhagen needs the foreign interest rate');
+            }
+            return { ...marketData, model, dividendYield: marketData.foreignRate, dividends: [] };
+        }
+        return { ...marketData, model };
+    }
+
+    // Decimal places for the model's prices: currency option premiums and rates need more than cents
+    priceDigits(model = this.DEFAULT_PRICING_MODEL) {
+        return model === 'garman-kohlhagen' ? 4 : 2;
+    }
+
+    // Cash dividend schedule, one "ex-date, amount" per line
+    parseDividendSchedule(text) {
+        const dividends = [];
+        (text || '').split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+            const fields = line.trim().split(/[\s,;]+/);
+            const exDate = new Date(fields[0]);
+            const amount = parseFloat(fields[1]);
+            if (fields.length !== 2 || isNaN(exDate.getTime())) {
+                throw new Error(`Cash dividend line ${index + 1}: expected "YYYY-MM-DD, amount"`);
+            }
+            if (!(amount > 0)) {
+                throw new Error(`Cash dividend line ${index + 1}: amount must be a positive number`);
+            }
+            dividends.push({ exDate, amount });
+        });
+        return dividends.sort((a, b) => a.exDate - b.exDate);
+    }
+
+    // The instant an expiration date stops trading
+    expiryTime(expirationDate) {
+        return this.expiryCalendar ? this.expiryCalendar.expiryInstant(expirationDate) : expirationDate;
+    }
+
+    // Years between two instants on the calendar's clock, or the wall clock without one
+    yearFraction(fromDate, toDate) {
+        if (this.expiryCalendar) {
+            return this.expiryCalendar.yearFraction(fromDate, toDate);
+        }
+        return (toDate.getTime() - fromDate.getTime()) / (this.SECONDS_PER_YEAR * 1000);
+    }
+
+    // Calculate time to expiration in years
+    timeToExpiration(expirationDate, currentDate = new Date()) {
+        return Math.max(this.yearFraction(currentDate, this.expiryTime(expirationDate)), 0.0);
+    }
+
+    // Cash dividends [{ exDate, amount }] as [{ time, amount, exDate }] in years from currentDate,
+    // keeping only ex-dates still ahead. With a calendar the stock goes ex at the session open;
+    // an ex-date reached before the calendar's clock moves (e.g. overnight on the trading clock)
+    // is kept one second ahead so it is still treated as pending.
+    dividendSchedule(dividends, currentDate = new Date()) {
+        const exTime = dividend => (this.expiryCalendar ? this.expiryCalendar.openInstant(dividend.exDate) : dividend.exDate);
+        return (dividends || [])
+            .filter(dividend => exTime(dividend) > currentDate)
+            .map(dividend => ({
+                time: Math.max(this.yearFraction(currentDate, exTime(dividend)), 1 / this.SECONDS_PER_YEAR),
+                amount: dividend.amount,
+                exDate: dividend.exDate
+            }))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    // Present value of the cash dividends going ex on or before expiry
+    dividendPresentValue(cashDividends, timeToExpiry, riskFreeRate) {
+        return cashDividends
+            .filter(dividend => dividend.time > 0 && dividend.time <= timeToExpiry)
+            .reduce((sum, dividend) => sum + dividend.amount * Math.exp(-riskFreeRate * dividend.time), 0);
+    }
+
+    // Escrowed-dividend model: the known dividends are riskless, so only the spot net of their
+    // present value diffuses and is fed to the lognormal formulas
+    escrowedSpot(spotPrice, timeToExpiry, riskFreeRate, cashDividends = []) {
+        const escrowed = spotPrice - this.dividendPresentValue(cashDividends, timeToExpiry, riskFreeRate);
+        if (!(escrowed > 0)) {
+            throw new Error('Cash dividends before expiry exceed the underlying price');
+        }
+        return escrowed;
+    }
+
+    // d1 and d2 of the Black-Scholes-Merton formula; N(d2) is the risk-neutral probability of
+    // finishing above the strike
+    calculateD1D2(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield = 0.0) {
+        const sigmaRootT = volatility * Math.sqrt(timeToExpiry);
+        const d1 = (Math.log(spotPrice / strikePrice) + (riskFreeRate - dividendYield + 0.5 * volatility * volatility) * timeToExpiry) / sigmaRootT;
+        return { d1, d2: d1 - sigmaRootT };
+    }
+
+    // Black-Scholes option pricing formula
+    blackScholesPrice(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividendYield = 0.0) {
+        if (timeToExpiry <= 0) {
+            if (optionType === 'call') {
+                return Math.max(spotPrice - strikePrice, 0);
+            } else {
+                return Math.max(strikePrice - spotPrice, 0);
+            }
+        }
+
+        const adjustedSpot = spotPrice * Math.exp(-dividendYield * timeToExpiry);
+        const { d1, d2 } = this.calculateD1D2(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield);
+
+        if (optionType === 'call') {
+            return adjustedSpot * this.normCDF(d1) - 
+                   strikePrice * Math.exp(-riskFreeRate * timeToExpiry) * this.normCDF(d2);
+        } else {
+            return strikePrice * Math.exp(-riskFreeRate * timeToExpiry) * this.normCDF(-d2) - 
+                   adjustedSpot * this.normCDF(-d1);
+        }
+    }
+
+    // Calculate option delta
+    calculateDelta(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividendYield = 0.0) {
+        if (timeToExpiry <= 0) {
+            if (optionType === 'call') {
+                return spotPrice > strikePrice ? 1.0 : 0.0;
+            } else {
+                return spotPrice < strikePrice ? -1.0 : 0.0;
+            }
+        }
+
+        const { d1 } = this.calculateD1D2(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield);
+
+        if (optionType === 'call') {
+            return Math.exp(-dividendYield * timeToExpiry) * this.normCDF(d1);
+        } else {
+            return -Math.exp(-dividendYield * timeToExpiry) * this.normCDF(-d1);
+        }
+    }
+
+    // Calculate option gamma
+    calculateGamma(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield = 0.0) {
+        if (timeToExpiry <= 0) {
+            return 0.0;
+        }
+
+        const { d1 } = this.calculateD1D2(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield);
+
+        return (Math.exp(-dividendYield * timeToExpiry) * this.normPDF(d1)) / 
+               (spotPrice * volatility * Math.sqrt(timeToExpiry));
+    }
+
+    // Days per year for the theta convention: 'calendar' decays every calendar day, 'trading'
+    // spreads a year's decay over trading days only
+    thetaDaysPerYear(convention = 'calendar') {
+        return convention === 'trading' ? this.TRADING_DAYS_PER_YEAR : this.CALENDAR_DAYS_PER_YEAR;
+    }
+
+    // Calculate option theta (time decay)
+    calculateTheta(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividendYield = 0.0, daysPerYear = 365.25) {
+        if (timeToExpiry <= 0) {
+            return 0.0;
+        }
+
+        const adjustedSpot = spotPrice * Math.exp(-dividendYield * timeToExpiry);
+        const { d1, d2 } = this.calculateD1D2(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield);
+
+        let theta;
+        if (optionType === 'call') {
+            theta = ((-adjustedSpot * this.normPDF(d1) * volatility) / (2 * Math.sqrt(timeToExpiry)) +
+                    dividendYield * adjustedSpot * this.normCDF(d1) -
+                    riskFreeRate * strikePrice * Math.exp(-riskFreeRate * timeToExpiry) * this.normCDF(d2));
+        } else {
+            theta = ((-adjustedSpot * this.normPDF(d1) * volatility) / (2 * Math.sqrt(timeToExpiry)) -
+                    dividendYield * adjustedSpot * this.normCDF(-d1) +
+                    riskFreeRate * strikePrice * Math.exp(-riskFreeRate * timeToExpiry) * this.normCDF(-d2));
+        }
+
+        return theta / daysPerYear; // Convert to daily theta
+    }
+
+    // Calculate option vega
+    calculateVega(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield = 0.0) {
+        if (timeToExpiry <= 0) {
+            return 0.0;
+        }
+
+        const adjustedSpot = spotPrice * Math.exp(-dividendYield * timeToExpiry);
+        const { d1 } = this.calculateD1D2(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield);
+
+        return adjustedSpot * this.normPDF(d1) * Math.sqrt(timeToExpiry) / 100; // Convert to 1% vol change
+    }
+
+    // Calculate option rho
+    calculateRho(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividendYield = 0.0) {
+        if (timeToExpiry <= 0) {
+            return 0.0;
+        }
+
+        const { d2 } = this.calculateD1D2(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield);
+
+        let rho;
+        if (optionType === 'call') {
+            rho = strikePrice * timeToExpiry * Math.exp(-riskFreeRate * timeToExpiry) * this.normCDF(d2);
+        } else {
+            rho = -strikePrice * timeToExpiry * Math.exp(-riskFreeRate * timeToExpiry) * this.normCDF(-d2);
+        }
+
+        return rho / 100; // Convert to 1% rate change
+    }
+
+    // Second- and third-order Greeks in display units: vanna and zomma per 1 vol point, volga as
+    // vega change per vol point, speed per $1. Charm, color and veta are the change over one day
+    // passing (same sign convention as theta) under the chosen day count.
+    higherOrderGreeks(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividendYield = 0.0, daysPerYear = 365.25) {
+        if (timeToExpiry <= 0) {
+            return { vanna: 0, volga: 0, charm: 0, speed: 0, color: 0, zomma: 0, veta: 0 };
+        }
+
+        const sqrtT = Math.sqrt(timeToExpiry);
+        const carry = Math.exp(-dividendYield * timeToExpiry);
+        const adjustedSpot = spotPrice * carry;
+        const { d1, d2 } = this.calculateD1D2(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield);
+        const pdf = this.normPDF(d1);
+
+        const gamma = carry * pdf / (spotPrice * volatility * sqrtT);
+        const vega = adjustedSpot * pdf * sqrtT;
+        const driftTerm = (2 * (riskFreeRate - dividendYield) * timeToExpiry - d2 * volatility * sqrtT) / (2 * timeToExpiry * volatility * sqrtT);
+
+        const vanna = -carry * pdf * d2 / volatility;
+        const volga = vega * d1 * d2 / volatility;
+        const charm = optionType === 'call'
+            ? dividendYield * carry * this.normCDF(d1) - carry * pdf * driftTerm
+            : -dividendYield * carry * this.normCDF(-d1) - carry * pdf * driftTerm;
+        const speed = -gamma / spotPrice * (d1 / (volatility * sqrtT) + 1);
+        const color = carry * pdf / (2 * spotPrice * timeToExpiry * volatility * sqrtT) *
+                      (2 * dividendYield * timeToExpiry + 1 + 2 * timeToExpiry * driftTerm * d1);
+        const zomma = gamma * (d1 * d2 - 1) / volatility;
+        const veta = vega * (dividendYield + (riskFreeRate - dividendYield) * d1 / (volatility * sqrtT) - (1 + d1 * d2) / (2 * timeToExpiry));
+
+        return {
+            vanna: vanna / 100,
+            volga: volga / 10000,
+            charm: charm / daysPerYear,
+            speed,
+            color: color / daysPerYear,
+            zomma: zomma / 100,
+            veta: veta / 100 / daysPerYear
+        };
+    }
+
+    // Exposure of the whole position: per-option Greeks x contracts x multiplier, plus dollar
+    // delta (delta x spot) and dollar gamma (change in dollar delta for a 1% move)
+    positionGreeks(result, spotPrice, contracts = 1) {
+        const units = contracts * this.CONTRACT_MULTIPLIER;
+        const position = { contracts };
+        ['delta', 'gamma', 'theta', 'vega', 'rho', 'foreignRho', 'vanna', 'volga', 'charm', 'speed', 'color', 'zomma', 'veta'].forEach(greek => {
+            position[greek] = result[greek] === null ? null : result[greek] * units;
+        });
+        position.dollarDelta = result.delta * spotPrice * units;
+        position.dollarGamma = result.gamma * spotPrice * spotPrice / 100 * units;
+        return position;
+    }
+
+    // Implied volatility as a plain number (null when the solver fails). Kept for callers that
+    // only need the value; see solveImpliedVolatility for diagnostics.
+    calculateImpliedVolatility(optionPrice, spotPrice, strikePrice, timeToExpiry, riskFreeRate, optionType, dividendYield = 0.0, maxIterations = 100, tolerance = 1e-6) {
+        const solution = this.solveImpliedVolatility(optionPrice, spotPrice, strikePrice, timeToExpiry, riskFreeRate, optionType, dividendYield, {
+            maxIterations,
+            tolerance
+        });
+        return solution.status === 'solved' ? solution.volatility : null;
+    }
+
+    // No-arbitrage price bounds. American options are additionally floored at intrinsic value
+    // and capped at spot (call) or strike (put).
+    priceBounds(spotPrice, strikePrice, timeToExpiry, riskFreeRate, optionType, dividendYield = 0.0, exerciseStyle = 'european', cashDividends = []) {
+        const forwardSpot = this.escrowedSpot(spotPrice, timeToExpiry, riskFreeRate, cashDividends) * Math.exp(-dividendYield * timeToExpiry);
+        const discountedStrike = strikePrice * Math.exp(-riskFreeRate * timeToExpiry);
+
+        let lower, upper;
+        if (optionType === 'call') {
+            lower = Math.max(forwardSpot - discountedStrike, 0);
+            upper = forwardSpot;
+        } else {
+            lower = Math.max(discountedStrike - forwardSpot, 0);
+            upper = discountedStrike;
+        }
+
+        if (exerciseStyle === 'american') {
+            const intrinsic = optionType === 'call' ? Math.max(spotPrice - strikePrice, 0) : Math.max(strikePrice - spotPrice, 0);
+            lower = Math.max(lower, intrinsic);
+            upper = optionType === 'call' ? spotPrice : strikePrice;
+        }
+
+        return { lower, upper };
+    }
+
+    // Corrado-Miller starting point, falling back to Brenner-Subrahmanyam when the
+    // quadratic term goes negative (deep in/out of the money)
+    initialVolatilityGuess(optionPrice, spotPrice, strikePrice, timeToExpiry, riskFreeRate, optionType, dividendYield = 0.0) {
+        const forwardSpot = spotPrice * Math.exp(-dividendYield * timeToExpiry);
+        const discountedStrike = strikePrice * Math.exp(-riskFreeRate * timeToExpiry);
+        const callPrice = optionType === 'call' ? optionPrice : optionPrice + forwardSpot - discountedStrike;
+
+        const halfMoneyness = (forwardSpot - discountedStrike) / 2;
+        const radicand = Math.pow(callPrice - halfMoneyness, 2) - Math.pow(forwardSpot - discountedStrike, 2) / Math.PI;
+        if (radicand >= 0) {
+            const guess = Math.sqrt(2 * Math.PI / timeToExpiry) / (forwardSpot + discountedStrike) *
+                          (callPrice - halfMoneyness + Math.sqrt(radicand));
+            if (guess > 0 && isFinite(guess)) {
+                return { volatility: guess, method: 'corrado-miller' };
+            }
+        }
+
+        return {
+            volatility: Math.sqrt(2 * Math.PI / timeToExpiry) * callPrice / forwardSpot,
+            method: 'brenner-subrahmanyam'
+        };
+    }
+
+    // Brent's root finder on a bracket where f(low) and f(high) have opposite signs
+    brentRoot(f, low, high, tolerance, maxIterations) {
+        let a = low, b = high;
+        let fa = f(a), fb = f(b);
+        let c = a, fc = fa;
+        let d = b - a, e = d;
+
+        for (let i = 1; i <= maxIterations; i++) {
+            if (Math.sign(fb) === Math.sign(fc)) {
+                c = a; fc = fa;
+                d = b - a; e = d;
+            }
+            if (Math.abs(fc) < Math.abs(fb)) {
+                a = b; b = c; c = a;
+                fa = fb; fb = fc; fc = fa;
+            }
+
+            const xTolerance = 2 * Number.EPSILON * Math.abs(b) + 1e-12;
+            const midpoint = 0.5 * (c - b);
+            if (Math.abs(fb) < tolerance || Math.abs(midpoint) <= xTolerance) {
+                return { root: b, iterations: i, residual: fb };
+            }
+
+            if (Math.abs(e) >= xTolerance && Math.abs(fa) > Math.abs(fb)) {
+                // Inverse quadratic interpolation (secant when only two points are distinct)
+                let p, q;
+                const sRatio = fb / fa;
+                if (a === c) {
+                    p = 2 * midpoint * sRatio;
+                    q = 1 - sRatio;
+                } else {
+                    const qRatio = fa / fc;
+                    const rRatio = fb / fc;
+                    p = sRatio * (2 * midpoint * qRatio * (qRatio - rRatio) - (b - a) * (rRatio - 1));
+                    q = (qRatio - 1) * (rRatio - 1) * (sRatio - 1);
+                }
+                if (p > 0) q = -q;
+                p = Math.abs(p);
+
+                if (2 * p < Math.min(3 * midpoint * q - Math.abs(xTolerance * q), Math.abs(e * q))) {
+                    e = d;
+                    d = p / q;
+                } else {
+                    d = midpoint;
+                    e = d;
+                }
+            } else {
+                d = midpoint;
+                e = d;
+            }
+
+            a = b;
+            fa = fb;
+            b += Math.abs(d) > xTolerance ? d : (midpoint > 0 ? xTolerance : -xTolerance);
+            fb = f(b);
+        }
+
+        return { root: b, iterations: maxIterations, residual: fb };
+    }
+
+    // Implied volatility with diagnostics. Checks no-arbitrage bounds, starts Newton-Raphson
+    // from a Corrado-Miller guess and falls back to Brent on the tracked bracket when vega
+    // vanishes or a Newton step leaves the bracket. American prices are solved with Brent directly.
+    // Returns { volatility, status, method, iterations, residual, reason, initialGuess, bounds }.
+    // options.cashDividends ([{ time, amount }]) are handled with the escrowed-dividend model;
+    // options.priceDigits sets the decimals of prices in failure reasons (see priceDigits).
+    solveImpliedVolatility(optionPrice, spotPrice, strikePrice, timeToExpiry, riskFreeRate, optionType, dividendYield = 0.0, options = {}) {
+        const exerciseStyle = options.exerciseStyle || 'european';
+        const treeOptions = options.treeOptions || {};
+        const cashDividends = options.cashDividends || [];
+        const maxIterations = options.maxIterations || 100;
+        const tolerance = options.tolerance || 1e-8;
+        // Trees lose valid branching probabilities as volatility approaches zero
+        const minVolatility = options.minVolatility || (exerciseStyle === 'american' ? 0.01 : 1e-4);
+        const maxVolatility = options.maxVolatility || 5.0;
+        const digits = options.priceDigits || 2;
+
+        const failure = (status, reason, bounds = null) => ({
+            volatility: null,
+            status,
+            method: null,
+            iterations: 0,
+            residual: null,
+            reason,
+            initialGuess: null,
+            bounds
+        });
+
+        if (!(optionPrice > 0)) {
+            return failure('invalid-price', 'Option price must be a positive number');
+        }
+        if (timeToExpiry <= 0) {
+            return failure('expired', 'Option has expired - there is no time value to invert');
+        }
+
+        const bounds = this.priceBounds(spotPrice, strikePrice, timeToExpiry, riskFreeRate, optionType, dividendYield, exerciseStyle, cashDividends);
+        const pricingSpot = this.escrowedSpot(spotPrice, timeToExpiry, riskFreeRate, cashDividends);
+        if (optionPrice < bounds.lower - tolerance) {
+            return failure('below-lower-bound',
+                `Price $${optionPrice.toFixed(digits)} is below the no-arbitrage lower bound of $${bounds.lower.toFixed(digits)}`, bounds);
+        }
+        if (optionPrice >= bounds.upper) {
+            return failure('above-upper-bound',
+                `Price $${optionPrice.toFixed(digits)} is at or above the no-arbitrage upper bound of $${bounds.upper.toFixed(digits)}`, bounds);
+        }
+
+        const objective = v => this.optionPrice(spotPrice, strikePrice, timeToExpiry, riskFreeRate, v, optionType, dividendYield, exerciseStyle, treeOptions, cashDividends) - optionPrice;
+
+        if (objective(minVolatility) > 0) {
+            return failure('below-lower-bound',
+                `Price $${optionPrice.toFixed(digits)} carries no time value above the $${bounds.lower.toFixed(digits)} floor`, bounds);
+        }
+        if (objective(maxVolatility) < 0) {
+            return failure('above-max-volatility',
+                `Price $${optionPrice.toFixed(digits)} implies more than ${(maxVolatility * 100).toFixed(0)}% volatility`, bounds);
+        }
+
+        const guess = this.initialVolatilityGuess(optionPrice, pricingSpot, strikePrice, timeToExpiry, riskFreeRate, optionType, dividendYield);
+        const initialGuess = { volatility: guess.volatility, method: guess.method };
+
+        let low = minVolatility;
+        let high = maxVolatility;
+        let iterations = 0;
+        let reason = null;
+        // European prices are matched to a fraction of their time value as well, so far wings
+        // priced at a tiny fraction of a cent still solve to full volatility accuracy
+        const priceTolerance = exerciseStyle === 'american'
+            ? tolerance
+            : Math.min(tolerance, Math.max((optionPrice - bounds.lower) * 1e-9, Number.MIN_VALUE));
+
+        if (exerciseStyle !== 'american') {
+            let volatility = Math.min(Math.max(guess.volatility, low), high);
+
+            for (; iterations < maxIterations; iterations++) {
+                const priceDiff = objective(volatility);
+                if (Math.abs(priceDiff) < priceTolerance) {
+                    return { volatility, status: 'solved', method: 'newton', iterations: iterations + 1, residual: priceDiff, reason: null, initialGuess, bounds };
+                }
+
+                if (priceDiff > 0) {
+                    high = volatility;
+                } else {
+                    low = volatility;
+                }
+
+                const vega = this.calculateVega(pricingSpot, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield) * 100;
+                if (vega < 1e-10) {
+                    reason = 'Vega vanished - switched to Brent bracketing';
+                    break;
+                }
+
+                const next = volatility - priceDiff / vega;
+                if (!(next > low && next < high)) {
+                    reason = 'Newton step left the bracket - switched to Brent bracketing';
+                    break;
+                }
+                volatility = next;
+            }
+
+            if (iterations >= maxIterations) {
+                reason = 'Newton did not converge - switched to Brent bracketing';
+            }
+        } else {
+            // Tighten the bracket around the analytic guess when it already straddles the root
+            const guessLow = Math.max(low, guess.volatility * 0.5);
+            const guessHigh = Math.min(high, guess.volatility * 2);
+            if (guessLow < guessHigh && objective(guessLow) <= 0 && objective(guessHigh) >= 0) {
+                low = guessLow;
+                high = guessHigh;
+            }
+        }
+
+        const remaining = Math.max(maxIterations - iterations, 10);
+        const brent = this.brentRoot(objective, low, high, priceTolerance, remaining);
+        const converged = Math.abs(brent.residual) < Math.max(tolerance, 1e-6);
+
+        return {
+            volatility: converged ? brent.root : null,
+            status: converged ? 'solved' : 'not-converged',
+            method: 'brent',
+            iterations: iterations + brent.iterations,
+            residual: brent.residual,
+            reason: converged ? reason : `Brent did not converge (residual ${brent.residual.toExponential(2)})`,
+            initialGuess,
+            bounds
+        };
+    }
+
+    // Price in the given exercise style (European closed form or American binomial tree)
+    optionPrice(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividendYield = 0.0, exerciseStyle = 'european', treeOptions = {}, cashDividends = []) {
+        if (exerciseStyle === 'american') {
+            return this.binomialTree(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividendYield, treeOptions, cashDividends).price;
+        }
+        const pricingSpot = this.escrowedSpot(spotPrice, timeToExpiry, riskFreeRate, cashDividends);
+        return this.blackScholesPrice(pricingSpot, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividendYield);
+    }
+
+    // Peizer-Pratt method 2 inversion used by the Leisen-Reimer tree
+    peizerPratt(z, steps) {
+        const x = z / (steps + 1 / 3 + 0.1 / (steps + 1));
+        return 0.5 + Math.sign(z) * 0.5 * Math.sqrt(1 - Math.exp(-x * x * (steps + 1 / 6)));
+    }
+
+    // American option binomial tree (CRR or Leisen-Reimer). A European tree is rolled back
+    // alongside so the early exercise premium is measured on the same lattice.
+    // Cash dividends follow the escrowed model: the lattice is built on the spot net of dividend
+    // PV, and the PV still to be paid is added back at each node to get the exercisable stock price.
+    binomialTree(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividendYield = 0.0, treeOptions = {}, cashDividends = []) {
+        const method = treeOptions.method || this.DEFAULT_TREE_METHOD;
+        let steps = treeOptions.steps || this.DEFAULT_TREE_STEPS;
+
+        const intrinsic = s => optionType === 'call' ? Math.max(s - strikePrice, 0) : Math.max(strikePrice - s, 0);
+
+        if (timeToExpiry <= 0) {
+            const value = intrinsic(spotPrice);
+            return { price: value, europeanPrice: value, delta: null, gamma: null, steps: 0, method, dividendExercise: [] };
+        }
+
+        if (method === 'leisen-reimer' && steps % 2 === 0) steps += 1; // LR requires an odd number of steps
+        const dt = timeToExpiry / steps;
+        const dividends = cashDividends.filter(dividend => dividend.time > 0 && dividend.time <= timeToExpiry);
+        const pricingSpot = this.escrowedSpot(spotPrice, timeToExpiry, riskFreeRate, dividends);
+
+        // PV of the dividends still to go ex at each step, and the last step before each ex-date
+        const pendingIncome = new Float64Array(steps + 1);
+        const dividendExercise = dividends.map(dividend => {
+            const step = Math.ceil(dividend.time / dt) - 1;
+            for (let i = 0; i <= step; i++) {
+                pendingIncome[i] += dividend.amount * Math.exp(-riskFreeRate * (dividend.time - i * dt));
+            }
+            return { ...dividend, step, boundary: null, exerciseAbove: optionType === 'call' };
+        });
+
+        let up, down, probUp;
+        if (method === 'leisen-reimer') {
+            const growth = Math.exp((riskFreeRate - dividendYield) * dt);
+            const { d1, d2 } = this.calculateD1D2(pricingSpot, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield);
+            probUp = this.peizerPratt(d2, steps);
+            const probUpStar = this.peizerPratt(d1, steps);
+            up = growth * probUpStar / probUp;
+            down = (growth - probUp * up) / (1 - probUp);
+        } else {
+            up = Math.exp(volatility * Math.sqrt(dt));
+            down = 1 / up;
+            probUp = (Math.exp((riskFreeRate - dividendYield) * dt) - down) / (up - down);
+        }
+
+        const tree = this.rollBackTree(pricingSpot, steps, dt, up, down, probUp, riskFreeRate, intrinsic, method, pendingIncome, dividendExercise);
+        return { ...tree, dividendExercise };
+    }
+
+    // Rolls back the lattice. pendingIncome[i] is added to node prices at step i before testing
+    // exercise; each dividendExercise entry records the exercise boundary on the last step before its ex-date.
+    rollBackTree(spotPrice, steps, dt, up, down, probUp, riskFreeRate, intrinsic, method, pendingIncome = null, dividendExercise = []) {
+        const discount = Math.exp(-riskFreeRate * dt);
+        const american = new Float64Array(steps + 1);
+        const european = new Float64Array(steps + 1);
+        const income = i => pendingIncome ? pendingIncome[i] : 0;
+
+        for (let j = 0; j <= steps; j++) {
+            const value = intrinsic(spotPrice * Math.pow(up, j) * Math.pow(down, steps - j) + income(steps));
+            american[j] = value;
+            european[j] = value;
+        }
+
+        let stepOne = null;
+        let stepTwo = null;
+        const ratio = up / down;
+        for (let i = steps - 1; i >= 0; i--) {
+            const watched = dividendExercise.filter(dividend => dividend.step === i);
+            let node = spotPrice * Math.pow(down, i);
+            for (let j = 0; j <= i; j++, node *= ratio) {
+                const stock = node + income(i);
+                const exercise = intrinsic(stock);
+                const continuation = discount * (probUp * american[j + 1] + (1 - probUp) * american[j]);
+                american[j] = Math.max(continuation, exercise);
+                european[j] = discount * (probUp * european[j + 1] + (1 - probUp) * european[j]);
+
+                // Calls are exercised above the boundary, puts below it
+                if (watched.length && exercise > 0 && exercise >= continuation) {
+                    watched.forEach(dividend => {
+                        if (dividend.boundary === null || (dividend.exerciseAbove ? stock < dividend.boundary : stock > dividend.boundary)) {
+                            dividend.boundary = stock;
+                        }
+                    });
+                }
+            }
+            if (i === 2) stepTwo = [american[0], american[1], american[2]];
+            if (i === 1) stepOne = [american[0], american[1]];
+        }
+
+        let delta = null;
+        let gamma = null;
+        if (stepOne) {
+            delta = (stepOne[1] - stepOne[0]) / (spotPrice * (up - down));
+        }
+        if (stepTwo) {
+            const sUpUp = spotPrice * up * up;
+            const sUpDown = spotPrice * up * down;
+            const sDownDown = spotPrice * down * down;
+            gamma = ((stepTwo[2] - stepTwo[1]) / (sUpUp - sUpDown) - (stepTwo[1] - stepTwo[0]) / (sUpDown - sDownDown)) /
+                    (0.5 * (sUpUp - sDownDown));
+        }
+
+        return { price: american[0], europeanPrice: european[0], delta, gamma, steps, method };
+    }
+
+    // Tree-based Greeks. Delta and gamma come from the lattice itself; the rest use bumped
+    // re-valuations in the same units as the closed-form Greeks. Bumped lattices also supply
+    // their own delta and gamma, which gives vanna, zomma, charm, color and speed.
+    americanGreeks(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividendYield = 0.0, treeOptions = {}, cashDividends = [], daysPerYear = 365.25) {
+        const lattice = (s, t, r, v, dividends = cashDividends, q = dividendYield) => this.binomialTree(s, strikePrice, t, r, v, optionType, q, treeOptions, dividends);
+        const tree = lattice(spotPrice, timeToExpiry, riskFreeRate, volatility);
+
+        // Time bumps hold the cum-dividend spot fixed, so ex-dates move a day closer but are not crossed
+        const oneDay = 1 / daysPerYear;
+        const tomorrowExpiry = Math.max(timeToExpiry - oneDay, 0);
+        const dividendsTomorrow = cashDividends.map(dividend => ({ ...dividend, time: Math.max(dividend.time - oneDay, 1e-9) }));
+        const tomorrow = lattice(spotPrice, tomorrowExpiry, riskFreeRate, volatility, dividendsTomorrow);
+
+        const volBump = Math.min(0.01, volatility / 2);
+        const volUp = lattice(spotPrice, timeToExpiry, riskFreeRate, volatility + volBump);
+        const volDown = lattice(spotPrice, timeToExpiry, riskFreeRate, volatility - volBump);
+        const vegaAt = (up, down) => (up.price - down.price) / (2 * volBump) / 100;
+        const vega = vegaAt(volUp, volDown);
+        const vegaTomorrow = vegaAt(
+            lattice(spotPrice, tomorrowExpiry, riskFreeRate, volatility + volBump, dividendsTomorrow),
+            lattice(spotPrice, tomorrowExpiry, riskFreeRate, volatility - volBump, dividendsTomorrow)
+        );
+
+        const spotBump = spotPrice * 0.01;
+        const spotUp = lattice(spotPrice + spotBump, timeToExpiry, riskFreeRate, volatility);
+        const spotDown = lattice(spotPrice - spotBump, timeToExpiry, riskFreeRate, volatility);
+
+        const rho = (lattice(spotPrice, timeToExpiry, riskFreeRate + 0.01, volatility).price -
+                     lattice(spotPrice, timeToExpiry, riskFreeRate - 0.01, volatility).price) / 2;
+        // Yield sensitivity, and rate and yield moving together (the futures case); the two
+        // partials largely cancel there, so summing them would magnify the bump error
+        const yieldRho = (lattice(spotPrice, timeToExpiry, riskFreeRate, volatility, cashDividends, dividendYield + 0.01).price -
+                          lattice(spotPrice, timeToExpiry, riskFreeRate, volatility, cashDividends, dividendYield - 0.01).price) / 2;
+        const carryRho = (lattice(spotPrice, timeToExpiry, riskFreeRate + 0.01, volatility, cashDividends, dividendYield + 0.01).price -
+                          lattice(spotPrice, timeToExpiry, riskFreeRate - 0.01, volatility, cashDividends, dividendYield - 0.01).price) / 2;
+
+        // Lattices collapse to intrinsic value within a day of expiry
+        const hasTomorrow = tomorrow.delta !== null && tomorrow.gamma !== null;
+
+        return {
+            price: tree.price,
+            europeanTreePrice: tree.europeanPrice,
+            earlyExercisePremium: Math.max(tree.price - tree.europeanPrice, 0),
+            delta: tree.delta,
+            gamma: tree.gamma,
+            theta: tomorrow.price - tree.price,
+            vega,
+            rho,
+            yieldRho,
+            carryRho,
+            vanna: (volUp.delta - volDown.delta) / (2 * volBump) / 100,
+            volga: (volUp.price - 2 * tree.price + volDown.price) / (volBump * volBump) / 10000,
+            charm: hasTomorrow ? tomorrow.delta - tree.delta : null,
+            speed: (spotUp.gamma - spotDown.gamma) / (2 * spotBump),
+            color: hasTomorrow ? tomorrow.gamma - tree.gamma : null,
+            zomma: (volUp.gamma - volDown.gamma) / (2 * volBump) / 100,
+            veta: vegaTomorrow - vega,
+            steps: tree.steps,
+            method: tree.method,
+            dividendExercise: tree.dividendExercise
+        };
+    }
+
+    // Complete analysis. contract.exerciseStyle selects European (closed form) or American (tree);
+    // treeOptions = { method: 'crr' | 'leisen-reimer', steps } only applies to American contracts.
+    // marketData.volatilitySurface (a fitted VolatilitySurface) and marketData.dividends
+    // ([{ exDate, amount }], escrowed-dividend model) are optional.
+    // greekOptions = { thetaConvention: 'calendar' | 'trading', positionSize } sets the day count
+    // behind theta, charm, color and veta and the contract count for position Greeks.
+    // marketData.model picks Black-Scholes-Merton, Black-76 or Garman-Kohlhagen (modelMarketData).
+    analyzeOption(contract, marketData, volatilityEstimate = null, treeOptions = {}, greekOptions = {}) {
+        // A volatility at or below zero has no lognormal price; leave it null to solve or default instead
+        if (volatilityEstimate !== null && !(volatilityEstimate > 0)) {
+            throw new Error(`Volatility estimate must be greater than 0, got ${volatilityEstimate}`);
+        }
+        marketData = this.modelMarketData(marketData);
+        const expiresAt = this.expiryTime(contract.expirationDate);
+        const timeToExpiry = this.timeToExpiration(contract.expirationDate, marketData.timestamp);
+        const exerciseStyle = contract.exerciseStyle || 'european';
+        const thetaConvention = greekOptions.thetaConvention || 'calendar';
+        const daysPerYear = this.thetaDaysPerYear(thetaConvention);
+        const cashDividends = this.dividendSchedule(marketData.dividends, marketData.timestamp)
+            .filter(dividend => dividend.time <= timeToExpiry);
+        const dividendPV = this.dividendPresentValue(cashDividends, timeToExpiry, marketData.riskFreeRate);
+
+        // Determine volatility to use: explicit estimate, else the fitted surface at this
+        // strike/expiry, else solved from the market price, else an assumed default that is
+        // flagged as such in the result. The market price is still inverted when a surface is
+        // used so the two can be compared.
+        let volatility = volatilityEstimate;
+        let volatilitySource = volatility ? 'input' : null;
+        let ivSolution = null;
+        if (!volatility && contract.currentPrice) {
+            ivSolution = this.solveImpliedVolatility(
+                contract.currentPrice,
+                marketData.underlyingPrice,
+                contract.strikePrice,
+                timeToExpiry,
+                marketData.riskFreeRate,
+                contract.optionType,
+                marketData.dividendYield,
+                { exerciseStyle, treeOptions, cashDividends, priceDigits: this.priceDigits(marketData.model) }
+            );
+        }
+        if (!volatility && marketData.volatilitySurface) {
+            volatility = marketData.volatilitySurface.volatility(contract.strikePrice, timeToExpiry);
+            volatilitySource = 'surface';
+        } else if (!volatility && ivSolution && ivSolution.status === 'solved') {
+            volatility = ivSolution.volatility;
+            volatilitySource = 'implied';
+        }
+        if (!volatility) {
+            volatility = this.DEFAULT_VOLATILITY;
+            volatilitySource = 'default';
+        }
+
+        if (exerciseStyle === 'american') {
+            const american = this.analyzeAmericanOption(contract, marketData, volatility, timeToExpiry, treeOptions, cashDividends, daysPerYear);
+            const result = {
+                ...american,
+                ...this.modelRho(marketData.model, american.rho, american.yieldRho, american.carryRho),
+                model: marketData.model,
+                volatilitySource,
+                ivSolution,
+                cashDividends,
+                dividendPV,
+                thetaConvention,
+                expiresAt
+            };
+            result.position = this.positionGreeks(result, marketData.underlyingPrice, greekOptions.positionSize || 1);
+            return result;
+        }
+
+        // Closed-form Greeks at the escrowed spot. Spot and volatility sensitivities carry over
+        // unchanged; time and rate sensitivities also pick up the dividend PV accreting with time
+        // and moving with rates.
+        const pricingSpot = this.escrowedSpot(marketData.underlyingPrice, timeToExpiry, marketData.riskFreeRate, cashDividends);
+        const dividendRateSensitivity = cashDividends.reduce((sum, dividend) =>
+            sum + dividend.amount * dividend.time * Math.exp(-marketData.riskFreeRate * dividend.time), 0);
+
+        const theoreticalPrice = this.blackScholesPrice(
+            pricingSpot,
+            contract.strikePrice,
+            timeToExpiry,
+            marketData.riskFreeRate,
+            volatility,
+            contract.optionType,
+            marketData.dividendYield
+        );
+
+        const delta = this.calculateDelta(
+            pricingSpot,
+            contract.strikePrice,
+            timeToExpiry,
+            marketData.riskFreeRate,
+            volatility,
+            contract.optionType,
+            marketData.dividendYield
+        );
+
+        const gamma = this.calculateGamma(
+            pricingSpot,
+            contract.strikePrice,
+            timeToExpiry,
+            marketData.riskFreeRate,
+            volatility,
+            marketData.dividendYield
+        );
+
+        const theta = this.calculateTheta(
+            pricingSpot,
+            contract.strikePrice,
+            timeToExpiry,
+            marketData.riskFreeRate,
+            volatility,
+            contract.optionType,
+            marketData.dividendYield,
+            daysPerYear
+        ) - delta * marketData.riskFreeRate * dividendPV / daysPerYear;
+
+        const vega = this.calculateVega(
+            pricingSpot,
+            contract.strikePrice,
+            timeToExpiry,
+            marketData.riskFreeRate,
+            volatility,
+            marketData.dividendYield
+        );
+
+        const rho = this.calculateRho(
+            pricingSpot,
+            contract.strikePrice,
+            timeToExpiry,
+            marketData.riskFreeRate,
+            volatility,
+            contract.optionType,
+            marketData.dividendYield
+        ) + delta * dividendRateSensitivity / 100;
+        const yieldRho = -timeToExpiry * pricingSpot * delta / 100;
+
+        const higherOrder = this.higherOrderGreeks(
+            pricingSpot,
+            contract.strikePrice,
+            timeToExpiry,
+            marketData.riskFreeRate,
+            volatility,
+            contract.optionType,
+            marketData.dividendYield,
+            daysPerYear
+        );
+        const dividendAccretion = marketData.riskFreeRate * dividendPV / daysPerYear;
+        higherOrder.charm -= gamma * dividendAccretion;
+        higherOrder.color -= higherOrder.speed * dividendAccretion;
+        higherOrder.veta -= higherOrder.vanna * dividendAccretion;
+
+        const result = {
+            theoreticalPrice,
+            delta,
+            gamma,
+            theta,
+            vega,
+            ...this.modelRho(marketData.model, rho, yieldRho),
+            ...higherOrder,
+            model: marketData.model,
+            impliedVolatility: volatility,
+            volatilitySource,
+            ivSolution,
+            timeToExpiry,
+            exerciseStyle,
+            cashDividends,
+            dividendPV,
+            thetaConvention,
+            expiresAt
+        };
+        result.position = this.positionGreeks(result, marketData.underlyingPrice, greekOptions.positionSize || 1);
+        return result;
+    }
+
+    // Rate Greeks for the model from rho at a fixed yield, the sensitivity to the yield and to
+    // both moving together (all per 1%). A futures price's yield is the domestic rate itself, so
+    // Black-76 rho is the joint move; Garman-Kohlhagen reports the foreign-rate rho alongside.
+    modelRho(model, rho, yieldRho, carryRho = rho + yieldRho) {
+        return {
+            rho: model === 'black-76' ? carryRho : rho,
+            foreignRho: model === 'garman-kohlhagen' ? yieldRho : null
+        };
+    }
+
+    analyzeAmericanOption(contract, marketData, volatility, timeToExpiry, treeOptions, cashDividends = [], daysPerYear = 365.25) {
+        const greeks = this.americanGreeks(
+            marketData.underlyingPrice,
+            contract.strikePrice,
+            timeToExpiry,
+            marketData.riskFreeRate,
+            volatility,
+            contract.optionType,
+            marketData.dividendYield,
+            treeOptions,
+            cashDividends,
+            daysPerYear
+        );
+
+        const europeanPrice = this.blackScholesPrice(
+            this.escrowedSpot(marketData.underlyingPrice, timeToExpiry, marketData.riskFreeRate, cashDividends),
+            contract.strikePrice,
+            timeToExpiry,
+            marketData.riskFreeRate,
+            volatility,
+            contract.optionType,
+            marketData.dividendYield
+        );
+
+        return {
+            theoreticalPrice: greeks.price,
+            delta: greeks.delta,
+            gamma: greeks.gamma,
+            theta: greeks.theta,
+            vega: greeks.vega,
+            rho: greeks.rho,
+            yieldRho: greeks.yieldRho,
+            carryRho: greeks.carryRho,
+            vanna: greeks.vanna,
+            volga: greeks.volga,
+            charm: greeks.charm,
+            speed: greeks.speed,
+            color: greeks.color,
+            zomma: greeks.zomma,
+            veta: greeks.veta,
+            impliedVolatility: volatility,
+            timeToExpiry,
+            exerciseStyle: 'american',
+            europeanPrice,
+            earlyExercisePremium: greeks.earlyExercisePremium,
+            treeOptions: { method: greeks.method, steps: greeks.steps },
+            // Exercising just before an ex-date is optimal beyond the boundary; flagged when the
+            // stock is already there
+            dividendExercise: greeks.dividendExercise.map(dividend => ({
+                exDate: dividend.exDate,
+                amount: dividend.amount,
+                boundary: dividend.boundary,
+                optimalAtSpot: dividend.boundary !== null &&
+                    (dividend.exerciseAbove ? marketData.underlyingPrice >= dividend.boundary : marketData.underlyingPrice <= dividend.boundary)
+            }))
+        };
+    }
+
+    // Trading signal. Buys are priced at the ask and sells at the bid (the market price when a
+    // side is not quoted), each net of commission and slippage, and the side with the larger edge
+    // after costs is recommended once it clears edgeThreshold. `rules` overrides
+    // DEFAULT_SIGNAL_RULES; every rule is reported in `checks` as passed (true), failed (false)
+    // or not checked (null), and any failure turns the signal into AVOID. The closing edge check
+    // passes on BUY or SELL and is not checked otherwise, since falling short of the threshold
+    // makes a HOLD rather than an AVOID.
+    generateTradingSignal(contract, marketData, result, edgeThreshold = 0.10, rules = {}) {
+        marketData = this.modelMarketData(marketData);
+        const settings = { ...this.DEFAULT_SIGNAL_RULES, ...rules };
+        const digits = this.priceDigits(marketData.model);
+        const money = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(digits)}`;
+        const fairValue = result.theoreticalPrice;
+        const bid = contract.bid > 0 ? contract.bid : null;
+        const ask = contract.ask > 0 ? contract.ask : null;
+        const mid = bid !== null && ask !== null ? (bid + ask) / 2 : null;
+        const marketPrice = contract.currentPrice || mid || ask || bid || 0;
+
+        if (!marketPrice) {
+            return {
+                action: "HOLD",
+                confidence: 0.0,
+                reasoning: "No market price available for analysis",
+                checks: [],
+                fairValue,
+                marketPrice: 0.0,
+                bid,
+                ask,
+                edge: 0.0,
+                netEdge: 0.0,
+                side: null,
+                expectedValue: null,
+                probabilityOfProfit: null,
+                breakeven: null,
+                trades: null,
+                volatilityComparison: null
+            };
+        }
+
+        const edge = (fairValue - marketPrice) / marketPrice;
+        const costPerShare = settings.commission / this.CONTRACT_MULTIPLIER + settings.slippage;
+        const trades = {
+            buy: this.evaluateTrade('long', ask !== null ? ask : marketPrice, costPerShare, contract, marketData, result),
+            sell: this.evaluateTrade('short', bid !== null ? bid : marketPrice, costPerShare, contract, marketData, result)
+        };
+        const checks = this.signalChecks(contract, marketData, result, settings, { bid, ask, mid });
+
+        // Best side after costs decides the action unless a rule fails
+        const best = trades.buy.edge >= trades.sell.edge ? 'buy' : 'sell';
+        const failed = checks.filter(check => check.passed === false);
+        let action;
+        if (failed.length > 0) {
+            action = "AVOID";
+        } else if (trades[best].edge > edgeThreshold) {
+            action = best === 'buy' ? "BUY" : "SELL";
+        } else {
+            action = "HOLD";
+        }
+        const trade = action === "SELL" ? trades.sell : (action === "BUY" ? trades.buy : trades[best]);
+        checks.push({
+            rule: 'edge',
+            label: 'Edge after costs',
+            passed: action === "BUY" || action === "SELL" ? true : null,
+            detail: `${best === 'buy' ? 'Buying at' : 'Selling at'} ${money(trade.price)}: ${(trade.edge * 100).toFixed(1)}% vs ${(edgeThreshold * 100).toFixed(1)}% threshold`
+        });
+
+        // Confidence for a trade is how far volatility could be misjudged before the edge after
+        // costs is gone, in vol points, as a share of confidenceVolPoints. HOLD is more certain
+        // the further the best edge is from the threshold; with a zero threshold a HOLD means no
+        // side has any edge after costs, so it is certain.
+        let confidence;
+        if (action === "AVOID") {
+            confidence = 1.0;
+        } else if (action === "HOLD") {
+            confidence = edgeThreshold > 0 ? 1.0 - Math.min(Math.max(trade.edge, 0) / edgeThreshold, 1.0) : 1.0;
+        } else {
+            const cushion = result.vega > 0 ? trade.expectedValue / this.CONTRACT_MULTIPLIER / result.vega : Infinity;
+            confidence = Math.min(cushion / settings.confidenceVolPoints, 1.0);
+        }
+
+        let reasoning;
+        const prices = `Fair value: ${money(fairValue)} vs ${mid !== null ? `bid/ask ${money(bid)}/${money(ask)}` : `Market: ${money(marketPrice)}`}`;
+        if (action === "AVOID") {
+            reasoning = `Rules failed: ${failed.map(check => `${check.label} (${check.detail})`).join('; ')}`;
+        } else if (action === "BUY") {
+            reasoning = `Option undervalued by ${(trade.edge * 100).toFixed(1)}% after costs. ${prices}`;
+        } else if (action === "SELL") {
+            reasoning = `Option overvalued by ${(trade.edge * 100).toFixed(1)}% after costs. ${prices}`;
+        } else {
+            reasoning = `Option fairly valued (best edge after costs: ${(trade.edge * 100).toFixed(1)}% ${best === 'buy' ? 'buying' : 'selling'}). ${prices}`;
+        }
+        if (costPerShare > 0) {
+            reasoning += `\nCosts: $${costPerShare.toFixed(3)}/share per side ($${settings.commission.toFixed(2)} commission per contract + $${settings.slippage.toFixed(3)} slippage)`;
+        }
+        reasoning += `\n${trade.side === 'long' ? 'Long' : 'Short'} at ${money(trade.entry)} net: expected value ${money(trade.expectedValue)}/contract, ` +
+            `probability of profit ${(trade.probabilityOfProfit * 100).toFixed(1)}% (breakeven ${money(trade.breakeven)} at expiry)`;
+
+        reasoning += `\nGreeks - Delta: ${result.delta.toFixed(3)}, Theta: ${result.theta.toFixed(digits)}, Vega: ${result.vega.toFixed(digits)}`;
+
+        // Realised vs implied: is the market charging more or less for volatility than the
+        // underlying has actually delivered? Disagreement with the price edge cuts confidence.
+        let volatilityComparison = null;
+        if (marketData.realisedVolatility) {
+            volatilityComparison = this.compareVolatility(contract, marketData, result, edgeThreshold, marketPrice);
+        }
+        if (volatilityComparison) {
+            const { implied, realised, spread, assessment } = volatilityComparison;
+            const reference = marketData.realisedVolatility;
+            const label = [reference.window ? `${reference.window}-day` : null, reference.estimator || 'realised'].filter(Boolean).join(' ');
+            const verdicts = {
+                rich: 'options look rich, favouring selling premium',
+                cheap: 'options look cheap, favouring buying premium',
+                fair: 'implied is in line with realised'
+            };
+            reasoning += `\nVolatility: implied ${(implied * 100).toFixed(1)}% vs ${label} ${(realised * 100).toFixed(1)}% ` +
+                `(${spread >= 0 ? '+' : ''}${(spread * 100).toFixed(1)} pts) - ${verdicts[assessment]}`;
+            if ((action === "BUY" && assessment === 'rich') || (action === "SELL" && assessment === 'cheap')) {
+                volatilityComparison.agreesWithEdge = false;
+                reasoning += `\nCaution: the price edge says ${action} but implied volatility is ${assessment} relative to realised - confidence halved`;
+            } else if (action !== "HOLD" && assessment !== 'fair') {
+                volatilityComparison.agreesWithEdge = true;
+            }
+        } else if (marketData.realisedVolatility) {
+            reasoning += `\nVolatility: the market price could not be inverted, so implied and realised volatility were not compared`;
+        }
+
+        if (result.volatilitySource === 'default') {
+            reasoning += `\nWarning: fair value uses an assumed ${(result.impliedVolatility * 100).toFixed(0)}% volatility - the market price could not be inverted`;
+        }
+
+        (result.dividendExercise || []).filter(dividend => dividend.optimalAtSpot).forEach(dividend => {
+            reasoning += `\nEarly exercise: at the current spot it is optimal to exercise before the ${dividend.exDate.toISOString().split('T')[0]} ex-date ($${dividend.amount.toFixed(2)} dividend)`;
+        });
+
+        return {
+            action,
+            confidence: volatilityComparison && volatilityComparison.agreesWithEdge === false ? confidence / 2 : confidence,
+            reasoning,
+            checks,
+            fairValue,
+            marketPrice,
+            bid,
+            ask,
+            edge,
+            netEdge: trade.edge,
+            side: trade.side,
+            expectedValue: trade.expectedValue,
+            probabilityOfProfit: trade.probabilityOfProfit,
+            breakeven: trade.breakeven,
+            trades,
+            volatilityComparison
+        };
+    }
+
+    // One side of a trade held to expiry. Entry is the quote plus costs for a buy, less costs for
+    // a sell; expected value is fair value against that entry, per contract. Probability of
+    // profit is the risk-neutral chance of finishing beyond the breakeven (strike plus or minus
+    // the entry carried to expiry), ignoring early exercise.
+    evaluateTrade(side, price, costPerShare, contract, marketData, result) {
+        const isLong = side === 'long';
+        const entry = isLong ? price + costPerShare : price - costPerShare;
+        const perShare = isLong ? result.theoreticalPrice - entry : entry - result.theoreticalPrice;
+        const T = result.timeToExpiry;
+        const carriedEntry = entry * Math.exp(marketData.riskFreeRate * T);
+        const breakeven = contract.optionType === 'call' ? contract.strikePrice + carriedEntry : contract.strikePrice - carriedEntry;
+
+        // P(S_T > breakeven) under the lognormal model at the analysis volatility
+        let probabilityAbove;
+        if (breakeven <= 0) {
+            probabilityAbove = 1.0;
+        } else {
+            const forward = this.escrowedSpot(marketData.underlyingPrice, T, marketData.riskFreeRate, result.cashDividends || []) *
+                Math.exp((marketData.riskFreeRate - marketData.dividendYield) * T);
+            const sigmaRootT = result.impliedVolatility * Math.sqrt(T);
+            probabilityAbove = this.normCDF((Math.log(forward / breakeven) - 0.5 * sigmaRootT * sigmaRootT) / sigmaRootT);
+        }
+        const longWins = contract.optionType === 'call' ? probabilityAbove : 1.0 - probabilityAbove;
+
+        return {
+            side,
+            price,
+            entry,
+            breakeven,
+            expectedValue: perShare * this.CONTRACT_MULTIPLIER,
+            probabilityOfProfit: isLong ? longWins : 1.0 - longWins,
+            edge: entry > 0 ? perShare / entry : -Infinity
+        };
+    }
+
+    // Risk-neutral probability that the price touches `barrier` at any time before expiry
+    // (reflection principle for drifting Brownian motion in log price). A barrier the price is
+    // already at or beyond has been touched.
+    touchProbability(spotPrice, barrier, timeToExpiry, riskFreeRate, volatility, dividendYield = 0.0) {
+        const distance = Math.log(barrier / spotPrice);
+        if (distance === 0) {
+            return 1.0;
+        }
+        if (timeToExpiry <= 0) {
+            return 0.0;
+        }
+
+        const drift = riskFreeRate - dividendYield - 0.5 * volatility * volatility;
+        const sigmaRootT = volatility * Math.sqrt(timeToExpiry);
+        const reflection = Math.exp(2 * drift * distance / (volatility * volatility));
+        const probability = distance > 0
+            ? this.normCDF((drift * timeToExpiry - distance) / sigmaRootT) + reflection * this.normCDF((-distance - drift * timeToExpiry) / sigmaRootT)
+            : this.normCDF((distance - drift * timeToExpiry) / sigmaRootT) + reflection * this.normCDF((distance + drift * timeToExpiry) / sigmaRootT);
+        return Math.min(Math.max(probability, 0), 1);
+    }
+
+    // Risk-neutral probabilities and the terminal price distribution at the analysis volatility:
+    // N(d2) for finishing in the money, touch probabilities for the strike and breakeven, the
+    // 1 and 2 sigma moves and the lognormal density of the price at expiry. The breakeven is a
+    // long position's entered at `entryPrice`, as in the trading signal. Early exercise is
+    // ignored; with cash dividends pending, touches are measured on the escrowed price.
+    // Returns null once the option has expired.
+    probabilityAnalysis(contract, marketData, result, entryPrice = result.theoreticalPrice) {
+        marketData = this.modelMarketData(marketData);
+        const T = result.timeToExpiry;
+        const volatility = result.impliedVolatility;
+        if (!(T > 0) || !(volatility > 0)) {
+            return null;
+        }
+
+        const r = marketData.riskFreeRate;
+        const q = marketData.dividendYield;
+        const pricingSpot = this.escrowedSpot(marketData.underlyingPrice, T, r, result.cashDividends || []);
+        const sigmaRootT = volatility * Math.sqrt(T);
+        const forward = pricingSpot * Math.exp((r - q) * T);
+        const median = forward * Math.exp(-0.5 * sigmaRootT * sigmaRootT);
+        const { d2 } = this.calculateD1D2(pricingSpot, contract.strikePrice, T, r, volatility, q);
+
+        const trade = this.evaluateTrade('long', entryPrice, 0, contract, marketData, result);
+        const expectedMoves = [1, 2].map(sigmas => ({
+            sigmas,
+            move: marketData.underlyingPrice * sigmaRootT * sigmas,
+            probability: 2 * this.normCDF(sigmas) - 1,
+            low: median * Math.exp(-sigmas * sigmaRootT),
+            high: median * Math.exp(sigmas * sigmaRootT)
+        }));
+
+        // Density and cumulative probability over the median +/- 4 sigma
+        const points = 200;
+        const prices = [];
+        const density = [];
+        const cumulative = [];
+        for (let i = 0; i <= points; i++) {
+            const price = median * Math.exp(sigmaRootT * (-4 + 8 * i / points));
+            const z = Math.log(price / median) / sigmaRootT;
+            prices.push(price);
+            density.push(this.normPDF(z) / (price * sigmaRootT));
+            cumulative.push(this.normCDF(z));
+        }
+
+        return {
+            timeToExpiry: T,
+            volatility,
+            forward,
+            median,
+            probabilityITM: this.normCDF(contract.optionType === 'call' ? d2 : -d2),
+            probabilityOfTouch: this.touchProbability(pricingSpot, contract.strikePrice, T, r, volatility, q),
+            entryPrice,
+            breakeven: trade.breakeven,
+            probabilityBeyondBreakeven: trade.probabilityOfProfit,
+            // A put whose premium exceeds the strike can never get there
+            probabilityTouchBreakeven: trade.breakeven > 0 ? this.touchProbability(pricingSpot, trade.breakeven, T, r, volatility, q) : 0.0,
+            expectedMoves,
+            distribution: { prices, density, cumulative }
+        };
+    }
+
+    // Contract filters from the signal rules, one { rule, label, passed, detail } per rule.
+    // Days to expiry are calendar days to the expiry instant, whatever clock prices the option.
+    signalChecks(contract, marketData, result, settings, quote) {
+        const checks = [];
+        const expiresAt = result.expiresAt || this.expiryTime(contract.expirationDate);
+        const days = (expiresAt.getTime() - marketData.timestamp.getTime()) / (24 * 3600 * 1000);
+        if (settings.minDaysToExpiry !== null) {
+            checks.push({
+                rule: 'minDaysToExpiry',
+                label: 'Days to expiry',
+                passed: days >= settings.minDaysToExpiry,
+                detail: `${days.toFixed(1)} ${days >= settings.minDaysToExpiry ? '>=' : '<'} ${settings.minDaysToExpiry} minimum`
+            });
+        }
+        if (settings.maxSpread !== null) {
+            const spread = quote.mid !== null ? (quote.ask - quote.bid) / quote.mid : null;
+            checks.push({
+                rule: 'maxSpread',
+                label: 'Bid/ask spread',
+                passed: spread === null ? null : spread <= settings.maxSpread,
+                detail: spread === null
+                    ? 'not checked - no two-sided quote'
+                    : `${(spread * 100).toFixed(1)}% of mid ${spread <= settings.maxSpread ? '<=' : '>'} ${(settings.maxSpread * 100).toFixed(1)}% maximum`
+            });
+        }
+        if (settings.minOpenInterest !== null) {
+            const openInterest = Number.isFinite(contract.openInterest) ? contract.openInterest : null;
+            checks.push({
+                rule: 'minOpenInterest',
+                label: 'Open interest',
+                passed: openInterest === null ? null : openInterest >= settings.minOpenInterest,
+                detail: openInterest === null
+                    ? 'not checked - open interest unknown'
+                    : `${openInterest} ${openInterest >= settings.minOpenInterest ? '>=' : '<'} ${settings.minOpenInterest} minimum`
+            });
+        }
+        if (settings.minDelta !== null || settings.maxDelta !== null) {
+            const delta = Math.abs(result.delta);
+            const low = settings.minDelta !== null ? settings.minDelta : 0;
+            const high = settings.maxDelta !== null ? settings.maxDelta : 1;
+            checks.push({
+                rule: 'deltaRange',
+                label: 'Delta range',
+                passed: delta >= low && delta <= high,
+                detail: `|delta| ${delta.toFixed(3)} ${delta >= low && delta <= high ? 'within' : 'outside'} ${low.toFixed(2)}-${high.toFixed(2)}`
+            });
+        }
+        return checks;
+    }
+
+    // Market implied volatility against marketData.realisedVolatility ({ volatility, estimator, window }).
+    // Reuses the analysis's inversion when it made one; otherwise (volatility was input or taken
+    // from a surface) the market price is inverted here. Implied more than `threshold` (relative)
+    // above realised is rich, as far below is cheap. Returns null when the price cannot be inverted.
+    compareVolatility(contract, marketData, result, threshold = 0.10, marketPrice = contract.currentPrice) {
+        marketData = this.modelMarketData(marketData);
+        let solution = result.ivSolution;
+        if (!solution) {
+            solution = this.solveImpliedVolatility(
+                marketPrice,
+                marketData.underlyingPrice,
+                contract.strikePrice,
+                result.timeToExpiry,
+                marketData.riskFreeRate,
+                contract.optionType,
+                marketData.dividendYield,
+                {
+                    exerciseStyle: result.exerciseStyle,
+                    treeOptions: result.treeOptions || {},
+                    cashDividends: result.cashDividends || [],
+                    priceDigits: this.priceDigits(marketData.model)
+                }
+            );
+        }
+        if (solution.status !== 'solved') {
+            return null;
+        }
+
+        const implied = solution.volatility;
+        const realised = marketData.realisedVolatility.volatility;
+        const ratio = implied / realised;
+        return {
+            implied,
+            realised,
+            spread: implied - realised,
+            ratio,
+            assessment: ratio > 1 + threshold ? 'rich' : (ratio < 1 - threshold ? 'cheap' : 'fair'),
+            agreesWithEdge: null
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BlackScholesCalculator };
+}
@@ -0,0 +1,580 @@
+// Option chain import and batch analysis
+// Parses a pasted/loaded CSV chain, runs every row through analyzeOption and
+// generateTradingSignal, and builds the implied volatility smile per expiry.
+
+// Accepted header names for each column (case-insensitive)
+const CHAIN_COLUMNS = {
+    strike: ['strike', 'strike_price', 'k'],
+    expiry: ['expiry', 'expiration', 'expiration_date', 'expiry_date', 'exp'],
+    type: ['type', 'option_type', 'right', 'call_put', 'cp'],
+    bid: ['bid'],
+    ask: ['ask', 'offer'],
+    last: ['last', 'last_price', 'price'],
+    openInterest: ['open_interest', 'openinterest', 'oi'],
+    underlying: ['underlying', 'underlying_price', 'spot', 'underlying_last']
+};
+
+class OptionChainAnalyzer {
+    constructor(calculator) {
+        this.calculator = calculator;
+    }
+
+    // Split one CSV line, honouring double-quoted fields
+    splitLine(line, delimiter) {
+        const fields = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quoted) {
+                if (ch === '"' && line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                fields.push(field.trim());
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        fields.push(field.trim());
+        return fields;
+    }
+
+    // Parse chain text into rows. Comma, tab and semicolon delimiters are detected from the header.
+    parseCSV(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 2) {
+            throw new Error('The chain needs a header row and at least one option row');
+        }
+
+        const header = lines[0];
+        const delimiter = header.includes('\t') ? '\t' : (!header.includes(',') && header.includes(';') ? ';' : ',');
+        const headers = this.splitLine(header, delimiter).map(h => h.toLowerCase().replace(/[\s-]+/g, '_'));
+
+        const columnIndex = {};
+        Object.keys(CHAIN_COLUMNS).forEach(column => {
+            columnIndex[column] = headers.findIndex(h => CHAIN_COLUMNS[column].includes(h));
+        });
+
+        const missing = ['strike', 'expiry', 'type'].filter(column => columnIndex[column] === -1);
+        if (missing.length > 0) {
+            throw new Error(`Chain is missing required column(s): ${missing.join(', ')}`);
+        }
+        if (columnIndex.bid === -1 && columnIndex.ask === -1 && columnIndex.last === -1) {
+            throw new Error('Chain needs at least one price column: bid/ask or last');
+        }
+
+        const rows = [];
+        const errors = [];
+        const number = (fields, column) => {
+            if (columnIndex[column] === -1) return null;
+            const value = parseFloat(fields[columnIndex[column]]);
+            return isNaN(value) ? null : value;
+        };
+
+        lines.slice(1).forEach((line, index) => {
+            const lineNumber = index + 2;
+            const fields = this.splitLine(line, delimiter);
+
+            const strikePrice = number(fields, 'strike');
+            const expirationDate = new Date(fields[columnIndex.expiry]);
+            const rawType = (fields[columnIndex.type] || '').toLowerCase();
+            const optionType = rawType.startsWith('c') ? 'call' : (rawType.startsWith('p') ? 'put' : null);
+
+            if (strikePrice === null || strikePrice <= 0) {
+                errors.push(`Line ${lineNumber}: invalid strike`);
+                return;
+            }
+            if (isNaN(expirationDate.getTime())) {
+                errors.push(`Line ${lineNumber}: invalid expiry "${fields[columnIndex.expiry]}"`);
+                return;
+            }
+            if (!optionType) {
+                errors.push(`Line ${lineNumber}: type must be call/put (or C/P)`);
+                return;
+            }
+
+            rows.push({
+                line: lineNumber,
+                strikePrice,
+                expirationDate,
+                optionType,
+                bid: number(fields, 'bid'),
+                ask: number(fields, 'ask'),
+                last: number(fields, 'last'),
+                openInterest: number(fields, 'openInterest'),
+                underlyingPrice: number(fields, 'underlying')
+            });
+        });
+
+        return { rows, errors };
+    }
+
+    // Mid when both sides are quoted, otherwise the last trade
+    quotePrice(row) {
+        if (row.bid > 0 && row.ask > 0) {
+            return (row.bid + row.ask) / 2;
+        }
+        return row.last > 0 ? row.last : null;
+    }
+
+    expiryKey(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    // Analyse every row. Implied vol is solved from each row's quote; fair value and the signal
+    // use the form's volatility estimate when given, then the fitted surface when selected,
+    // otherwise each expiry's at-the-money IV so the edge column measures each strike against
+    // a flat-vol benchmark.
+    analyzeChain(rows, inputs) {
+        const marketTemplate = inputs.marketData;
+        const results = [];
+        const errors = [];
+
+        rows.forEach(row => {
+            const underlyingPrice = row.underlyingPrice || marketTemplate.underlyingPrice;
+            const marketPrice = this.quotePrice(row);
+
+            if (!(underlyingPrice > 0)) {
+                errors.push(`Line ${row.line}: no underlying price in the row or under Market Data`);
+                return;
+            }
+            if (marketPrice === null) {
+                errors.push(`Line ${row.line}: no bid/ask or last price`);
+                return;
+            }
+            if (this.calculator.expiryTime(row.expirationDate) <= marketTemplate.timestamp) {
+                errors.push(`Line ${row.line}: expired`);
+                return;
+            }
+
+            const marketData = { ...marketTemplate, underlyingPrice };
+            const timeToExpiry = this.calculator.timeToExpiration(row.expirationDate, marketData.timestamp);
+            const ivSolution = this.calculator.solveImpliedVolatility(
+                marketPrice,
+                underlyingPrice,
+                row.strikePrice,
+                timeToExpiry,
+                marketData.riskFreeRate,
+                row.optionType,
+                marketData.dividendYield,
+                {
+                    exerciseStyle: inputs.exerciseStyle,
+                    treeOptions: inputs.treeOptions,
+                    cashDividends: this.calculator.dividendSchedule(marketData.dividends, marketData.timestamp),
+                    priceDigits: this.calculator.priceDigits(marketData.model)
+                }
+            );
+
+            results.push({
+                ...row,
+                expiryKey: this.expiryKey(row.expirationDate),
+                timeToExpiry,
+                underlyingPrice,
+                marketData,
+                marketPrice,
+                impliedVolatility: ivSolution.status === 'solved' ? ivSolution.volatility : null,
+                ivStatus: ivSolution.status,
+                ivReason: ivSolution.reason
+            });
+        });
+
+        const referenceVols = this.atmVolatilities(results);
+
+        results.forEach(row => {
+            // A fitted surface (when selected) takes over from the flat ATM benchmark
+            const referenceVol = inputs.volatilityEstimate || (row.marketData.volatilitySurface ? null : referenceVols[row.expiryKey]) || null;
+            const contract = {
+                underlyingSymbol: inputs.symbol,
+                strikePrice: row.strikePrice,
+                expirationDate: row.expirationDate,
+                optionType: row.optionType,
+                exerciseStyle: inputs.exerciseStyle,
+                currentPrice: row.marketPrice,
+                bid: row.bid,
+                ask: row.ask,
+                openInterest: row.openInterest
+            };
+
+            const analysis = this.calculator.analyzeOption(contract, row.marketData, referenceVol, inputs.treeOptions);
+            const signal = this.calculator.generateTradingSignal(contract, row.marketData, analysis, inputs.edgeThreshold, inputs.signalRules);
+
+            row.referenceVol = analysis.impliedVolatility;
+            row.referenceSource = inputs.volatilityEstimate ? 'input' : (referenceVol ? 'atm' : analysis.volatilitySource);
+            row.fairValue = analysis.theoreticalPrice;
+            row.delta = analysis.delta;
+            row.gamma = analysis.gamma;
+            row.theta = analysis.theta;
+            row.vega = analysis.vega;
+            row.edge = signal.edge;
+            row.action = signal.action;
+            row.confidence = signal.confidence;
+            row.failedChecks = signal.checks.filter(check => check.passed === false);
+        });
+
+        return {
+            results,
+            errors,
+            referenceVols,
+            smiles: this.buildSmiles(results)
+        };
+    }
+
+    // ATM IV per expiry: the solved strike closest to the underlying (call/put averaged)
+    atmVolatilities(results) {
+        const byExpiry = {};
+        results.forEach(row => {
+            if (row.impliedVolatility === null) return;
+            (byExpiry[row.expiryKey] = byExpiry[row.expiryKey] || []).push(row);
+        });
+
+        const atm = {};
+        Object.keys(byExpiry).forEach(key => {
+            const rows = byExpiry[key];
+            const distance = row => Math.abs(row.strikePrice - row.underlyingPrice);
+            const closest = Math.min(...rows.map(distance));
+            const atStrike = rows.filter(row => distance(row) === closest);
+            atm[key] = atStrike.reduce((sum, row) => sum + row.impliedVolatility, 0) / atStrike.length;
+        });
+        return atm;
+    }
+
+    // Fit a volatility surface to the solved smile points
+    fitSurface(results, inputs) {
+        const spots = results.map(row => row.underlyingPrice);
+        const spotPrice = spots.reduce((sum, value) => sum + value, 0) / spots.length;
+        const smiles = this.buildSmiles(results);
+
+        const quotes = [];
+        Object.keys(smiles).forEach(expiryKey => {
+            const timeToExpiry = results.find(row => row.expiryKey === expiryKey).timeToExpiry;
+            smiles[expiryKey].forEach(point => {
+                quotes.push({ expiryKey, timeToExpiry, strikePrice: point.strike, impliedVolatility: point.iv });
+            });
+        });
+
+        const cashDividends = this.calculator.dividendSchedule(inputs.marketData.dividends, inputs.marketData.timestamp);
+        return new VolatilitySurface(spotPrice, inputs.marketData.riskFreeRate, inputs.marketData.dividendYield, cashDividends).fit(quotes);
+    }
+
+    // Smile per expiry from out-of-the-money quotes (puts below spot, calls above), which
+    // carry the most time value; falls back to whichever side solved at a strike.
+    buildSmiles(results) {
+        const smiles = {};
+        results.forEach(row => {
+            if (row.impliedVolatility === null) return;
+            const smile = smiles[row.expiryKey] = smiles[row.expiryKey] || {};
+            const isOTM = row.optionType === 'call' ? row.strikePrice >= row.underlyingPrice : row.strikePrice <= row.underlyingPrice;
+            const existing = smile[row.strikePrice];
+            if (!existing || (isOTM && !existing.isOTM)) {
+                smile[row.strikePrice] = { strike: row.strikePrice, iv: row.impliedVolatility, isOTM };
+            }
+        });
+
+        const sorted = {};
+        Object.keys(smiles).sort().forEach(key => {
+            sorted[key] = Object.values(smiles[key]).sort((a, b) => a.strike - b.strike);
+        });
+        return sorted;
+    }
+}
+
+// Option chain panel: CSV input, sortable results table and smile chart
+class OptionChainUI {
+    constructor(calculator, getMarketInputs) {
+        this.analyzer = new OptionChainAnalyzer(calculator);
+        this.getMarketInputs = getMarketInputs;
+        this.results = [];
+        this.smiles = {};
+        this.surface = null;
+        this.sortKey = 'strikePrice';
+        this.sortAscending = true;
+        this.smileChart = null;
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        document.getElementById('chainFile').addEventListener('change', (e) => this.loadFile(e.target.files[0]));
+        document.getElementById('analyzeChainBtn').addEventListener('click', () => this.analyze());
+        document.getElementById('fitSurfaceBtn').addEventListener('click', () => this.fitSurface());
+        document.getElementById('surfaceQueryBtn').addEventListener('click', () => this.querySurface());
+
+        document.querySelectorAll('#chainTable th[data-sort]').forEach(th => {
+            th.addEventListener('click', () => this.sortBy(th.dataset.sort));
+        });
+    }
+
+    loadFile(file) {
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            document.getElementById('chainCsv').value = reader.result;
+        };
+        reader.onerror = () => this.showError(`Could not read ${file.name}`);
+        reader.readAsText(file);
+    }
+
+    analyze() {
+        this.hideError();
+
+        try {
+            const inputs = this.getMarketInputs();
+            const parsed = this.analyzer.parseCSV(document.getElementById('chainCsv').value);
+            const analysis = this.analyzer.analyzeChain(parsed.rows, inputs);
+            const skipped = parsed.errors.concat(analysis.errors);
+
+            if (analysis.results.length === 0) {
+                throw new Error(`No rows could be analysed. ${skipped.join('; ')}`);
+            }
+
+            this.results = analysis.results;
+            this.smiles = analysis.smiles;
+            const solved = this.results.filter(row => row.impliedVolatility !== null).length;
+            document.getElementById('chainSummary').textContent =
+                `${this.results.length} rows analysed, ${solved} IVs solved, ${skipped.length} skipped` +
+                (inputs.volatilityEstimate ? ` · fair value at ${(inputs.volatilityEstimate * 100).toFixed(1)}% input vol` : ' · fair value at each expiry\'s ATM IV');
+            document.getElementById('chainSkipped').textContent = skipped.join('\n');
+
+            document.getElementById('chainResults').classList.remove('hidden');
+            this.renderTable();
+            this.renderSmile();
+        } catch (error) {
+            document.getElementById('chainResults').classList.add('hidden');
+            this.showError(error.message);
+        }
+    }
+
+    sortBy(key) {
+        if (this.sortKey === key) {
+            this.sortAscending = !this.sortAscending;
+        } else {
+            this.sortKey = key;
+            this.sortAscending = true;
+        }
+        this.renderTable();
+    }
+
+    renderTable() {
+        const key = this.sortKey;
+        const direction = this.sortAscending ? 1 : -1;
+        const rows = this.results.slice().sort((a, b) => {
+            const x = a[key];
+            const y = b[key];
+            if (x === null || x === undefined) return 1;
+            if (y === null || y === undefined) return -1;
+            if (typeof x === 'string') return direction * x.localeCompare(y);
+            return direction * (x - y) || a.strikePrice - b.strikePrice;
+        });
+
+        document.querySelectorAll('#chainTable th[data-sort]').forEach(th => {
+            th.classList.toggle('sorted', th.dataset.sort === key);
+            th.dataset.direction = th.dataset.sort === key ? (this.sortAscending ? 'asc' : 'desc') : '';
+        });
+
+        const tbody = document.getElementById('chainTableBody');
+        tbody.innerHTML = '';
+
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            const digits = this.analyzer.calculator.priceDigits(row.marketData.model);
+            const price = value => value === null ? '--' : value.toFixed(digits);
+            const cells = [
+                row.expiryKey,
+                row.strikePrice.toFixed(digits),
+                row.optionType.toUpperCase(),
+                price(row.bid),
+                price(row.ask),
+                row.marketPrice.toFixed(digits),
+                row.impliedVolatility === null ? `-- (${row.ivStatus})` : `${(row.impliedVolatility * 100).toFixed(1)}%`,
+                row.fairValue.toFixed(digits),
+                row.delta.toFixed(3),
+                row.gamma.toFixed(4),
+                row.theta.toFixed(3),
+                row.vega.toFixed(3),
+                `${(row.edge * 100).toFixed(1)}%`,
+                row.action
+            ];
+
+            cells.forEach((text, index) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                if (index === 6 && row.impliedVolatility === null) {
+                    td.title = row.ivReason;
+                    td.className = 'warning-value';
+                }
+                if (index === 12) {
+                    td.className = row.edge >= 0 ? 'positive' : 'negative';
+                }
+                if (index === 13) {
+                    td.className = `action-value action-${row.action.toLowerCase()}`;
+                    td.title = row.failedChecks.map(check => `${check.label}: ${check.detail}`).join('\n');
+                }
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+    }
+
+    renderSmile() {
+        const smiles = this.smiles;
+        const colors = ['#60a5fa', '#fbbf24', '#c084fc', '#4ade80', '#f472b6', '#e0e0e0'];
+        const expiries = Object.keys(smiles);
+        const strikes = Array.from(new Set(
+            expiries.reduce((all, key) => all.concat(smiles[key].map(point => point.strike)), [])
+        )).sort((a, b) => a - b);
+
+        if (strikes.length === 0) {
+            document.getElementById('chainSmileCard').classList.add('hidden');
+            return;
+        }
+        document.getElementById('chainSmileCard').classList.remove('hidden');
+
+        const series = expiries.map((key, index) => {
+            const byStrike = {};
+            smiles[key].forEach(point => { byStrike[point.strike] = point.iv; });
+            return {
+                label: key,
+                color: colors[index % colors.length],
+                values: strikes.map(strike => strike in byStrike ? byStrike[strike] : NaN),
+                connectGaps: true,
+                showPoints: true
+            };
+        });
+
+        // Fitted smiles as dashed overlays once a surface exists
+        if (this.surface) {
+            expiries.forEach((key, index) => {
+                const slice = this.surface.slices.find(s => s.expiryKey === key);
+                if (!slice) return;
+                series.push({
+                    label: `${key} fit`,
+                    color: colors[index % colors.length],
+                    values: strikes.map(strike => this.surface.volatility(strike, slice.timeToExpiry)),
+                    dashed: true,
+                    width: 1
+                });
+            });
+        }
+
+        const spots = this.results.map(row => row.underlyingPrice);
+        const spot = spots.reduce((sum, value) => sum + value, 0) / spots.length;
+
+        if (!this.smileChart) {
+            this.smileChart = new LineChart(document.getElementById('chainSmileChart'), {
+                xLabel: 'Strike',
+                formatX: value => value.toFixed(0),
+                formatY: value => `${(value * 100).toFixed(0)}%`
+            });
+        }
+
+        this.smileChart.setData({
+            xValues: strikes,
+            series,
+            markers: [{ x: spot, label: 'Spot', color: '#888' }],
+            tooltip: index => [`Strike: ${strikes[index].toFixed(2)}`].concat(series
+                .filter(s => isFinite(s.values[index]))
+                .map(s => `${s.label}: ${(s.values[index] * 100).toFixed(2)}%`))
+        });
+    }
+
+    fitSurface() {
+        this.hideError();
+
+        try {
+            if (this.results.length === 0) {
+                throw new Error('Analyze a chain before fitting a surface');
+            }
+
+            this.surface = this.analyzer.fitSurface(this.results, this.getMarketInputs());
+            this.renderSurface();
+            this.renderSmile();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    renderSurface() {
+        const surface = this.surface;
+        const arbitrage = surface.checkArbitrage();
+        const formatRange = range => `k ${range[0].toFixed(2)} to ${range[1].toFixed(2)}`;
+
+        const tbody = document.getElementById('surfaceTableBody');
+        tbody.innerHTML = '';
+        surface.slices.forEach((slice, index) => {
+            const p = slice.params;
+            const params = slice.model === 'svi'
+                ? `a=${p.a.toFixed(4)} b=${p.b.toFixed(4)} ρ=${p.rho.toFixed(3)} m=${p.m.toFixed(3)} σ=${p.sigma.toFixed(3)}`
+                : slice.model === 'quadratic'
+                    ? `w=${p.c0.toFixed(4)}${p.c1 >= 0 ? '+' : ''}${p.c1.toFixed(4)}k+${p.c2.toFixed(4)}k²`
+                    : `w=${p.w.toFixed(4)}`;
+            const butterfly = arbitrage.butterfly[index];
+
+            const tr = document.createElement('tr');
+            [
+                slice.expiryKey,
+                `${(slice.timeToExpiry * 365.25).toFixed(0)}d`,
+                slice.model.toUpperCase(),
+                params,
+                `${(Math.sqrt(surface.sliceVariance(slice, 0) / slice.timeToExpiry) * 100).toFixed(2)}%`,
+                `${(slice.rmse * 100).toFixed(2)} vol pts`,
+                butterfly.passed ? 'OK' : `Violated ${formatRange(butterfly.range)}`
+            ].forEach((text, i) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                if (i === 6) td.className = butterfly.passed ? 'positive' : 'negative';
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+
+        const calendarLines = arbitrage.calendar.map(check => check.passed
+            ? `${check.from} → ${check.to}: OK`
+            : `${check.from} → ${check.to}: total variance decreases over ${formatRange(check.range)}`);
+        document.getElementById('surfaceCalendar').textContent = calendarLines.length > 0
+            ? calendarLines.join('\n')
+            : 'Single expiry - no calendar check';
+
+        document.getElementById('surfaceCard').classList.remove('hidden');
+        document.getElementById('useSurface').disabled = false;
+    }
+
+    querySurface() {
+        const strikePrice = parseFloat(document.getElementById('surfaceQueryStrike').value);
+        const expiry = new Date(document.getElementById('surfaceQueryExpiry').value);
+        const output = document.getElementById('surfaceQueryResult');
+
+        if (!this.surface || isNaN(strikePrice) || strikePrice <= 0 || isNaN(expiry.getTime())) {
+            output.textContent = 'Enter a strike and expiry after fitting';
+            return;
+        }
+
+        const calculator = this.analyzer.calculator;
+        const timeToExpiry = calculator.timeToExpiration(expiry);
+        if (timeToExpiry <= 0) {
+            output.textContent = 'Expiry must be in the future';
+            return;
+        }
+        output.textContent = `${(this.surface.volatility(strikePrice, timeToExpiry) * 100).toFixed(2)}%`;
+    }
+
+    showError(message) {
+        document.getElementById('chainErrorMessage').textContent = message;
+        document.getElementById('chainError').classList.remove('hidden');
+    }
+
+    hideError() {
+        document.getElementById('chainError').classList.add('hidden');
+    }
+}
@@ -0,0 +1,306 @@
+// Lightweight canvas line chart with hover readout
+// Rendered entirely client-side; no external charting service or library.
+class LineChart {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            height: 320,
+            padding: { top: 16, right: 16, bottom: 36, left: 72 },
+            includeZero: false,
+            xLabel: '',
+            yLabel: '',
+            formatX: value => value.toFixed(2),
+            formatY: value => value.toFixed(2),
+            ...options
+        };
+        this.data = null;
+        this.hoverIndex = null;
+
+        this.container.classList.add('chart');
+        this.canvas = document.createElement('canvas');
+        this.canvas.style.height = `${this.options.height}px`;
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'chart-tooltip hidden';
+        this.legend = document.createElement('div');
+        this.legend.className = 'chart-legend';
+
+        this.container.appendChild(this.canvas);
+        this.container.appendChild(this.tooltip);
+        this.container.appendChild(this.legend);
+
+        this.canvas.addEventListener('mousemove', (e) => this.handleHover(e));
+        this.canvas.addEventListener('mouseleave', () => this.clearHover());
+        window.addEventListener('resize', () => this.render());
+    }
+
+    // data: { xValues, series: [{ label, color, values, dashed, connectGaps, showPoints, bars }], markers: [{ x, label, color }], tooltip(index) }
+    // Non-finite values leave a gap in the line unless the series sets connectGaps. A bars series
+    // draws one bar from zero per x value instead of a line (x values evenly spaced, as bin centres).
+    setData(data) {
+        this.data = data;
+        this.hoverIndex = null;
+        this.tooltip.classList.add('hidden');
+        this.renderLegend();
+        this.render();
+    }
+
+    renderLegend() {
+        this.legend.innerHTML = '';
+        this.data.series.forEach(series => {
+            const item = document.createElement('span');
+            item.className = 'chart-legend-item';
+            const swatch = document.createElement('span');
+            swatch.className = 'chart-legend-swatch';
+            swatch.style.borderColor = series.color;
+            swatch.style.borderStyle = series.dashed ? 'dashed' : 'solid';
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(series.label));
+            this.legend.appendChild(item);
+        });
+    }
+
+    // Round axis ticks to 1/2/5 x 10^n steps
+    niceTicks(min, max, count = 6) {
+        const span = max - min || Math.abs(max) || 1;
+        const rawStep = span / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const residual = rawStep / magnitude;
+        const step = (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+
+        const ticks = [];
+        for (let tick = Math.ceil(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+            ticks.push(Math.abs(tick) < step * 1e-9 ? 0 : tick);
+        }
+        return ticks;
+    }
+
+    computeBounds() {
+        const xs = this.data.xValues;
+        const ys = [];
+        this.data.series.forEach(series => {
+            series.values.forEach(value => {
+                if (isFinite(value)) ys.push(value);
+            });
+        });
+        if (this.options.includeZero) ys.push(0);
+
+        let yMin = Math.min(...ys);
+        let yMax = Math.max(...ys);
+        const yPad = (yMax - yMin) * 0.05 || Math.abs(yMax) * 0.05 || 1;
+        yMin -= yPad;
+        yMax += yPad;
+
+        let xMin = xs[0];
+        let xMax = xs[xs.length - 1];
+        if (this.data.series.some(series => series.bars) && xs.length > 1) {
+            const halfBin = (xMax - xMin) / (xs.length - 1) / 2;
+            xMin -= halfBin;
+            xMax += halfBin;
+        }
+        if (xMin === xMax) {
+            xMin -= 1;
+            xMax += 1;
+        }
+
+        return { xMin, xMax, yMin, yMax };
+    }
+
+    render() {
+        if (!this.data) {
+            return;
+        }
+
+        const ctx = this.canvas.getContext('2d');
+        if (!ctx) {
+            return;
+        }
+
+        const width = this.canvas.clientWidth;
+        const height = this.options.height;
+        const dpr = window.devicePixelRatio || 1;
+        this.canvas.width = width * dpr;
+        this.canvas.height = height * dpr;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const pad = this.options.padding;
+        const plot = { left: pad.left, top: pad.top, right: width - pad.right, bottom: height - pad.bottom };
+        const bounds = this.computeBounds();
+        this.plot = plot;
+        this.bounds = bounds;
+
+        const toX = x => plot.left + (x - bounds.xMin) / (bounds.xMax - bounds.xMin) * (plot.right - plot.left);
+        const toY = y => plot.bottom - (y - bounds.yMin) / (bounds.yMax - bounds.yMin) * (plot.bottom - plot.top);
+
+        ctx.font = '10px monospace';
+        ctx.lineWidth = 1;
+
+        // Grid and axis labels
+        ctx.strokeStyle = '#1a1a1a';
+        ctx.fillStyle = '#888';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        this.niceTicks(bounds.yMin, bounds.yMax).forEach(tick => {
+            const y = toY(tick);
+            ctx.beginPath();
+            ctx.moveTo(plot.left, y);
+            ctx.lineTo(plot.right, y);
+            ctx.stroke();
+            ctx.fillText(this.options.formatY(tick), plot.left - 6, y);
+        });
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        this.niceTicks(bounds.xMin, bounds.xMax, Math.max(Math.floor((plot.right - plot.left) / 80), 2)).forEach(tick => {
+            const x = toX(tick);
+            ctx.beginPath();
+            ctx.moveTo(x, plot.top);
+            ctx.lineTo(x, plot.bottom);
+            ctx.stroke();
+            ctx.fillText(this.options.formatX(tick), x, plot.bottom + 6);
+        });
+
+        ctx.strokeStyle = '#333';
+        ctx.strokeRect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+
+        if (this.options.xLabel) {
+            ctx.fillText(this.options.xLabel, (plot.left + plot.right) / 2, plot.bottom + 20);
+        }
+
+        // Zero line
+        if (bounds.yMin < 0 && bounds.yMax > 0) {
+            ctx.strokeStyle = '#555';
+            ctx.beginPath();
+            ctx.moveTo(plot.left, toY(0));
+            ctx.lineTo(plot.right, toY(0));
+            ctx.stroke();
+        }
+
+        // Vertical markers (strike, spot, breakevens...)
+        (this.data.markers || []).forEach(marker => {
+            if (marker.x < bounds.xMin || marker.x > bounds.xMax) return;
+            const x = toX(marker.x);
+            ctx.strokeStyle = marker.color || '#666';
+            ctx.setLineDash([2, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, plot.top);
+            ctx.lineTo(x, plot.bottom);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = marker.color || '#666';
+            ctx.textAlign = 'left';
+            ctx.fillText(marker.label, x + 3, plot.top + 2);
+        });
+
+        // Series
+        this.data.series.forEach(series => {
+            if (series.bars) {
+                const xs = this.data.xValues;
+                const barWidth = xs.length > 1 ? Math.max((toX(xs[1]) - toX(xs[0])) - 1, 1) : 8;
+                ctx.fillStyle = series.color;
+                series.values.forEach((value, i) => {
+                    if (!isFinite(value) || value === 0) return;
+                    const top = toY(Math.max(value, 0));
+                    ctx.fillRect(toX(xs[i]) - barWidth / 2, top, barWidth, toY(Math.min(value, 0)) - top);
+                });
+                return;
+            }
+
+            ctx.strokeStyle = series.color;
+            ctx.lineWidth = series.width || 1.5;
+            ctx.setLineDash(series.dashed ? [5, 4] : []);
+            ctx.beginPath();
+            let started = false;
+            series.values.forEach((value, i) => {
+                if (!isFinite(value)) {
+                    if (!series.connectGaps) started = false;
+                    return;
+                }
+                const x = toX(this.data.xValues[i]);
+                const y = toY(value);
+                if (started) {
+                    ctx.lineTo(x, y);
+                } else {
+                    ctx.moveTo(x, y);
+                    started = true;
+                }
+            });
+            ctx.stroke();
+
+            if (series.showPoints) {
+                ctx.fillStyle = series.color;
+                series.values.forEach((value, i) => {
+                    if (!isFinite(value)) return;
+                    ctx.beginPath();
+                    ctx.arc(toX(this.data.xValues[i]), toY(value), 2.5, 0, 2 * Math.PI);
+                    ctx.fill();
+                });
+            }
+        });
+        ctx.setLineDash([]);
+        ctx.lineWidth = 1;
+
+        // Hover crosshair
+        if (this.hoverIndex !== null) {
+            const x = toX(this.data.xValues[this.hoverIndex]);
+            ctx.strokeStyle = '#888';
+            ctx.beginPath();
+            ctx.moveTo(x, plot.top);
+            ctx.lineTo(x, plot.bottom);
+            ctx.stroke();
+
+            this.data.series.forEach(series => {
+                const value = series.values[this.hoverIndex];
+                if (!isFinite(value)) return;
+                ctx.fillStyle = series.color;
+                ctx.beginPath();
+                ctx.arc(x, toY(value), 3, 0, 2 * Math.PI);
+                ctx.fill();
+            });
+        }
+    }
+
+    handleHover(e) {
+        if (!this.data || !this.plot) {
+            return;
+        }
+
+        const rect = this.canvas.getBoundingClientRect();
+        const mouseX = e.clientX - rect.left;
+        if (mouseX < this.plot.left || mouseX > this.plot.right) {
+            this.clearHover();
+            return;
+        }
+
+        const xValue = this.bounds.xMin + (mouseX - this.plot.left) / (this.plot.right - this.plot.left) * (this.bounds.xMax - this.bounds.xMin);
+        const xs = this.data.xValues;
+        let nearest = 0;
+        xs.forEach((x, i) => {
+            if (Math.abs(x - xValue) < Math.abs(xs[nearest] - xValue)) nearest = i;
+        });
+
+        this.hoverIndex = nearest;
+        this.render();
+
+        const lines = this.data.tooltip
+            ? this.data.tooltip(nearest)
+            : [this.options.formatX(xs[nearest])].concat(this.data.series.map(s => `${s.label}: ${this.options.formatY(s.values[nearest])}`));
+        this.tooltip.innerHTML = '';
+        lines.forEach(line => {
+            const row = document.createElement('div');
+            row.textContent = line;
+            this.tooltip.appendChild(row);
+        });
+        this.tooltip.classList.remove('hidden');
+
+        const left = mouseX + 12 + this.tooltip.offsetWidth > rect.width ? mouseX - 12 - this.tooltip.offsetWidth : mouseX + 12;
+        this.tooltip.style.left = `${left}px`;
+        this.tooltip.style.top = `${this.plot.top}px`;
+    }
+
+    clearHover() {
+        this.hoverIndex = null;
+        this.tooltip.classList.add('hidden');
+        this.render();
+    }
+}
@@ -0,0 +1,455 @@
+#!/usr/bin/env node
+// Command-line front end to the pricing engine in black-scholes.js
+// Prices one contract from flags, or a batch of contracts read from stdin as JSON or CSV, and
+// prints the analyzeOption and generateTradingSignal results as JSON or a table.
+// Rates, yields, volatility and edge are in percent, as on the web form.
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { BlackScholesCalculator } = require('./black-scholes.js');
+const { MarketCalendar } = require('./market-calendar.js');
+
+const USAGE = `Usage:
+  node cli.js --strike 150 --expiry 2026-12-18 --type call --spot 152 --rate 5 [options]
+  node cli.js --batch [options] < contracts.csv|contracts.json
+
+Contract and market inputs:
+  --symbol SYM              Underlying symbol (default UNDERLYING)
+  --strike N                Strike price
+  --expiry YYYY-MM-DD       Expiration date
+  --type call|put           Option type
+  --style european|american Exercise style (default european)
+  --price N                 Market price of the option; IV is solved from it when --vol is not set
+  --bid N, --ask N          Quote; buys are priced at the ask, sells at the bid (mid replaces --price)
+  --open-interest N         Open interest, checked by --min-oi
+  --model M                 black-scholes (default), black-76 (options on futures: --spot is the
+                            futures price) or garman-kohlhagen (currency options)
+  --spot N                  Underlying price
+  --rate PCT                Risk-free rate (%); the domestic rate for garman-kohlhagen
+  --foreign-rate PCT        Foreign interest rate (%), required by garman-kohlhagen
+  --dividend-yield PCT      Continuous dividend yield (%, default 0; black-scholes only)
+  --dividend DATE,AMOUNT    Cash dividend; repeat for a schedule (black-scholes only)
+  --vol PCT                 Volatility estimate (%)
+  --date DATE               Valuation date or time (default now), e.g. 2026-12-18T10:00:00-05:00
+  --settlement pm|am        Expiry cut-off: 16:00 ET close (pm, default) or 09:30 ET open (am)
+  --time-basis B            calendar, trading or blended clock for time to expiry (default calendar)
+  --weekend-weight N        Blended clock weight of a weekend or holiday day, 0-1 (default 0.3)
+  --holiday YYYY-MM-DD      Extra exchange closure on top of the NYSE calendar; repeatable
+
+Analysis options:
+  --edge PCT                Edge threshold for the signal (%, default 10)
+  --min-dte N               Signal rule: minimum days to expiry (default 7)
+  --max-spread PCT          Signal rule: maximum bid/ask spread (% of mid)
+  --min-oi N                Signal rule: minimum open interest
+  --min-delta N             Signal rule: minimum absolute delta
+  --max-delta N             Signal rule: maximum absolute delta
+  --commission N            Commission per contract ($, default 0)
+  --slippage N              Slippage per share and side ($, default 0)
+  --tree-method M           leisen-reimer or crr for American exercise (default leisen-reimer)
+  --tree-steps N            Binomial tree steps, 10-2000 (default 201)
+  --theta-convention C      calendar or trading (default calendar)
+  --contracts N             Contracts for the position Greeks (default 1)
+
+Batch and output:
+  --batch                   Read contracts from stdin: a JSON array of objects, or CSV with a header
+                            row, using the input names above as keys/columns (e.g. strike, expiry,
+                            type, price, spot, rate, dividend_yield). Flags fill missing fields.
+                            Cash dividends: JSON [{ "exDate": ..., "amount": ... }] or a
+                            "DATE AMOUNT; DATE AMOUNT" column named dividends.
+  --format json|table       Output format (default json)
+  -h, --help                Show this help
+
+Exit status: 0 on success, 1 if any contract could not be analysed, 2 on usage errors.`;
+
+const OPTIONS = {
+    symbol: { type: 'string' },
+    strike: { type: 'string' },
+    expiry: { type: 'string' },
+    type: { type: 'string' },
+    style: { type: 'string' },
+    price: { type: 'string' },
+    bid: { type: 'string' },
+    ask: { type: 'string' },
+    'open-interest': { type: 'string' },
+    model: { type: 'string' },
+    spot: { type: 'string' },
+    rate: { type: 'string' },
+    'foreign-rate': { type: 'string' },
+    'dividend-yield': { type: 'string' },
+    dividend: { type: 'string', multiple: true },
+    vol: { type: 'string' },
+    date: { type: 'string' },
+    settlement: { type: 'string' },
+    'time-basis': { type: 'string' },
+    'weekend-weight': { type: 'string' },
+    holiday: { type: 'string', multiple: true },
+    edge: { type: 'string' },
+    'min-dte': { type: 'string' },
+    'max-spread': { type: 'string' },
+    'min-oi': { type: 'string' },
+    'min-delta': { type: 'string' },
+    'max-delta': { type: 'string' },
+    commission: { type: 'string' },
+    slippage: { type: 'string' },
+    'tree-method': { type: 'string' },
+    'tree-steps': { type: 'string' },
+    'theta-convention': { type: 'string' },
+    contracts: { type: 'string' },
+    batch: { type: 'boolean' },
+    format: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Input field names with case, dashes and underscores dropped, as flags and batch keys are matched
+const INPUT_FIELDS = ['symbol', 'strike', 'expiry', 'type', 'style', 'price', 'bid', 'ask', 'openinterest', 'model', 'spot', 'rate',
+    'foreignrate', 'dividendyield', 'dividends', 'vol', 'date', 'settlement', 'timebasis', 'weekendweight', 'holidays', 'edge', 'mindte', 'maxspread', 'minoi', 'mindelta', 'maxdelta',
+    'commission', 'slippage', 'treemethod', 'treesteps', 'thetaconvention', 'contracts'];
+
+function normalizeKey(key) {
+    return String(key).toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+// Batch record or flag values as { field: value } over INPUT_FIELDS, dropping blanks
+function normalizeInput(record) {
+    const input = {};
+    Object.keys(record).forEach(key => {
+        let field = normalizeKey(key);
+        if (field === 'dividend') field = 'dividends';
+        if (field === 'holiday') field = 'holidays';
+        const value = record[key];
+        if (!INPUT_FIELDS.includes(field) || value === undefined || value === null || value === '') {
+            return;
+        }
+        input[field] = value;
+    });
+    return input;
+}
+
+function splitCSVLine(line, delimiter) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            if (quoted && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                quoted = !quoted;
+            }
+        } else if (char === delimiter && !quoted) {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current.trim());
+    return fields;
+}
+
+// JSON array (or single object) or CSV with a header row
+function parseBatch(text) {
+    const trimmed = text.trim();
+    if (!trimmed) {
+        throw new Error('--batch expects contracts on stdin, but stdin was empty');
+    }
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`Batch JSON could not be parsed: ${error.message}`);
+        }
+        const records = Array.isArray(data) ? data : [data];
+        if (records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+            throw new Error('Batch JSON must be an array of objects');
+        }
+        return records;
+    }
+
+    const lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) {
+        throw new Error('Batch CSV needs a header row and at least one contract row');
+    }
+    const delimiter = lines[0].includes('\t') ? '\t' : ',';
+    const headers = splitCSVLine(lines[0], delimiter);
+    return lines.slice(1).map(line => {
+        const fields = splitCSVLine(line, delimiter);
+        const record = {};
+        headers.forEach((header, index) => {
+            record[header] = fields[index];
+        });
+        return record;
+    });
+}
+
+function parseNumber(input, field, label, { required = false, positive = false, percent = false } = {}) {
+    const raw = input[field];
+    if (raw === undefined) {
+        if (required) {
+            throw new Error(`Missing ${label}`);
+        }
+        return null;
+    }
+    const value = Number(raw);
+    if (!isFinite(value) || (positive && value <= 0)) {
+        throw new Error(`${label} must be ${positive ? 'a positive number' : 'a number'}, got "${raw}"`);
+    }
+    return percent ? value / 100 : value;
+}
+
+function parseDate(input, field, label) {
+    const date = new Date(input[field]);
+    if (isNaN(date.getTime())) {
+        throw new Error(`${label} must be a date (YYYY-MM-DD), got "${input[field]}"`);
+    }
+    return date;
+}
+
+// Contract, market data and analysis options for analyzeOption, validated like the web form
+function buildRequest(calculator, input) {
+    const type = String(input.type || '').toLowerCase();
+    const optionType = type.startsWith('c') ? 'call' : (type.startsWith('p') ? 'put' : null);
+    if (!optionType) {
+        throw new Error(input.type === undefined ? 'Missing type (call or put)' : `type must be call or put, got "${input.type}"`);
+    }
+    const exerciseStyle = String(input.style || 'european').toLowerCase();
+    if (exerciseStyle !== 'european' && exerciseStyle !== 'american') {
+        throw new Error(`style must be european or american, got "${input.style}"`);
+    }
+    const thetaConvention = String(input.thetaconvention || 'calendar').toLowerCase();
+    if (thetaConvention !== 'calendar' && thetaConvention !== 'trading') {
+        throw new Error(`theta-convention must be calendar or trading, got "${input.thetaconvention}"`);
+    }
+
+    const strikePrice = parseNumber(input, 'strike', 'strike', { required: true, positive: true });
+    if (input.expiry === undefined) {
+        throw new Error('Missing expiry');
+    }
+    const expirationDate = parseDate(input, 'expiry', 'expiry');
+    const timestamp = input.date !== undefined ? parseDate(input, 'date', 'date') : new Date();
+
+    const weekendWeight = parseNumber(input, 'weekendweight', 'weekend-weight');
+    const holidays = input.holidays === undefined ? [] : (Array.isArray(input.holidays) ? input.holidays : String(input.holidays).split(/[\s,;]+/));
+    const calendar = new MarketCalendar({
+        settlement: String(input.settlement || 'pm').toLowerCase(),
+        timeBasis: String(input.timebasis || 'calendar').toLowerCase(),
+        weekendWeight: weekendWeight !== null ? weekendWeight : undefined,
+        holidays: holidays.filter(day => day !== '')
+    });
+    const expiry = calendar.expiry(expirationDate);
+    if (expiry.instant <= timestamp) {
+        throw new Error(`Expiry ${input.expiry} (${calendar.formatLocal(expiry.instant)} ET cut-off) is not after the valuation date`);
+    }
+
+    const treeOptions = {
+        method: String(input.treemethod || calculator.DEFAULT_TREE_METHOD).toLowerCase(),
+        steps: input.treesteps !== undefined ? Number(input.treesteps) : calculator.DEFAULT_TREE_STEPS
+    };
+    if (treeOptions.method !== 'leisen-reimer' && treeOptions.method !== 'crr') {
+        throw new Error(`tree-method must be leisen-reimer or crr, got "${input.treemethod}"`);
+    }
+    if (!Number.isInteger(treeOptions.steps) || treeOptions.steps < 10 || treeOptions.steps > 2000) {
+        throw new Error('tree-steps must be a whole number between 10 and 2000');
+    }
+
+    const contracts = input.contracts !== undefined ? Number(input.contracts) : 1;
+    if (!Number.isInteger(contracts) || contracts === 0) {
+        throw new Error(`contracts must be a non-zero whole number, got "${input.contracts}"`);
+    }
+
+    let dividends = [];
+    if (Array.isArray(input.dividends)) {
+        dividends = input.dividends.map((dividend, index) => {
+            if (typeof dividend === 'string') {
+                return calculator.parseDividendSchedule(dividend)[0];
+            }
+            const exDate = new Date(dividend.exDate);
+            if (isNaN(exDate.getTime()) || !(dividend.amount > 0)) {
+                throw new Error(`Cash dividend ${index + 1}: expected { "exDate": "YYYY-MM-DD", "amount": positive number }`);
+            }
+            return { exDate, amount: dividend.amount };
+        }).filter(Boolean).sort((a, b) => a.exDate - b.exDate);
+    } else if (input.dividends !== undefined) {
+        dividends = calculator.parseDividendSchedule(String(input.dividends).replace(/;/g, '\n'));
+    }
+
+    const bid = parseNumber(input, 'bid', 'bid', { positive: true });
+    const ask = parseNumber(input, 'ask', 'ask', { positive: true });
+    if (bid !== null && ask !== null && ask < bid) {
+        throw new Error(`ask (${ask}) must be at least the bid (${bid})`);
+    }
+    const price = parseNumber(input, 'price', 'price', { positive: true });
+    const openInterest = parseNumber(input, 'openinterest', 'open-interest');
+    if (openInterest !== null && (!Number.isInteger(openInterest) || openInterest < 0)) {
+        throw new Error(`open-interest must be a whole number, got "${input.openinterest}"`);
+    }
+
+    // Signal rules: absent flags keep the engine defaults
+    const signalRules = {};
+    [['mindte', 'min-dte', 'minDaysToExpiry'], ['maxspread', 'max-spread', 'maxSpread', true], ['minoi', 'min-oi', 'minOpenInterest'],
+        ['mindelta', 'min-delta', 'minDelta'], ['maxdelta', 'max-delta', 'maxDelta'], ['commission', 'commission', 'commission'],
+        ['slippage', 'slippage', 'slippage']].forEach(([field, label, rule, percent]) => {
+        const value = parseNumber(input, field, label, { percent });
+        if (value === null) {
+            return;
+        }
+        if (value < 0 || (/delta/i.test(rule) && value > 1)) {
+            throw new Error(`${label} must be ${/delta/i.test(rule) ? 'between 0 and 1' : 'zero or more'}, got "${input[field]}"`);
+        }
+        signalRules[rule] = value;
+    });
+
+    const edgeThreshold = parseNumber(input, 'edge', 'edge', { percent: true });
+    const model = String(input.model || calculator.DEFAULT_PRICING_MODEL).toLowerCase();
+    return {
+        contract: {
+            underlyingSymbol: String(input.symbol || 'UNDERLYING').toUpperCase(),
+            strikePrice,
+            expirationDate,
+            optionType,
+            exerciseStyle,
+            currentPrice: price !== null ? price : (bid !== null && ask !== null ? (bid + ask) / 2 : null),
+            bid,
+            ask,
+            openInterest
+        },
+        marketData: calculator.modelMarketData({
+            model,
+            underlyingPrice: parseNumber(input, 'spot', 'spot', { required: true, positive: true }),
+            riskFreeRate: parseNumber(input, 'rate', 'rate', { required: true, percent: true }),
+            foreignRate: parseNumber(input, 'foreignrate', 'foreign-rate', { required: model === 'garman-kohlhagen', percent: true }),
+            dividendYield: parseNumber(input, 'dividendyield', 'dividend-yield', { percent: true }) || 0,
+            dividends,
+            volatilitySurface: null,
+            timestamp
+        }),
+        volatilityEstimate: parseNumber(input, 'vol', 'vol', { positive: true, percent: true }),
+        treeOptions,
+        greekOptions: { thetaConvention, positionSize: contracts },
+        edgeThreshold: edgeThreshold !== null ? edgeThreshold : 0.10,
+        signalRules,
+        calendar
+    };
+}
+
+function analyze(calculator, input) {
+    const request = buildRequest(calculator, input);
+    calculator.expiryCalendar = request.calendar;
+    const analysis = calculator.analyzeOption(
+        request.contract,
+        request.marketData,
+        request.volatilityEstimate,
+        request.treeOptions,
+        request.greekOptions
+    );
+    const signal = calculator.generateTradingSignal(request.contract, request.marketData, analysis, request.edgeThreshold, request.signalRules);
+    return { contract: request.contract, marketData: request.marketData, analysis, signal, priceDigits: calculator.priceDigits(analysis.model) };
+}
+
+const TABLE_COLUMNS = [
+    ['Symbol', row => row.contract.underlyingSymbol],
+    ['Type', row => `${row.contract.optionType}${row.contract.exerciseStyle === 'american' ? ' (am)' : ''}`],
+    ['Strike', row => row.contract.strikePrice.toFixed(row.priceDigits)],
+    ['Expiry', row => row.contract.expirationDate.toISOString().split('T')[0]],
+    ['Spot', row => row.marketData.underlyingPrice.toFixed(row.priceDigits)],
+    ['Market', row => row.contract.currentPrice !== null ? row.contract.currentPrice.toFixed(row.priceDigits) : '--'],
+    ['Fair', row => row.analysis.theoreticalPrice.toFixed(4)],
+    ['Vol', row => `${(row.analysis.impliedVolatility * 100).toFixed(2)}% ${row.analysis.volatilitySource}`],
+    ['Delta', row => row.analysis.delta.toFixed(4)],
+    ['Gamma', row => row.analysis.gamma.toFixed(4)],
+    ['Theta', row => row.analysis.theta.toFixed(4)],
+    ['Vega', row => row.analysis.vega.toFixed(4)],
+    ['Rho', row => row.analysis.rho.toFixed(4)],
+    ['Signal', row => row.signal.action],
+    ['Edge', row => `${(row.signal.edge * 100).toFixed(1)}%`],
+    ['Net', row => `${(row.signal.netEdge * 100).toFixed(1)}%`],
+    ['EV', row => (row.signal.expectedValue === null ? '--' : row.signal.expectedValue.toFixed(row.priceDigits))],
+    ['PoP', row => (row.signal.probabilityOfProfit === null ? '--' : `${(row.signal.probabilityOfProfit * 100).toFixed(1)}%`)]
+];
+
+function formatTable(rows) {
+    const header = ['#', ...TABLE_COLUMNS.map(([label]) => label)];
+    const body = rows.map(row => row.error
+        ? [String(row.row), `error: ${row.error}`]
+        : [String(row.row), ...TABLE_COLUMNS.map(([, value]) => value(row))]);
+    const widths = header.map((label, index) => Math.max(label.length, ...body
+        .filter(cells => cells.length === header.length)
+        .map(cells => cells[index].length)));
+    const formatRow = cells => cells.length === header.length
+        ? cells.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd()
+        : cells.join('  ');
+    return [formatRow(header), widths.map(width => '-'.repeat(width)).join('  '), ...body.map(formatRow)].join('\n');
+}
+
+function formatJSON(rows, batch) {
+    const output = rows.map(row => row.error
+        ? { row: row.row, error: row.error }
+        : { row: row.row, contract: row.contract, marketData: row.marketData, analysis: row.analysis, signal: row.signal });
+    if (!batch) {
+        delete output[0].row;
+    }
+    return JSON.stringify(batch ? output : output[0], null, 2);
+}
+
+function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: false });
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    const flags = parsed.values;
+    if (flags.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+    const format = flags.format || 'json';
+    if (format !== 'json' && format !== 'table') {
+        process.stderr.write(`--format must be json or table, got "${format}"\n`);
+        return 2;
+    }
+
+    const defaults = normalizeInput({ ...flags, batch: undefined, format: undefined, help: undefined });
+    let inputs;
+    if (flags.batch) {
+        try {
+            inputs = parseBatch(fs.readFileSync(0, 'utf8')).map(record => ({ ...defaults, ...normalizeInput(record) }));
+        } catch (error) {
+            process.stderr.write(`${error.message}\n`);
+            return 2;
+        }
+    } else {
+        if (Object.keys(defaults).length === 0) {
+            process.stderr.write(`${USAGE}\n`);
+            return 2;
+        }
+        inputs = [defaults];
+    }
+
+    const calculator = new BlackScholesCalculator();
+    const rows = inputs.map((input, index) => {
+        try {
+            return { row: index + 1, ...analyze(calculator, input) };
+        } catch (error) {
+            return { row: index + 1, error: error.message };
+        }
+    });
+
+    process.stdout.write(`${format === 'table' ? formatTable(rows) : formatJSON(rows, !!flags.batch)}\n`);
+    if (!flags.batch && rows[0].error) {
+        process.stderr.write(`${rows[0].error}\n`);
+    }
+    return rows.some(row => row.error) ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, buildRequest, parseBatch };
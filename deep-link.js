@@ -0,0 +1,60 @@
+// Shareable analysis links
+// The main form's fields as URL parameters (named after the form fields, carried in the page's
+// hash), and back again through the form's own validator, so a link runs exactly when the
+// analysis would accept it and a bad or outdated link says what is wrong with it. The fields and
+// their rules are VALIDATION_FIELDS in validation.js.
+
+class AnalysisLink {
+    constructor(validator) {
+        this.validator = validator;
+    }
+
+    // Parameter string (no leading "#") from a { name: value } map or FormData; blank fields are left out
+    encode(values) {
+        const get = name => (typeof values.get === 'function' ? values.get(name) : values[name]);
+        const params = new URLSearchParams();
+        VALIDATION_FIELDS.forEach(field => {
+            const value = get(field.name);
+            if (value !== null && value !== undefined && String(value).trim() !== '') {
+                params.set(field.name, String(value).trim());
+            }
+        });
+        return params.toString();
+    }
+
+    // Form values from a parameter string. Returns { values, problems, complete }: values holds only
+    // the parameters that passed their check, problems one message per rejected or stale
+    // parameter, and complete is true when the link can be analysed as it stands. defaults are the
+    // form's values before the link is applied, which fill in any field the link leaves out.
+    decode(search, today = new Date(), defaults = {}) {
+        const params = new URLSearchParams(search);
+        const values = {};
+        const problems = [];
+        const labels = {};
+        VALIDATION_FIELDS.forEach(field => { labels[field.name] = field.label; });
+
+        params.forEach((value, name) => {
+            if (!(name in labels)) {
+                problems.push(`Ignored unknown link parameter "${name}"`);
+            }
+        });
+
+        VALIDATION_FIELDS.forEach(field => {
+            const raw = params.get(field.name);
+            if (raw !== null && raw.trim() !== '') {
+                values[field.name] = field.kind === 'choice' ? raw.trim().toLowerCase() : raw.trim();
+            }
+        });
+
+        const errors = this.validator.validate({ ...defaults, ...values }, today);
+        errors.forEach(error => {
+            if (error.field in values) {
+                problems.push(`${error.message} (${error.field} in the link)`);
+                delete values[error.field];
+            } else {
+                problems.push(`The link has no ${labels[error.field].toLowerCase()} (${error.field}) - fill it in to run the analysis`);
+            }
+        });
+        return { values, problems, complete: errors.length === 0 };
+    }
+}
@@ -0,0 +1,332 @@
+// Delta-hedging simulator
+// Sells (or buys) the analysed option at its entry price, then delta-hedges it with the stock
+// along simulated GBM paths whose realised volatility can differ from the implied volatility
+// the hedge ratios come from. Uses MonteCarloEngine's seeded generator (monte-carlo.js).
+
+class DeltaHedgeSimulator {
+    constructor(calculator) {
+        this.calculator = calculator;
+        this.CONTRACT_MULTIPLIER = 100;
+        this.MAX_PATHS = 20000;
+        this.MAX_PATH_STEPS = 5000000;
+        this.HISTOGRAM_BINS = 40;
+        this.PERCENTILES = [1, 5, 10, 25, 50, 75, 90, 95, 99];
+    }
+
+    validate(params) {
+        ['spotPrice', 'strikePrice', 'timeToExpiry', 'impliedVolatility', 'realisedVolatility', 'paths', 'rebalanceDays'].forEach(field => {
+            if (!(params[field] > 0)) {
+                throw new Error(`Hedging parameter ${field} must be positive`);
+            }
+        });
+        if (!Number.isInteger(params.contracts) || params.contracts < 1) {
+            throw new Error('Contracts must be a whole number of at least 1');
+        }
+        if (!(params.costBps >= 0) || !(params.costPerShare >= 0)) {
+            throw new Error('Transaction costs cannot be negative');
+        }
+        if (params.paths > this.MAX_PATHS) {
+            throw new Error(`Path count is limited to ${this.MAX_PATHS.toLocaleString('en-US')}`);
+        }
+        if (params.paths * this.rebalanceCount(params) > this.MAX_PATH_STEPS) {
+            throw new Error(`${params.paths.toLocaleString('en-US')} paths × ${this.rebalanceCount(params)} rebalances is too many - use fewer paths or rebalance less often`);
+        }
+    }
+
+    // Hedge rebalances between now and expiry (trading-day spacing)
+    rebalanceCount(params) {
+        return Math.max(Math.ceil(params.timeToExpiry * this.calculator.TRADING_DAYS_PER_YEAR / params.rebalanceDays), 1);
+    }
+
+    // params: { optionType, side ('short' | 'long'), contracts, spotPrice, strikePrice, timeToExpiry,
+    //   riskFreeRate, dividendYield, cashDividends, entryPrice, impliedVolatility, realisedVolatility,
+    //   rebalanceDays, costBps, costPerShare, paths, seed }
+    // The stock drifts at the risk-free rate less the yield. P&L is measured at expiry and includes
+    // interest on cash, dividends on the hedge and the cost of closing the hedge.
+    simulate(params) {
+        this.validate(params);
+
+        const calculator = this.calculator;
+        const engine = new MonteCarloEngine();
+        const seed = params.seed !== null && params.seed !== undefined ? params.seed >>> 0 : (Math.random() * 4294967296) >>> 0;
+        const normal = engine.createNormal(engine.createRandom(seed));
+
+        const steps = this.rebalanceCount(params);
+        const dt = params.timeToExpiry / steps;
+        const r = params.riskFreeRate;
+        const q = params.dividendYield;
+        const sigma = params.realisedVolatility;
+        const drift = (r - q - 0.5 * sigma * sigma) * dt;
+        const diffusion = sigma * Math.sqrt(dt);
+        const growth = Math.exp(r * dt);
+        const optionUnits = (params.side === 'short' ? -1 : 1) * params.contracts * this.CONTRACT_MULTIPLIER;
+        const isCall = params.optionType === 'call';
+        const cashDividends = (params.cashDividends || []).filter(dividend => dividend.time <= params.timeToExpiry);
+
+        // PV of the dividends still to come at each rebalance date, and the dividends paid in each step
+        const pendingIncome = [];
+        const paidInStep = new Float64Array(steps + 1);
+        for (let i = 0; i <= steps; i++) {
+            const time = i * dt;
+            pendingIncome.push(cashDividends
+                .filter(dividend => dividend.time > time)
+                .reduce((sum, dividend) => sum + dividend.amount * Math.exp(-r * (dividend.time - time)), 0));
+        }
+        cashDividends.forEach(dividend => {
+            paidInStep[Math.min(Math.ceil(dividend.time / dt - 1e-9), steps)] += dividend.amount;
+        });
+
+        const tradeCost = (shares, price) => Math.abs(shares) * (price * params.costBps / 10000 + params.costPerShare);
+        const hedgeShares = (escrowed, timeLeft) => -optionUnits * calculator.calculateDelta(
+            escrowed, params.strikePrice, timeLeft, r, params.impliedVolatility, params.optionType, q
+        );
+
+        const escrowedStart = params.spotPrice - pendingIncome[0];
+        if (!(escrowedStart > 0)) {
+            throw new Error('Cash dividends before expiry exceed the underlying price');
+        }
+        const initialShares = hedgeShares(escrowedStart, params.timeToExpiry);
+        const initialCash = -optionUnits * params.entryPrice - initialShares * params.spotPrice - tradeCost(initialShares, params.spotPrice);
+
+        const pnl = new Float64Array(params.paths);
+        let totalCosts = 0;
+        let totalTraded = 0;
+
+        for (let path = 0; path < params.paths; path++) {
+            let escrowed = escrowedStart;
+            let shares = initialShares;
+            let cash = initialCash;
+            let costs = tradeCost(initialShares, params.spotPrice);
+            let traded = Math.abs(initialShares);
+
+            for (let i = 1; i <= steps; i++) {
+                escrowed *= Math.exp(drift + diffusion * normal());
+                const spot = escrowed + pendingIncome[i];
+                cash = cash * growth + shares * (spot * q * dt + paidInStep[i]);
+
+                if (i < steps) {
+                    const target = hedgeShares(escrowed, params.timeToExpiry - i * dt);
+                    const trade = target - shares;
+                    const cost = tradeCost(trade, spot);
+                    cash -= trade * spot + cost;
+                    costs += cost;
+                    traded += Math.abs(trade);
+                    shares = target;
+                }
+            }
+
+            // Expiry: the option settles at intrinsic value and the hedge is sold back
+            const spot = escrowed;
+            const payoff = isCall ? Math.max(spot - params.strikePrice, 0) : Math.max(params.strikePrice - spot, 0);
+            const closeCost = tradeCost(shares, spot);
+            pnl[path] = cash + shares * spot - closeCost + optionUnits * payoff;
+            totalCosts += costs + closeCost;
+            totalTraded += traded + Math.abs(shares);
+        }
+
+        // With a drift of r the discounted hedge gains average zero, so without costs the expected
+        // P&L is the entry price's gap to the realised-vol price, carried to expiry
+        const realisedValue = calculator.blackScholesPrice(
+            escrowedStart, params.strikePrice, params.timeToExpiry, r, sigma, params.optionType, q
+        );
+        const expectedPnL = optionUnits * (realisedValue - params.entryPrice) * Math.exp(r * params.timeToExpiry);
+
+        return {
+            seed,
+            steps,
+            paths: params.paths,
+            optionUnits,
+            realisedValue,
+            expectedPnL,
+            averageCosts: totalCosts / params.paths,
+            averageSharesTraded: totalTraded / params.paths,
+            ...this.summarize(pnl)
+        };
+    }
+
+    // Mean, standard deviation, percentiles and histogram of the final P&L
+    summarize(pnl) {
+        const n = pnl.length;
+        const sorted = Float64Array.from(pnl).sort();
+        const mean = sorted.reduce((sum, value) => sum + value, 0) / n;
+        const variance = n > 1 ? sorted.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / (n - 1) : 0;
+
+        const percentile = p => {
+            const rank = (p / 100) * (n - 1);
+            const low = Math.floor(rank);
+            const high = Math.min(low + 1, n - 1);
+            return sorted[low] + (rank - low) * (sorted[high] - sorted[low]);
+        };
+
+        const min = sorted[0];
+        const max = sorted[n - 1];
+        const binWidth = (max - min) / this.HISTOGRAM_BINS || 1;
+        const counts = new Array(this.HISTOGRAM_BINS).fill(0);
+        sorted.forEach(value => {
+            counts[Math.min(Math.floor((value - min) / binWidth), this.HISTOGRAM_BINS - 1)] += 1;
+        });
+
+        return {
+            mean,
+            standardDeviation: Math.sqrt(variance),
+            standardError: Math.sqrt(variance / n),
+            min,
+            max,
+            probabilityOfLoss: sorted.filter(value => value < 0).length / n,
+            percentiles: this.PERCENTILES.map(p => ({ percentile: p, value: percentile(p) })),
+            histogram: counts.map((count, i) => ({
+                from: min + i * binWidth,
+                to: min + (i + 1) * binWidth,
+                count
+            }))
+        };
+    }
+}
+
+// Delta-hedging panel
+class HedgeSimulatorUI {
+    constructor(calculator, getFormData) {
+        this.calculator = calculator;
+        this.simulator = new DeltaHedgeSimulator(calculator);
+        this.getFormData = getFormData;
+        this.chart = null;
+        document.getElementById('runHedgeBtn').addEventListener('click', () => this.run());
+    }
+
+    // Contract, market data and implied volatility come from the main form, resolved exactly as
+    // the main analysis resolves them
+    buildParams() {
+        const formData = this.getFormData();
+        const analysis = this.calculator.analyzeOption(formData.contract, formData.marketData, formData.volatilityEstimate, formData.treeOptions);
+        const realisedInput = document.getElementById('hedgeRealisedVol').value;
+        const contractsInput = document.getElementById('hedgeContracts').value;
+        const seedValue = document.getElementById('hedgeSeed').value;
+
+        return {
+            optionType: formData.contract.optionType,
+            side: document.getElementById('hedgeSide').value,
+            contracts: contractsInput !== '' ? Number(contractsInput) : (formData.pnlData.positionSize || 1),
+            spotPrice: formData.marketData.underlyingPrice,
+            strikePrice: formData.contract.strikePrice,
+            timeToExpiry: analysis.timeToExpiry,
+            riskFreeRate: formData.marketData.riskFreeRate,
+            dividendYield: formData.marketData.dividendYield,
+            cashDividends: analysis.cashDividends,
+            entryPrice: formData.contract.currentPrice || analysis.theoreticalPrice,
+            priceDigits: this.calculator.priceDigits(analysis.model),
+            impliedVolatility: analysis.impliedVolatility,
+            volatilitySource: analysis.volatilitySource,
+            realisedVolatility: realisedInput !== '' ? parseFloat(realisedInput) / 100 : analysis.impliedVolatility,
+            rebalanceDays: parseFloat(document.getElementById('hedgeRebalanceDays').value),
+            costBps: parseFloat(document.getElementById('hedgeCostBps').value) || 0,
+            costPerShare: parseFloat(document.getElementById('hedgeCostPerShare').value) || 0,
+            paths: parseInt(document.getElementById('hedgePaths').value),
+            seed: seedValue !== '' ? parseInt(seedValue) : null
+        };
+    }
+
+    run() {
+        this.hideError();
+        let params;
+        try {
+            params = this.buildParams();
+            this.simulator.validate(params);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        // Let the status paint before the (synchronous) simulation starts
+        const button = document.getElementById('runHedgeBtn');
+        button.disabled = true;
+        document.getElementById('hedgeStatus').textContent = 'Simulating...';
+        setTimeout(() => {
+            try {
+                const startedAt = Date.now();
+                const result = this.simulator.simulate(params);
+                this.displayResult(params, result, Date.now() - startedAt);
+            } catch (error) {
+                this.showError(error.message);
+            } finally {
+                button.disabled = false;
+                document.getElementById('hedgeStatus').textContent = '';
+            }
+        }, 0);
+    }
+
+    displayResult(params, result, elapsedMs) {
+        const formatMoney = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+
+        document.getElementById('hedgeMean').textContent = `${formatMoney(result.mean)} ± ${formatMoney(1.96 * result.standardError)}`;
+        document.getElementById('hedgeStdDev').textContent = formatMoney(result.standardDeviation);
+        document.getElementById('hedgeExpected').textContent = formatMoney(result.expectedPnL);
+        document.getElementById('hedgeProbLoss').textContent = percent(result.probabilityOfLoss);
+        document.getElementById('hedgeRange').textContent = `${formatMoney(result.min)} – ${formatMoney(result.max)}`;
+        document.getElementById('hedgeCosts').textContent = `${formatMoney(result.averageCosts)} (${result.averageSharesTraded.toLocaleString('en-US', {maximumFractionDigits: 0})} shares traded)`;
+
+        const side = params.side === 'short' ? 'Short' : 'Long';
+        document.getElementById('hedgePosition').textContent =
+            `${side} ${params.contracts} ${params.optionType} @ $${params.entryPrice.toFixed(params.priceDigits)}`;
+        document.getElementById('hedgeVols').textContent =
+            `${percent(params.impliedVolatility)} implied (${params.volatilitySource}) / ${percent(params.realisedVolatility)} realised`;
+        document.getElementById('hedgeRealisedValue').textContent = `$${result.realisedValue.toFixed(4)}`;
+        document.getElementById('hedgeRebalances').textContent =
+            `${result.steps} (every ${params.rebalanceDays} trading day${params.rebalanceDays === 1 ? '' : 's'})`;
+        document.getElementById('hedgeRun').textContent =
+            `${result.paths.toLocaleString('en-US')} paths, seed ${result.seed}, ${(elapsedMs / 1000).toFixed(2)}s`;
+
+        const ordinal = n => `${n}${n % 10 === 1 && n % 100 !== 11 ? 'st' : n % 10 === 2 && n % 100 !== 12 ? 'nd' : n % 10 === 3 && n % 100 !== 13 ? 'rd' : 'th'}`;
+        const tbody = document.getElementById('hedgePercentiles');
+        tbody.innerHTML = '';
+        result.percentiles.forEach(({ percentile, value }) => {
+            const row = document.createElement('tr');
+            [ordinal(percentile), formatMoney(value)].forEach((text, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                if (index === 1) cell.className = value >= 0 ? 'positive' : 'negative';
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+
+        document.getElementById('hedgeResults').classList.remove('hidden');
+        this.renderHistogram(result, formatMoney);
+    }
+
+    renderHistogram(result, formatMoney) {
+        if (!this.chart) {
+            this.chart = new LineChart(document.getElementById('hedgeChart'), {
+                height: 260,
+                includeZero: true,
+                xLabel: 'Final Hedged P&L',
+                formatX: value => formatMoney(value).replace('.00', ''),
+                formatY: value => value.toFixed(0)
+            });
+        }
+
+        const bins = result.histogram;
+        const total = result.paths;
+        this.chart.setData({
+            xValues: bins.map(bin => (bin.from + bin.to) / 2),
+            series: [{ label: 'Paths', color: '#60a5fa', values: bins.map(bin => bin.count), bars: true }],
+            markers: [
+                { x: result.mean, label: 'Mean', color: '#fbbf24' },
+                { x: 0, label: '0', color: '#888' }
+            ],
+            tooltip: index => [
+                `${formatMoney(bins[index].from)} to ${formatMoney(bins[index].to)}`,
+                `${bins[index].count} paths (${(bins[index].count / total * 100).toFixed(1)}%)`
+            ]
+        });
+    }
+
+    showError(message) {
+        document.getElementById('hedgeErrorMessage').textContent = message;
+        document.getElementById('hedgeError').classList.remove('hidden');
+    }
+
+    hideError() {
+        document.getElementById('hedgeError').classList.add('hidden');
+    }
+}
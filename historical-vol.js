@@ -0,0 +1,324 @@
+// Historical (realised) volatility from OHLC price history
+// Close-to-close, Parkinson, Garman-Klass, Rogers-Satchell and Yang-Zhang estimators over the
+// most recent N bars, annualised with the trading-day count.
+
+const VOLATILITY_ESTIMATORS = {
+    closeToClose: 'Close-to-Close',
+    parkinson: 'Parkinson',
+    garmanKlass: 'Garman-Klass',
+    rogersSatchell: 'Rogers-Satchell',
+    yangZhang: 'Yang-Zhang'
+};
+
+// Accepted header names per column
+const HISTORY_COLUMNS = {
+    date: ['date', 'time', 'timestamp', 'day'],
+    open: ['open', 'o'],
+    high: ['high', 'h'],
+    low: ['low', 'l'],
+    close: ['close', 'c', 'adj_close', 'adjclose', 'last', 'price']
+};
+
+class HistoricalVolatility {
+    constructor(tradingDaysPerYear = 252) {
+        this.TRADING_DAYS_PER_YEAR = tradingDaysPerYear;
+    }
+
+    // Returns { bars: [{ date, open, high, low, close }] oldest first, hasRange, errors }.
+    // Open/high/low are optional; without them only close-to-close can be estimated.
+    parseCSV(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 3) {
+            throw new Error('Price history needs a header row and at least two bars');
+        }
+
+        const header = lines[0];
+        const delimiter = header.includes('\t') ? '\t' : (!header.includes(',') && header.includes(';') ? ';' : ',');
+        const headers = header.split(delimiter).map(h => h.trim().replace(/^"|"$/g, '').toLowerCase().replace(/[\s-]+/g, '_'));
+        const columnIndex = {};
+        Object.keys(HISTORY_COLUMNS).forEach(column => {
+            columnIndex[column] = headers.findIndex(h => HISTORY_COLUMNS[column].includes(h));
+        });
+        // Prefer a plain "close" over "adj close" when both are present
+        if (headers.includes('close')) {
+            columnIndex.close = headers.indexOf('close');
+        }
+
+        if (columnIndex.date === -1 || columnIndex.close === -1) {
+            throw new Error('Price history needs date and close columns (open, high and low are optional)');
+        }
+        const hasRange = ['open', 'high', 'low'].every(column => columnIndex[column] !== -1);
+
+        const bars = [];
+        const errors = [];
+        lines.slice(1).forEach((line, index) => {
+            const lineNumber = index + 2;
+            const fields = line.split(delimiter).map(field => field.trim().replace(/^"|"$/g, ''));
+            const date = new Date(fields[columnIndex.date]);
+            const value = column => (columnIndex[column] === -1 ? null : parseFloat(fields[columnIndex[column]]));
+            const bar = { date, open: value('open'), high: value('high'), low: value('low'), close: value('close') };
+
+            if (isNaN(date.getTime())) {
+                errors.push(`Line ${lineNumber}: invalid date "${fields[columnIndex.date]}"`);
+                return;
+            }
+            if (!(bar.close > 0)) {
+                errors.push(`Line ${lineNumber}: close must be a positive number`);
+                return;
+            }
+            if (hasRange) {
+                if (!(bar.open > 0) || !(bar.high > 0) || !(bar.low > 0)) {
+                    errors.push(`Line ${lineNumber}: open, high and low must be positive numbers`);
+                    return;
+                }
+                if (bar.high < Math.max(bar.open, bar.close, bar.low) || bar.low > Math.min(bar.open, bar.close)) {
+                    errors.push(`Line ${lineNumber}: high/low do not bracket open and close`);
+                    return;
+                }
+            }
+            bars.push(bar);
+        });
+
+        bars.sort((a, b) => a.date - b.date);
+        const unique = bars.filter((bar, i) => i === 0 || bar.date.getTime() !== bars[i - 1].date.getTime());
+        if (unique.length < bars.length) {
+            errors.push(`${bars.length - unique.length} duplicate date(s) ignored`);
+        }
+        if (unique.length < 3) {
+            throw new Error(`Fewer than three usable bars. ${errors.join('; ')}`);
+        }
+
+        return { bars: unique, hasRange, errors };
+    }
+
+    // Annualised estimates from the last `window` bars. Close-to-close and Yang-Zhang also use the
+    // close before the window. Range-based estimators are null without open/high/low.
+    estimate(bars, window, hasRange = true) {
+        if (!Number.isInteger(window) || window < 2) {
+            throw new Error('Windows must be whole numbers of at least 2 bars');
+        }
+        if (bars.length < window + 1) {
+            throw new Error(`A ${window}-bar window needs ${window + 1} bars; the history has ${bars.length}`);
+        }
+
+        const recent = bars.slice(bars.length - window);
+        const previousCloses = bars.slice(bars.length - window - 1, bars.length - 1).map(bar => bar.close);
+        const annualise = variance => Math.sqrt(Math.max(variance, 0) * this.TRADING_DAYS_PER_YEAR);
+        const sampleVariance = values => {
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            return values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / (values.length - 1);
+        };
+
+        const closeReturns = recent.map((bar, i) => Math.log(bar.close / previousCloses[i]));
+        const estimates = {
+            window,
+            from: recent[0].date,
+            to: recent[recent.length - 1].date,
+            closeToClose: annualise(sampleVariance(closeReturns)),
+            parkinson: null,
+            garmanKlass: null,
+            rogersSatchell: null,
+            yangZhang: null
+        };
+        if (!hasRange) {
+            return estimates;
+        }
+
+        const highLow = recent.map(bar => Math.log(bar.high / bar.low));
+        const closeOpen = recent.map(bar => Math.log(bar.close / bar.open));
+        const rogersSatchellTerms = recent.map(bar =>
+            Math.log(bar.high / bar.close) * Math.log(bar.high / bar.open) + Math.log(bar.low / bar.close) * Math.log(bar.low / bar.open));
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+        estimates.parkinson = annualise(mean(highLow.map(x => x * x)) / (4 * Math.log(2)));
+        estimates.garmanKlass = annualise(mean(highLow.map((x, i) => 0.5 * x * x - (2 * Math.log(2) - 1) * closeOpen[i] * closeOpen[i])));
+        estimates.rogersSatchell = annualise(mean(rogersSatchellTerms));
+
+        // Yang-Zhang: overnight variance + k x open-to-close variance + (1 - k) x Rogers-Satchell,
+        // with k chosen to minimise the estimator's variance
+        const overnight = recent.map((bar, i) => Math.log(bar.open / previousCloses[i]));
+        const k = 0.34 / (1.34 + (window + 1) / (window - 1));
+        estimates.yangZhang = annualise(sampleVariance(overnight) + k * sampleVariance(closeOpen) + (1 - k) * mean(rogersSatchellTerms));
+        return estimates;
+    }
+
+    parseWindows(text) {
+        const windows = String(text).split(/[\s,;]+/).filter(token => token !== '').map(Number);
+        if (windows.length === 0 || windows.some(window => !Number.isInteger(window) || window < 2)) {
+            throw new Error('Windows must be whole numbers of at least 2 bars, e.g. 10, 20, 30');
+        }
+        return Array.from(new Set(windows)).sort((a, b) => a - b);
+    }
+}
+
+// Historical volatility panel
+class HistoricalVolatilityUI {
+    constructor(calculator) {
+        this.estimator = new HistoricalVolatility(calculator.TRADING_DAYS_PER_YEAR);
+        this.history = null;
+        this.estimates = [];
+        this.selected = null;
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        const select = document.getElementById('hvReferenceEstimator');
+        Object.keys(VOLATILITY_ESTIMATORS).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = VOLATILITY_ESTIMATORS[key];
+            select.appendChild(option);
+        });
+        select.value = 'yangZhang';
+
+        document.getElementById('hvFile').addEventListener('change', (e) => this.loadFile(e.target.files[0]));
+        document.getElementById('analyzeHvBtn').addEventListener('click', () => this.analyze());
+        select.addEventListener('change', () => this.selectReference(select.value, this.selected ? this.selected.window : null));
+        document.getElementById('hvReferenceWindow').addEventListener('change', (e) => this.selectReference(select.value, parseInt(e.target.value)));
+    }
+
+    loadFile(file) {
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            document.getElementById('hvCsv').value = reader.result;
+        };
+        reader.onerror = () => this.showError(`Could not read ${file.name}`);
+        reader.readAsText(file);
+    }
+
+    analyze() {
+        this.hideError();
+
+        try {
+            this.history = this.estimator.parseCSV(document.getElementById('hvCsv').value);
+            const requested = this.estimator.parseWindows(document.getElementById('hvWindows').value);
+            const windows = requested.filter(window => window < this.history.bars.length);
+            const tooLong = requested.filter(window => window >= this.history.bars.length);
+            if (tooLong.length > 0) {
+                this.history.errors.push(`Window(s) ${tooLong.join(', ')} skipped: the history supports at most ${this.history.bars.length - 1} bars`);
+            }
+            if (windows.length === 0) {
+                throw new Error(`Every window is longer than the history allows (${this.history.bars.length - 1} bars at most)`);
+            }
+            this.estimates = windows.map(window => this.estimator.estimate(this.history.bars, window, this.history.hasRange));
+        } catch (error) {
+            this.history = null;
+            this.estimates = [];
+            this.selected = null;
+            document.getElementById('hvResults').classList.add('hidden');
+            this.showError(error.message);
+            return;
+        }
+
+        const bars = this.history.bars;
+        document.getElementById('hvSummary').textContent =
+            `${bars.length} bars, ${bars[0].date.toISOString().split('T')[0]} to ${bars[bars.length - 1].date.toISOString().split('T')[0]}` +
+            (this.history.hasRange ? '' : ' · close prices only, so range-based estimators are unavailable');
+        document.getElementById('hvSkipped').textContent = this.history.errors.join('\n');
+
+        const windowSelect = document.getElementById('hvReferenceWindow');
+        windowSelect.innerHTML = '';
+        this.estimates.forEach(estimate => {
+            const option = document.createElement('option');
+            option.value = estimate.window;
+            option.textContent = `${estimate.window} bars`;
+            windowSelect.appendChild(option);
+        });
+
+        // Default reference: Yang-Zhang (close-to-close without ranges) over the window nearest 20 bars
+        const nearest = this.estimates.reduce((best, estimate) =>
+            Math.abs(estimate.window - 20) < Math.abs(best.window - 20) ? estimate : best);
+        const key = this.history.hasRange ? document.getElementById('hvReferenceEstimator').value : 'closeToClose';
+        this.selectReference(key, nearest.window);
+        document.getElementById('hvResults').classList.remove('hidden');
+    }
+
+    renderTable() {
+        const head = document.getElementById('hvTableHead');
+        const body = document.getElementById('hvTableBody');
+        head.innerHTML = '';
+        body.innerHTML = '';
+
+        const headRow = document.createElement('tr');
+        headRow.appendChild(this.createCell('th', 'Estimator'));
+        this.estimates.forEach(estimate => headRow.appendChild(this.createCell('th', `${estimate.window} bars`)));
+        head.appendChild(headRow);
+
+        Object.keys(VOLATILITY_ESTIMATORS).forEach(key => {
+            const row = document.createElement('tr');
+            row.appendChild(this.createCell('th', VOLATILITY_ESTIMATORS[key]));
+            this.estimates.forEach(estimate => {
+                const value = estimate[key];
+                const cell = document.createElement('td');
+                if (value === null) {
+                    cell.textContent = 'n/a';
+                } else {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'hv-use-btn';
+                    button.textContent = `${(value * 100).toFixed(2)}%`;
+                    button.title = `Use ${VOLATILITY_ESTIMATORS[key]} over ${estimate.window} bars as the Volatility Estimate`;
+                    button.addEventListener('click', () => this.useEstimate(key, estimate.window));
+                    if (this.selected && this.selected.key === key && this.selected.window === estimate.window) {
+                        button.classList.add('selected');
+                    }
+                    cell.appendChild(button);
+                }
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+    }
+
+    createCell(tag, text) {
+        const cell = document.createElement(tag);
+        cell.textContent = text;
+        return cell;
+    }
+
+    selectReference(key, window) {
+        const estimate = this.estimates.find(e => e.window === window) || this.estimates[0];
+        if (!estimate || estimate[key] === null) {
+            this.selected = null;
+        } else {
+            this.selected = { key, window: estimate.window, volatility: estimate[key] };
+            document.getElementById('hvReferenceEstimator').value = key;
+            document.getElementById('hvReferenceWindow').value = estimate.window;
+        }
+        this.renderTable();
+    }
+
+    // Feed an estimate into the main form's Volatility Estimate; it also becomes the signal's reference
+    useEstimate(key, window) {
+        this.selectReference(key, window);
+        const volatilityInput = document.getElementById('volatility');
+        volatilityInput.value = (this.selected.volatility * 100).toFixed(2);
+        document.getElementById('hvUsed').textContent =
+            `Volatility Estimate set to ${volatilityInput.value}% (${VOLATILITY_ESTIMATORS[key]}, ${window} bars) - recalculate the analysis to apply it`;
+    }
+
+    // Realised volatility for the trading signal, or null when none is selected
+    reference() {
+        if (!this.selected || !document.getElementById('hvCompare').checked) {
+            return null;
+        }
+        return {
+            volatility: this.selected.volatility,
+            estimator: VOLATILITY_ESTIMATORS[this.selected.key],
+            window: this.selected.window
+        };
+    }
+
+    showError(message) {
+        document.getElementById('hvErrorMessage').textContent = message;
+        document.getElementById('hvError').classList.remove('hidden');
+    }
+
+    hideError() {
+        document.getElementById('hvError').classList.add('hidden');
+    }
+}
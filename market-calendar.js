@@ -0,0 +1,315 @@
+// Exchange calendar and expiry timing
+// Turns an expiration date into the instant the option stops trading (PM settlement at the
+// close, AM settlement at the open, in the exchange's time zone), knows the NYSE holidays and
+// early closes, and measures time to expiry on a calendar, trading-session or blended clock.
+// No DOM dependencies: loaded as a classic script by index.html and require()d by cli.js.
+
+const TIME_BASES = ['calendar', 'trading', 'blended'];
+
+class MarketCalendar {
+    // options: { timeZone, open, close, earlyClose ('HH:MM'), settlement ('pm' | 'am'),
+    // timeBasis ('calendar' | 'trading' | 'blended'), weekendWeight (blended clock weight of a
+    // non-trading day, 0-1), holidays (extra closures as 'YYYY-MM-DD' strings) }
+    constructor(options = {}) {
+        this.timeZone = options.timeZone || 'America/New_York';
+        this.open = options.open || '09:30';
+        this.close = options.close || '16:00';
+        this.earlyClose = options.earlyClose || '13:00';
+        this.settlement = options.settlement || 'pm';
+        this.timeBasis = options.timeBasis || 'calendar';
+        this.weekendWeight = options.weekendWeight !== undefined ? options.weekendWeight : 0.3;
+        this.extraHolidays = new Set(options.holidays || []);
+        this.TRADING_DAYS_PER_YEAR = 252;
+        this.CALENDAR_DAYS_PER_YEAR = 365.25;
+        this.MS_PER_DAY = 24 * 3600 * 1000;
+        this.holidayCache = {};
+
+        if (!['pm', 'am'].includes(this.settlement)) {
+            throw new Error(`Settlement must be pm or am, got "${this.settlement}"`);
+        }
+        if (!TIME_BASES.includes(this.timeBasis)) {
+            throw new Error(`Time basis must be one of ${TIME_BASES.join(', ')}, got "${this.timeBasis}"`);
+        }
+        if (!(this.weekendWeight >= 0 && this.weekendWeight <= 1)) {
+            throw new Error('Weekend weight must be between 0 and 1');
+        }
+        this.extraHolidays.forEach(day => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || isNaN(new Date(day).getTime())) {
+                throw new Error(`Holiday "${day}" is not a YYYY-MM-DD date`);
+            }
+        });
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
+    // Calendar date of a Date as 'YYYY-MM-DD'. Form and CSV dates parse as UTC midnight, so the
+    // UTC fields carry the intended day.
+    dayKey(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    addDays(day, count) {
+        const date = new Date(`${day}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + count);
+        return this.dayKey(date);
+    }
+
+    weekday(day) {
+        return new Date(`${day}T00:00:00Z`).getUTCDay();
+    }
+
+    // Wall-clock fields of an instant in the exchange time zone
+    localParts(instant) {
+        const parts = {};
+        this.formatter.formatToParts(instant).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        return parts;
+    }
+
+    // Exchange-local calendar date of an instant
+    localDay(instant) {
+        const parts = this.localParts(instant);
+        return `${parts.year}-${parts.month}-${parts.day}`;
+    }
+
+    // The instant a wall-clock time on a day occurs in the exchange time zone. The zone offset is
+    // read at the naive UTC guess and corrected once, which settles across DST changes.
+    zonedInstant(day, time) {
+        const [year, month, date] = day.split('-').map(Number);
+        const [hour, minute] = time.split(':').map(Number);
+        const naive = Date.UTC(year, month - 1, date, hour, minute);
+        const offsetAt = instant => {
+            const parts = this.localParts(new Date(instant));
+            return Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second) - instant;
+        };
+        const first = naive - offsetAt(naive);
+        return new Date(naive - offsetAt(first));
+    }
+
+    // NYSE full-day closures for a year as { 'YYYY-MM-DD': name }, plus the extra holidays.
+    // Saturday holidays are observed on the Friday (except New Year's Day, which the exchange
+    // does not move into the prior year) and Sunday holidays on the Monday.
+    holidays(year) {
+        if (this.holidayCache[year]) {
+            return this.holidayCache[year];
+        }
+
+        const day = (month, date) => `${year}-${String(month).padStart(2, '0')}-${String(date).padStart(2, '0')}`;
+        // nth weekday of a month (n = -1 for the last)
+        const nthWeekday = (month, weekday, n) => {
+            if (n > 0) {
+                const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+                return day(month, 1 + (weekday - first + 7) % 7 + (n - 1) * 7);
+            }
+            const lastDate = new Date(Date.UTC(year, month, 0)).getUTCDate();
+            const last = new Date(Date.UTC(year, month - 1, lastDate)).getUTCDay();
+            return day(month, lastDate - (last - weekday + 7) % 7);
+        };
+        const observed = (fixed, allowFriday = true) => {
+            const weekday = this.weekday(fixed);
+            if (weekday === 6) return allowFriday ? this.addDays(fixed, -1) : null;
+            if (weekday === 0) return this.addDays(fixed, 1);
+            return fixed;
+        };
+
+        const closures = {};
+        const add = (date, name) => {
+            if (date) closures[date] = name;
+        };
+        add(observed(day(1, 1), false), "New Year's Day");
+        add(nthWeekday(1, 1, 3), 'Martin Luther King Jr. Day');
+        add(nthWeekday(2, 1, 3), "Washington's Birthday");
+        add(this.addDays(this.easter(year), -2), 'Good Friday');
+        add(nthWeekday(5, 1, -1), 'Memorial Day');
+        if (year >= 2022) {
+            add(observed(day(6, 19)), 'Juneteenth');
+        }
+        add(observed(day(7, 4)), 'Independence Day');
+        add(nthWeekday(9, 1, 1), 'Labor Day');
+        add(nthWeekday(11, 4, 4), 'Thanksgiving Day');
+        add(observed(day(12, 25)), 'Christmas Day');
+        this.extraHolidays.forEach(date => {
+            if (date.startsWith(`${year}-`)) add(date, 'Additional holiday');
+        });
+
+        this.holidayCache[year] = closures;
+        return closures;
+    }
+
+    // Gregorian Easter Sunday (anonymous algorithm)
+    easter(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const date = (h + l - 7 * m + 114) % 31 + 1;
+        return `${year}-${String(month).padStart(2, '0')}-${String(date).padStart(2, '0')}`;
+    }
+
+    holidayName(day) {
+        return this.holidays(Number(day.slice(0, 4)))[day] || null;
+    }
+
+    isTradingDay(day) {
+        const weekday = this.weekday(day);
+        return weekday !== 0 && weekday !== 6 && !this.holidayName(day);
+    }
+
+    // 13:00 closes: the day after Thanksgiving, and July 3 and December 24 when they fall
+    // Monday-Thursday (on a Friday they are either the observed holiday or not shortened)
+    isEarlyClose(day) {
+        if (!this.isTradingDay(day)) {
+            return false;
+        }
+        const monthDay = day.slice(5);
+        const weekday = this.weekday(day);
+        if ((monthDay === '07-03' || monthDay === '12-24') && weekday >= 1 && weekday <= 4) {
+            return true;
+        }
+        return this.holidayName(this.addDays(day, -1)) === 'Thanksgiving Day';
+    }
+
+    // { open, close } instants of a trading day's session
+    session(day) {
+        return {
+            open: this.zonedInstant(day, this.open),
+            close: this.zonedInstant(day, this.isEarlyClose(day) ? this.earlyClose : this.close)
+        };
+    }
+
+    // Last trading day on or before a day
+    previousTradingDay(day) {
+        let current = day;
+        while (!this.isTradingDay(current)) {
+            current = this.addDays(current, -1);
+        }
+        return current;
+    }
+
+    // When an option expiring on this date stops carrying time value: the close (PM) or open
+    // (AM) of the expiration day, rolled back to the previous trading day when the exchange
+    // is shut. Returns { instant, day, rolled, reason }.
+    expiry(expirationDate) {
+        const requested = this.dayKey(expirationDate);
+        const day = this.previousTradingDay(requested);
+        const session = this.session(day);
+        return {
+            instant: this.settlement === 'am' ? session.open : session.close,
+            day,
+            rolled: day !== requested,
+            reason: day === requested ? null : (this.holidayName(requested) || 'weekend'),
+            earlyClose: this.settlement === 'pm' && this.isEarlyClose(day)
+        };
+    }
+
+    expiryInstant(expirationDate) {
+        return this.expiry(expirationDate).instant;
+    }
+
+    // Open of the session on a date, when a stock goes ex-dividend
+    openInstant(date) {
+        return this.zonedInstant(this.previousTradingDay(this.dayKey(date)), this.open);
+    }
+
+    minutes(time) {
+        const [hour, minute] = time.split(':').map(Number);
+        return hour * 60 + minute;
+    }
+
+    // Exchange-local days from the day of `from` to the day of `to`. Days strictly in between
+    // are covered in full, so only the first and last need time zone conversions.
+    eachDay(from, to, visit) {
+        const first = this.localDay(from);
+        const last = this.localDay(to);
+        for (let day = first; day <= last; day = this.addDays(day, 1)) {
+            visit(day, day === first || day === last);
+        }
+    }
+
+    overlap(from, to, start, end) {
+        return Math.max(Math.min(to, end) - Math.max(from, start), 0);
+    }
+
+    // Trading days between two instants: each session contributes the share of a regular
+    // session it covers, so an early close counts for less than a full day
+    tradingDaysBetween(from, to) {
+        const regular = this.minutes(this.close) - this.minutes(this.open);
+        let days = 0;
+        this.eachDay(from, to, (day, partial) => {
+            if (!this.isTradingDay(day)) {
+                return;
+            }
+            if (partial) {
+                const session = this.session(day);
+                days += this.overlap(from, to, session.open, session.close) / (regular * 60000);
+            } else {
+                days += (this.minutes(this.isEarlyClose(day) ? this.earlyClose : this.close) - this.minutes(this.open)) / regular;
+            }
+        });
+        return days;
+    }
+
+    // Calendar days between two instants with weekends and holidays weighted by weekendWeight.
+    // Local days are measured midnight to midnight, so DST days still count as one day.
+    weightedDaysBetween(from, to) {
+        let days = 0;
+        this.eachDay(from, to, (day, partial) => {
+            const weight = this.isTradingDay(day) ? 1 : this.weekendWeight;
+            if (partial) {
+                const start = this.zonedInstant(day, '00:00');
+                const end = this.zonedInstant(this.addDays(day, 1), '00:00');
+                days += weight * this.overlap(from, to, start, end) / (end - start);
+            } else {
+                days += weight;
+            }
+        });
+        return days;
+    }
+
+    // Years between two instants on the configured clock:
+    // calendar - elapsed time over 365.25 days;
+    // trading - trading sessions elapsed over 252;
+    // blended - trading days count 1 and other days weekendWeight, over the year's weighted total.
+    yearFraction(from, to) {
+        if (to <= from) {
+            return 0;
+        }
+        switch (this.timeBasis) {
+            case 'trading':
+                return this.tradingDaysBetween(from, to) / this.TRADING_DAYS_PER_YEAR;
+            case 'blended':
+                return this.weightedDaysBetween(from, to) /
+                    (this.TRADING_DAYS_PER_YEAR + this.weekendWeight * (this.CALENDAR_DAYS_PER_YEAR - this.TRADING_DAYS_PER_YEAR));
+            default:
+                return (to - from) / (this.CALENDAR_DAYS_PER_YEAR * this.MS_PER_DAY);
+        }
+    }
+
+    // 'YYYY-MM-DD HH:MM' in the exchange time zone, for display
+    formatLocal(instant) {
+        const parts = this.localParts(instant);
+        return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MarketCalendar };
+}
@@ -0,0 +1,500 @@
+// Live market data
+// Quote providers push ticks - any of { symbol, underlyingPrice, currentPrice, bid, ask,
+// riskFreeRate (%) } named after the main form's fields - to their subscribers. The panel builds
+// its provider list from QUOTE_PROVIDERS, so a new adapter (e.g. a broker API) only has to extend
+// QuoteProvider and register itself there.
+
+// Accepted tick field names (case, spaces, dashes and underscores ignored)
+const TICK_FIELDS = {
+    time: ['time', 'timestamp', 'date', 'datetime'],
+    symbol: ['symbol', 'underlyingsymbol', 'ticker'],
+    underlyingPrice: ['underlyingprice', 'underlying', 'spot', 'last'],
+    currentPrice: ['currentprice', 'price', 'option', 'optionprice', 'mark'],
+    bid: ['bid'],
+    ask: ['ask'],
+    riskFreeRate: ['riskfreerate', 'rate']
+};
+
+const QUOTE_FIELDS = ['underlyingPrice', 'currentPrice', 'bid', 'ask', 'riskFreeRate'];
+
+// Provider states: connecting, live, paused, finished, closed, error
+class QuoteProvider {
+    constructor() {
+        this.listeners = [];
+        this.state = 'closed';
+        this.paused = false;
+        this.heldTick = null;
+    }
+
+    // listener({ type: 'tick', tick }) for quotes, listener({ type: 'status', state, message })
+    // for state changes. Returns a function that unsubscribes.
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    connect() {
+        throw new Error(`${this.constructor.name} does not implement connect()`);
+    }
+
+    disconnect() {
+        this.paused = false;
+        this.heldTick = null;
+        this.setState('closed', 'Disconnected');
+    }
+
+    // While paused the latest tick is held back and delivered on resume
+    pause() {
+        this.paused = true;
+        this.setState('paused', 'Paused - ticks are held until resumed');
+    }
+
+    resume() {
+        this.paused = false;
+        this.setState('live', 'Resumed');
+        if (this.heldTick) {
+            const tick = this.heldTick;
+            this.heldTick = null;
+            this.publish(tick);
+        }
+    }
+
+    publish(tick) {
+        if (this.paused) {
+            this.heldTick = tick;
+            return;
+        }
+        this.listeners.forEach(listener => listener({ type: 'tick', tick }));
+    }
+
+    setState(state, message = '') {
+        this.state = state;
+        this.listeners.forEach(listener => listener({ type: 'status', state, message }));
+    }
+
+    // Tick from a raw record with any of the TICK_FIELDS names. Throws when nothing usable is in it.
+    normalizeTick(record) {
+        const tick = {};
+        Object.keys(record).forEach(key => {
+            const name = String(key).toLowerCase().replace(/[\s_-]+/g, '');
+            const field = Object.keys(TICK_FIELDS).find(f => TICK_FIELDS[f].includes(name));
+            const value = record[key];
+            if (!field || value === undefined || value === null || String(value).trim() === '') {
+                return;
+            }
+            if (field === 'symbol') {
+                tick.symbol = String(value).trim().toUpperCase();
+            } else if (field === 'time') {
+                const time = new Date(value);
+                if (isNaN(time.getTime())) {
+                    throw new Error(`time "${value}" is not a date`);
+                }
+                tick.time = time;
+            } else {
+                const number = Number(value);
+                if (!isFinite(number) || (field !== 'riskFreeRate' && number < 0)) {
+                    throw new Error(`${field} "${value}" is not a ${field === 'riskFreeRate' ? 'number' : 'price'}`);
+                }
+                tick[field] = number;
+            }
+        });
+        if (!QUOTE_FIELDS.some(field => field in tick)) {
+            throw new Error(`no quote fields (expected one of ${QUOTE_FIELDS.join(', ')})`);
+        }
+        if (tick.bid !== undefined && tick.ask !== undefined && tick.ask < tick.bid) {
+            throw new Error(`ask ${tick.ask} is below bid ${tick.bid}`);
+        }
+        return tick;
+    }
+}
+
+// Replays a tick file (a JSON array of tick objects, or CSV with a header row) at a fixed
+// interval, optionally looping. Ticks are stamped with the time they are replayed; the file's own
+// time, if any, is kept as sourceTime.
+class ReplayQuoteProvider extends QuoteProvider {
+    constructor(text, options = {}) {
+        super();
+        this.interval = options.interval || 1000;
+        this.loop = !!options.loop;
+        const parsed = this.parse(text);
+        this.ticks = parsed.ticks;
+        this.errors = parsed.errors;
+        this.index = 0;
+        this.timer = null;
+    }
+
+    // Returns { ticks, errors }; rows that cannot be read are skipped and reported
+    parse(text) {
+        const source = String(text || '').trim();
+        if (!source) {
+            throw new Error('Paste or load a tick file to replay');
+        }
+
+        let records;
+        if (source.startsWith('[') || source.startsWith('{')) {
+            let json;
+            try {
+                json = JSON.parse(source);
+            } catch (error) {
+                throw new Error(`Tick file is not valid JSON: ${error.message}`);
+            }
+            records = Array.isArray(json) ? json : json.ticks;
+            if (!Array.isArray(records)) {
+                throw new Error('JSON tick files must be an array of ticks or { "ticks": [...] }');
+            }
+        } else {
+            const lines = source.split(/\r?\n/).filter(line => line.trim() !== '');
+            const delimiter = lines[0].includes('\t') ? '\t' : (!lines[0].includes(',') && lines[0].includes(';') ? ';' : ',');
+            const headers = lines[0].split(delimiter).map(h => h.trim().replace(/^"|"$/g, ''));
+            records = lines.slice(1).map(line => {
+                const cells = line.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, ''));
+                const record = {};
+                headers.forEach((header, i) => { record[header] = cells[i]; });
+                return record;
+            });
+        }
+
+        const ticks = [];
+        const errors = [];
+        records.forEach((record, index) => {
+            try {
+                ticks.push(this.normalizeTick(record || {}));
+            } catch (error) {
+                errors.push(`Tick ${index + 1}: ${error.message}`);
+            }
+        });
+        if (ticks.length === 0) {
+            throw new Error(`No usable ticks. ${errors.slice(0, 3).join('; ')}`);
+        }
+        return { ticks, errors };
+    }
+
+    connect() {
+        this.index = 0;
+        this.setState('live', `Replaying ${this.ticks.length} ticks every ${this.interval} ms${this.loop ? ', looping' : ''}`);
+        this.step();
+    }
+
+    disconnect() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        super.disconnect();
+    }
+
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        super.pause();
+    }
+
+    resume() {
+        super.resume();
+        this.schedule();
+    }
+
+    // Publish the next tick, then wait an interval for the one after
+    step() {
+        if (this.index >= this.ticks.length) {
+            if (!this.loop) {
+                this.timer = null;
+                this.setState('finished', `Replay finished after ${this.ticks.length} ticks`);
+                return;
+            }
+            this.index = 0;
+        }
+        const tick = this.ticks[this.index++];
+        const { time, ...quote } = tick;
+        this.publish({ ...quote, time: new Date(), sourceTime: time || null });
+        this.schedule();
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.step(), this.interval);
+    }
+}
+
+// Receives ticks from a WebSocket, one JSON tick (or array of ticks) per message, e.g. from
+// mock-feed-server.js. Messages that cannot be read are reported without dropping the connection.
+class WebSocketQuoteProvider extends QuoteProvider {
+    constructor(url) {
+        super();
+        if (!/^wss?:\/\/[^\s]+$/i.test(url || '')) {
+            throw new Error(`Feed URL must start with ws:// or wss://, got "${url || ''}"`);
+        }
+        this.url = url;
+        this.socket = null;
+    }
+
+    connect() {
+        if (typeof WebSocket === 'undefined') {
+            throw new Error('WebSockets are not available in this environment');
+        }
+        this.setState('connecting', `Connecting to ${this.url}`);
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+        socket.onopen = () => this.setState('live', `Connected to ${this.url}`);
+        socket.onmessage = (event) => this.receive(event.data);
+        socket.onerror = () => {
+            if (this.socket === socket) {
+                this.setState('error', `Could not reach ${this.url} - is the feed running?`);
+            }
+        };
+        socket.onclose = () => {
+            if (this.socket === socket && this.state !== 'error') {
+                this.setState('closed', `${this.url} closed the connection`);
+            }
+            if (this.socket === socket) {
+                this.socket = null;
+            }
+        };
+    }
+
+    receive(data) {
+        try {
+            const message = JSON.parse(data);
+            (Array.isArray(message) ? message : [message]).forEach(record => {
+                const { time, ...quote } = this.normalizeTick(record);
+                this.publish({ ...quote, time: new Date(), sourceTime: time || null });
+            });
+        } catch (error) {
+            this.listeners.forEach(listener => listener({ type: 'status', state: this.state, message: `Ignored a message: ${error.message}` }));
+        }
+    }
+
+    disconnect() {
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) {
+            socket.close();
+        }
+        super.disconnect();
+    }
+}
+
+// Available adapters. create(settings) gets the panel's settings: { ticks, interval, loop, url }.
+const QUOTE_PROVIDERS = {
+    replay: {
+        label: 'Replay tick file (JSON/CSV)',
+        create: settings => new ReplayQuoteProvider(settings.ticks, { interval: settings.interval, loop: settings.loop })
+    },
+    websocket: {
+        label: 'Local WebSocket feed',
+        create: settings => new WebSocketQuoteProvider(settings.url)
+    }
+};
+
+// Live market data panel. Ticks are written into the main form and onTick() is called so the
+// page can recompute; the status line shows how old the last tick is and turns stale after the
+// configured number of seconds without one.
+class MarketFeedUI {
+    constructor(onTick) {
+        this.onTick = onTick;
+        this.provider = null;
+        this.unsubscribe = null;
+        this.lastTickAt = null;
+        this.tickCount = 0;
+        this.ignoredCount = 0;
+        this.statusMessage = '';
+        this.staleAfter = 5;
+        this.clock = null;
+        this.initializeEventListeners();
+        this.renderStatus();
+    }
+
+    initializeEventListeners() {
+        const select = document.getElementById('feedProvider');
+        Object.keys(QUOTE_PROVIDERS).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = QUOTE_PROVIDERS[key].label;
+            select.appendChild(option);
+        });
+
+        select.addEventListener('change', () => this.toggleProviderFields());
+        document.getElementById('feedFile').addEventListener('change', (e) => this.loadFile(e.target.files[0]));
+        document.getElementById('feedConnectBtn').addEventListener('click', () => this.connect());
+        document.getElementById('feedPauseBtn').addEventListener('click', () => this.togglePause());
+        document.getElementById('feedDisconnectBtn').addEventListener('click', () => this.disconnect());
+        this.toggleProviderFields();
+    }
+
+    toggleProviderFields() {
+        const key = document.getElementById('feedProvider').value;
+        Object.keys(QUOTE_PROVIDERS).forEach(provider => {
+            document.querySelectorAll(`.feed-${provider}-only`).forEach(el => el.classList.toggle('hidden', provider !== key));
+        });
+    }
+
+    loadFile(file) {
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            document.getElementById('feedTicks').value = reader.result;
+        };
+        reader.onerror = () => this.showError(`Could not read ${file.name}`);
+        reader.readAsText(file);
+    }
+
+    settings() {
+        const interval = parseInt(document.getElementById('feedInterval').value);
+        const staleAfter = parseFloat(document.getElementById('feedStaleAfter').value);
+        if (isNaN(interval) || interval < 50) {
+            throw new Error('Replay interval must be at least 50 ms');
+        }
+        if (isNaN(staleAfter) || staleAfter <= 0) {
+            throw new Error('Stale after must be a positive number of seconds');
+        }
+        return {
+            ticks: document.getElementById('feedTicks').value,
+            interval,
+            loop: document.getElementById('feedLoop').checked,
+            url: document.getElementById('feedUrl').value.trim(),
+            staleAfter
+        };
+    }
+
+    connect() {
+        this.hideError();
+        this.disconnect();
+
+        let provider;
+        try {
+            const settings = this.settings();
+            this.staleAfter = settings.staleAfter;
+            provider = QUOTE_PROVIDERS[document.getElementById('feedProvider').value].create(settings);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        this.provider = provider;
+        this.tickCount = 0;
+        this.ignoredCount = 0;
+        this.lastTickAt = null;
+        document.getElementById('feedSkipped').textContent = (provider.errors || []).join('\n');
+        this.unsubscribe = provider.subscribe(event => (event.type === 'tick' ? this.applyTick(event.tick) : this.updateStatus(event)));
+        this.clock = setInterval(() => this.renderStatus(), 1000);
+        try {
+            provider.connect();
+        } catch (error) {
+            this.disconnect();
+            this.showError(error.message);
+        }
+        this.renderStatus();
+    }
+
+    disconnect() {
+        if (!this.provider) {
+            return;
+        }
+        this.unsubscribe();
+        this.provider.disconnect();
+        this.provider = null;
+        clearInterval(this.clock);
+        this.clock = null;
+        this.statusMessage = 'Disconnected - form values are no longer updated';
+        this.renderStatus();
+    }
+
+    togglePause() {
+        if (!this.provider) {
+            return;
+        }
+        if (this.provider.paused) {
+            this.provider.resume();
+        } else {
+            this.provider.pause();
+        }
+        this.renderStatus();
+    }
+
+    updateStatus(event) {
+        this.statusMessage = event.message;
+        if (event.state === 'error') {
+            this.showError(event.message);
+        }
+        this.renderStatus();
+    }
+
+    // Copy the tick into the form and let the page recompute. Ticks for another symbol are
+    // ignored; a two-sided quote without a price clears the price so the mid is used.
+    applyTick(tick) {
+        const symbol = document.getElementById('symbol').value.trim().toUpperCase();
+        if (tick.symbol && symbol && tick.symbol !== symbol) {
+            this.ignoredCount++;
+            this.renderStatus();
+            return;
+        }
+
+        QUOTE_FIELDS.forEach(field => {
+            if (tick[field] !== undefined) {
+                document.getElementById(field).value = tick[field];
+            }
+        });
+        if (tick.currentPrice === undefined && tick.bid !== undefined && tick.ask !== undefined) {
+            document.getElementById('currentPrice').value = '';
+        }
+
+        this.tickCount++;
+        this.lastTickAt = tick.time;
+        document.getElementById('feedLastTick').textContent = QUOTE_FIELDS
+            .filter(field => tick[field] !== undefined)
+            .map(field => `${field} ${tick[field]}`)
+            .join(' · ') + (tick.sourceTime ? ` (source ${tick.sourceTime.toISOString()})` : '');
+        this.renderStatus();
+        this.onTick(tick);
+    }
+
+    // LIVE, STALE, PAUSED or OFF with the age of the last tick, here and next to the results
+    renderStatus() {
+        const provider = this.provider;
+        const age = this.lastTickAt ? (Date.now() - this.lastTickAt.getTime()) / 1000 : null;
+        let state;
+        if (!provider || ['closed', 'error', 'finished'].includes(provider.state)) {
+            state = 'off';
+        } else if (provider.paused) {
+            state = 'paused';
+        } else if (age === null || age > this.staleAfter) {
+            state = provider.state === 'connecting' ? 'connecting' : 'stale';
+        } else {
+            state = 'live';
+        }
+
+        const parts = [state.toUpperCase()];
+        if (this.lastTickAt) {
+            parts.push(`last tick ${this.lastTickAt.toLocaleTimeString()} (${age.toFixed(0)}s ago)`);
+        }
+        if (provider) {
+            parts.push(`${this.tickCount} tick${this.tickCount === 1 ? '' : 's'}${this.ignoredCount ? `, ${this.ignoredCount} for other symbols ignored` : ''}`);
+        }
+        ['feedStatus', 'feedBadge'].forEach(id => {
+            const element = document.getElementById(id);
+            element.textContent = id === 'feedBadge' ? parts.slice(0, 2).join(' · ') : parts.join(' · ');
+            element.className = `feed-status feed-${state}`;
+        });
+        document.getElementById('feedBadge').classList.toggle('hidden', !provider);
+        document.getElementById('feedMessage').textContent = this.statusMessage;
+        document.getElementById('feedPauseBtn').textContent = provider && provider.paused ? 'Resume' : 'Pause';
+        document.getElementById('feedPauseBtn').disabled = !provider;
+        document.getElementById('feedDisconnectBtn').disabled = !provider;
+    }
+
+    showError(message) {
+        document.getElementById('feedErrorMessage').textContent = message;
+        document.getElementById('feedError').classList.remove('hidden');
+    }
+
+    hideError() {
+        document.getElementById('feedError').classList.add('hidden');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QuoteProvider, ReplayQuoteProvider, WebSocketQuoteProvider, QUOTE_PROVIDERS, TICK_FIELDS };
+}
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+// Local stand-in for a live quote feed, for the page's Live Market Data panel
+// Serves ticks over a WebSocket on localhost, either replayed from a JSON/CSV tick file or as a
+// random walk of the underlying (geometric Brownian motion, one trading minute per tick). With
+// --strike and --expiry the walk also quotes the option at its Black-Scholes value around the
+// given volatility. No dependencies: the WebSocket handshake and text frames are written by hand.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const { parseArgs } = require('util');
+const { BlackScholesCalculator } = require('./black-scholes.js');
+const { ReplayQuoteProvider } = require('./market-feed.js');
+
+const USAGE = `Usage:
+  node mock-feed-server.js [options]
+  node mock-feed-server.js --file ticks.csv [--loop] [options]
+
+Options:
+  --port N                  Port to listen on (default 8765; the page connects to ws://localhost:8765)
+  --interval MS             Milliseconds between ticks (default 1000)
+  --file PATH               Replay this JSON/CSV tick file instead of a random walk
+  --loop                    Start the file again when it runs out
+  --symbol SYM              Symbol on random-walk ticks (default UNDERLYING; match the form's symbol)
+  --spot N                  Random walk starting price (default 100)
+  --vol PCT                 Random walk volatility (%, default 25)
+  --strike N                Also quote an option at this strike...
+  --expiry YYYY-MM-DD       ...expiring on this date
+  --type call|put           Option type (default call)
+  --rate PCT                Risk-free rate for the option quote (%, default 5)
+  --spread N                Bid/ask spread around the option value (default 0.10)
+  -h, --help                Show this help`;
+
+const OPTIONS = {
+    port: { type: 'string' },
+    interval: { type: 'string' },
+    file: { type: 'string' },
+    loop: { type: 'boolean' },
+    symbol: { type: 'string' },
+    spot: { type: 'string' },
+    vol: { type: 'string' },
+    strike: { type: 'string' },
+    expiry: { type: 'string' },
+    type: { type: 'string' },
+    rate: { type: 'string' },
+    spread: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MINUTES_PER_YEAR = 252 * 390;
+
+function parseNumber(flags, name, fallback, min = -Infinity) {
+    if (flags[name] === undefined) {
+        return fallback;
+    }
+    const value = Number(flags[name]);
+    if (!isFinite(value) || value < min) {
+        throw new Error(`Invalid ${name} "${flags[name]}"`);
+    }
+    return value;
+}
+
+// Unmasked server-to-client text frame
+function textFrame(text) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Random walk ticks: { symbol, underlyingPrice } plus the option's price, bid and ask when a strike is set
+function randomWalk(flags) {
+    const calculator = new BlackScholesCalculator();
+    const symbol = (flags.symbol || 'UNDERLYING').toUpperCase();
+    const volatility = parseNumber(flags, 'vol', 25, 0) / 100;
+    const rate = parseNumber(flags, 'rate', 5) / 100;
+    const spread = parseNumber(flags, 'spread', 0.10, 0);
+    const strike = parseNumber(flags, 'strike', null, 0);
+    const type = (flags.type || 'call').toLowerCase();
+    let spot = parseNumber(flags, 'spot', 100, 0);
+
+    if (!['call', 'put'].includes(type)) {
+        throw new Error(`Invalid type "${flags.type}"`);
+    }
+    if ((strike === null) !== (flags.expiry === undefined)) {
+        throw new Error('Quote an option with both --strike and --expiry');
+    }
+    const expiry = flags.expiry === undefined ? null : new Date(flags.expiry);
+    if (expiry && isNaN(expiry.getTime())) {
+        throw new Error(`Invalid expiry "${flags.expiry}"`);
+    }
+
+    const dt = 1 / MINUTES_PER_YEAR;
+    return () => {
+        // Box-Muller normal draw
+        const z = Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+        spot *= Math.exp((rate - volatility * volatility / 2) * dt + volatility * Math.sqrt(dt) * z);
+        const tick = { time: new Date().toISOString(), symbol, underlyingPrice: Number(spot.toFixed(2)) };
+        if (strike !== null) {
+            const timeToExpiry = calculator.timeToExpiration(expiry);
+            if (timeToExpiry > 0) {
+                const value = calculator.blackScholesPrice(spot, strike, timeToExpiry, rate, volatility, type);
+                tick.currentPrice = Number(value.toFixed(2));
+                tick.bid = Number(Math.max(0, value - spread / 2).toFixed(2));
+                tick.ask = Number((value + spread / 2).toFixed(2));
+            }
+        }
+        return tick;
+    };
+}
+
+function main(argv) {
+    let flags;
+    try {
+        flags = parseArgs({ args: argv, options: OPTIONS, strict: true }).values;
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+    if (flags.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    const clients = new Set();
+    const broadcast = tick => {
+        const frame = textFrame(JSON.stringify(tick));
+        clients.forEach(socket => socket.write(frame));
+    };
+
+    // A replay starts when the first client connects, so no ticks are sent to nobody
+    let replay = null;
+    let timer = null;
+    let port;
+    try {
+        port = parseNumber(flags, 'port', 8765, 1);
+        const interval = parseNumber(flags, 'interval', 1000, 10);
+        if (flags.file) {
+            replay = new ReplayQuoteProvider(fs.readFileSync(flags.file, 'utf8'), { interval, loop: !!flags.loop });
+            replay.errors.forEach(message => process.stderr.write(`${message}\n`));
+            replay.subscribe(event => {
+                if (event.type === 'tick') {
+                    const { time, sourceTime, ...quote } = event.tick;
+                    broadcast({ time: (sourceTime || time).toISOString(), ...quote });
+                } else {
+                    process.stdout.write(`${event.message}\n`);
+                }
+            });
+        } else {
+            const next = randomWalk(flags);
+            timer = setInterval(() => broadcast(next()), interval);
+        }
+    } catch (error) {
+        process.stderr.write(`${error.message}\n`);
+        return 2;
+    }
+
+    const server = http.createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('This is a WebSocket quote feed; connect from the Live Market Data panel.\n');
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        clients.add(socket);
+        if (replay && replay.state === 'closed') {
+            replay.connect();
+        }
+        process.stdout.write(`Client connected (${clients.size} open)\n`);
+        // Client frames are not needed; answer a close frame (opcode 8) and drop the connection
+        socket.on('data', data => {
+            if ((data[0] & 0x0f) === 0x8) {
+                socket.end(Buffer.from([0x88, 0x00]));
+            }
+        });
+        socket.on('close', () => {
+            clients.delete(socket);
+            process.stdout.write(`Client disconnected (${clients.size} open)\n`);
+        });
+        socket.on('error', () => clients.delete(socket));
+    });
+
+    // e.g. the port is already in use: report it and stop the random walk so the process exits
+    server.on('error', error => {
+        clearInterval(timer);
+        process.stderr.write(`${error.message}\n`);
+        process.exitCode = 1;
+    });
+    server.listen(port, '127.0.0.1', () => {
+        process.stdout.write(`Quote feed on ws://localhost:${port} (Ctrl+C to stop)\n`);
+    });
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
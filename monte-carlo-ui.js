@@ -0,0 +1,228 @@
+// Monte Carlo pricer panel
+// Simulations run in monte-carlo-worker.js. Where workers are unavailable (e.g. some browsers
+// block them for pages opened from file://) the same engine runs on the main thread in chunks.
+class MonteCarloUI {
+    constructor(calculator, getFormData) {
+        this.calculator = calculator;
+        this.getFormData = getFormData;
+        this.worker = null;
+        this.mainThreadRun = null;
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        const productSelect = document.getElementById('mcProduct');
+        Object.keys(MONTE_CARLO_PRODUCTS).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = MONTE_CARLO_PRODUCTS[key];
+            productSelect.appendChild(option);
+        });
+
+        productSelect.addEventListener('change', () => this.toggleBarrierFields());
+        document.getElementById('runMonteCarloBtn').addEventListener('click', () => this.run());
+        document.getElementById('cancelMonteCarloBtn').addEventListener('click', () => this.cancel());
+        this.toggleBarrierFields();
+    }
+
+    toggleBarrierFields() {
+        const isBarrier = document.getElementById('mcProduct').value === 'barrier';
+        document.querySelectorAll('.barrier-only').forEach(el => el.classList.toggle('hidden', !isBarrier));
+    }
+
+    // Contract, market data and volatility come from the main form, resolved exactly as the
+    // main analysis resolves them
+    buildParams() {
+        const formData = this.getFormData();
+        const analysis = this.calculator.analyzeOption(formData.contract, formData.marketData, formData.volatilityEstimate, formData.treeOptions);
+        const seedValue = document.getElementById('mcSeed').value;
+
+        const params = {
+            product: document.getElementById('mcProduct').value,
+            optionType: formData.contract.optionType,
+            spotPrice: formData.marketData.underlyingPrice,
+            strikePrice: formData.contract.strikePrice,
+            timeToExpiry: analysis.timeToExpiry,
+            riskFreeRate: formData.marketData.riskFreeRate,
+            dividendYield: formData.marketData.dividendYield,
+            cashDividends: analysis.cashDividends,
+            volatility: analysis.impliedVolatility,
+            paths: parseInt(document.getElementById('mcPaths').value),
+            steps: parseInt(document.getElementById('mcSteps').value),
+            seed: seedValue !== '' ? parseInt(seedValue) : null,
+            antithetic: document.getElementById('mcAntithetic').checked,
+            controlVariate: document.getElementById('mcControlVariate').checked,
+            barrierType: document.getElementById('mcBarrierType').value,
+            barrierLevel: parseFloat(document.getElementById('mcBarrierLevel').value),
+            continuityCorrection: document.getElementById('mcContinuityCorrection').checked
+        };
+
+        if (params.paths > 2000000) {
+            throw new Error('Path count is limited to 2,000,000');
+        }
+
+        new MonteCarloEngine().validate(params);
+        return { params, analysis };
+    }
+
+    run() {
+        this.hideError();
+        this.cancel();
+
+        let built;
+        try {
+            built = this.buildParams();
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        this.current = built;
+        this.setRunning(true);
+        this.showProgress(0);
+
+        try {
+            this.worker = new Worker('monte-carlo-worker.js');
+        } catch (error) {
+            this.worker = null;
+        }
+
+        if (!this.worker) {
+            this.runOnMainThread(built.params);
+            return;
+        }
+
+        this.worker.onmessage = (e) => {
+            if (e.data.type === 'progress') {
+                this.showProgress(e.data.progress);
+            } else if (e.data.type === 'result') {
+                this.finish(e.data.result, 'Web Worker');
+            } else {
+                this.fail(e.data.message);
+            }
+        };
+        this.worker.onerror = (e) => {
+            // Worker script could not load - fall back rather than fail
+            e.preventDefault();
+            this.terminateWorker();
+            this.runOnMainThread(built.params);
+        };
+        this.worker.postMessage({ params: built.params });
+    }
+
+    runOnMainThread(params) {
+        const engine = new MonteCarloEngine();
+        const run = engine.createRun(params);
+        this.mainThreadRun = run;
+
+        const step = () => {
+            if (this.mainThreadRun !== run) {
+                return;
+            }
+            const progress = engine.runChunk(run);
+            this.showProgress(progress);
+            if (progress < 1) {
+                setTimeout(step, 0);
+            } else {
+                this.mainThreadRun = null;
+                this.finish(engine.finishRun(run), 'Main thread (worker unavailable)');
+            }
+        };
+        setTimeout(step, 0);
+    }
+
+    terminateWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    cancel() {
+        const wasRunning = this.worker !== null || this.mainThreadRun !== null;
+        this.terminateWorker();
+        this.mainThreadRun = null;
+        if (wasRunning) {
+            this.setRunning(false);
+            document.getElementById('mcProgress').textContent = 'Cancelled';
+        }
+    }
+
+    finish(result, mode) {
+        this.terminateWorker();
+        this.setRunning(false);
+        document.getElementById('mcProgress').textContent = '';
+        this.displayResult(result, mode);
+    }
+
+    fail(message) {
+        this.terminateWorker();
+        this.setRunning(false);
+        document.getElementById('mcProgress').textContent = '';
+        this.showError(message);
+    }
+
+    setRunning(running) {
+        document.getElementById('runMonteCarloBtn').disabled = running;
+        document.getElementById('cancelMonteCarloBtn').classList.toggle('hidden', !running);
+    }
+
+    showProgress(progress) {
+        document.getElementById('mcProgress').textContent = `Simulating... ${(progress * 100).toFixed(0)}%`;
+    }
+
+    displayResult(result, mode) {
+        const { params, analysis } = this.current;
+        const price = value => `$${value.toFixed(4)}`;
+
+        document.getElementById('mcPrice').textContent = price(result.price);
+        document.getElementById('mcStdError').textContent = price(result.standardError);
+        document.getElementById('mcInterval').textContent = `${price(result.confidenceInterval[0])} – ${price(result.confidenceInterval[1])}`;
+        document.getElementById('mcPathCount').textContent = `${result.paths.toLocaleString('en-US')}${result.antithetic ? ' (antithetic pairs)' : ''} × ${result.steps} steps`;
+        document.getElementById('mcSeedUsed').textContent = result.seed;
+        document.getElementById('mcVarianceReduction').textContent = result.varianceReduction
+            ? `${result.varianceReduction.toFixed(1)}× (β=${result.controlVariateBeta.toFixed(3)})`
+            : 'Off';
+        document.getElementById('mcVolatility').textContent = `${(params.volatility * 100).toFixed(1)}% (${analysis.volatilitySource})`;
+        document.getElementById('mcRunMode').textContent = `${mode}, ${(result.elapsedMs / 1000).toFixed(2)}s`;
+
+        // Vanillas can be checked against the closed form
+        const analyticRow = document.getElementById('mcAnalyticRow');
+        const differenceRow = document.getElementById('mcDifferenceRow');
+        if (result.product === 'european') {
+            const analytic = this.calculator.optionPrice(
+                params.spotPrice,
+                params.strikePrice,
+                params.timeToExpiry,
+                params.riskFreeRate,
+                params.volatility,
+                params.optionType,
+                params.dividendYield,
+                'european',
+                {},
+                params.cashDividends
+            );
+            const difference = result.price - analytic;
+            document.getElementById('mcAnalytic').textContent = price(analytic);
+            document.getElementById('mcDifference').textContent = result.standardError > 0
+                ? `${difference >= 0 ? '+' : ''}${difference.toFixed(4)} (${(difference / result.standardError).toFixed(2)} SE)`
+                : `${difference >= 0 ? '+' : ''}${difference.toFixed(4)}`;
+            analyticRow.classList.remove('hidden');
+            differenceRow.classList.remove('hidden');
+        } else {
+            analyticRow.classList.add('hidden');
+            differenceRow.classList.add('hidden');
+        }
+
+        document.getElementById('mcResults').classList.remove('hidden');
+    }
+
+    showError(message) {
+        document.getElementById('mcErrorMessage').textContent = message;
+        document.getElementById('mcError').classList.remove('hidden');
+    }
+
+    hideError() {
+        document.getElementById('mcError').classList.add('hidden');
+    }
+}
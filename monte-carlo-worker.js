@@ -0,0 +1,16 @@
+// Web Worker wrapper around MonteCarloEngine so long simulations keep the page responsive.
+// Messages in: { params }. Messages out: { type: 'progress' | 'result' | 'error', ... }.
+importScripts('monte-carlo.js');
+
+self.onmessage = (e) => {
+    const engine = new MonteCarloEngine();
+
+    try {
+        const result = engine.price(e.data.params, progress => {
+            self.postMessage({ type: 'progress', progress });
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
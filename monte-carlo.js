@@ -0,0 +1,257 @@
+// Monte Carlo pricing under geometric Brownian motion
+// Self-contained (no DOM, no other scripts) so it can be loaded into a Web Worker with
+// importScripts. Supports vanilla, arithmetic Asian, barrier and floating-strike lookback
+// payoffs with antithetic variates, a terminal-price control variate and seeded randomness.
+// Known cash dividends (params.cashDividends, [{ time, amount }]) use the escrowed-dividend model.
+
+const MONTE_CARLO_PRODUCTS = {
+    european: 'European Vanilla',
+    asian: 'Asian (Arithmetic Average Price)',
+    barrier: 'Barrier',
+    lookback: 'Lookback (Floating Strike)'
+};
+
+class MonteCarloEngine {
+    constructor() {
+        this.CHUNK_SIZE = 2000;
+        this.CONFIDENCE_Z = 1.959964; // two-sided 95%
+        this.BARRIER_SHIFT = 0.5826; // Broadie-Glasserman-Kou continuity correction
+    }
+
+    // Mulberry32: small, fast, seedable 32-bit generator
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Standard normals by Box-Muller, caching the second draw
+    createNormal(random) {
+        let spare = null;
+        return () => {
+            if (spare !== null) {
+                const value = spare;
+                spare = null;
+                return value;
+            }
+            let u = 0;
+            while (u === 0) u = random();
+            const radius = Math.sqrt(-2 * Math.log(u));
+            const angle = 2 * Math.PI * random();
+            spare = radius * Math.sin(angle);
+            return radius * Math.cos(angle);
+        };
+    }
+
+    validate(params) {
+        const positive = ['spotPrice', 'strikePrice', 'timeToExpiry', 'volatility', 'paths', 'steps'];
+        positive.forEach(field => {
+            if (!(params[field] > 0)) {
+                throw new Error(`Monte Carlo parameter ${field} must be positive`);
+            }
+        });
+        if (!MONTE_CARLO_PRODUCTS[params.product]) {
+            throw new Error(`Unknown Monte Carlo product: ${params.product}`);
+        }
+        if (!(this.escrowedSpot(params) > 0)) {
+            throw new Error('Cash dividends before expiry exceed the underlying price');
+        }
+        if (params.product === 'barrier') {
+            if (!(params.barrierLevel > 0)) {
+                throw new Error('Barrier level must be positive');
+            }
+            const isUp = params.barrierType.startsWith('up');
+            if ((isUp && params.barrierLevel <= params.spotPrice) || (!isUp && params.barrierLevel >= params.spotPrice)) {
+                throw new Error(`The ${params.barrierType} barrier must be ${isUp ? 'above' : 'below'} the current spot`);
+            }
+        }
+    }
+
+    // PV at time t of the dividends going ex after t and on or before expiry
+    pendingDividends(params, time) {
+        return (params.cashDividends || [])
+            .filter(dividend => dividend.time > time && dividend.time <= params.timeToExpiry)
+            .reduce((sum, dividend) => sum + dividend.amount * Math.exp(-params.riskFreeRate * (dividend.time - time)), 0);
+    }
+
+    // Spot net of the dividend PV: the part that follows geometric Brownian motion
+    escrowedSpot(params) {
+        return params.spotPrice - this.pendingDividends(params, 0);
+    }
+
+    // Payoff of one simulated path. path holds the monitored prices after S0.
+    payoff(params, path, spotPrice, barrierLevel) {
+        const isCall = params.optionType === 'call';
+        const terminal = path[path.length - 1];
+        const vanilla = price => isCall ? Math.max(price - params.strikePrice, 0) : Math.max(params.strikePrice - price, 0);
+
+        switch (params.product) {
+            case 'asian': {
+                let sum = 0;
+                for (let i = 0; i < path.length; i++) sum += path[i];
+                return vanilla(sum / path.length);
+            }
+            case 'barrier': {
+                const isUp = params.barrierType.startsWith('up');
+                let hit = false;
+                for (let i = 0; i < path.length && !hit; i++) {
+                    hit = isUp ? path[i] >= barrierLevel : path[i] <= barrierLevel;
+                }
+                const knockIn = params.barrierType.endsWith('in');
+                return hit === knockIn ? vanilla(terminal) : 0;
+            }
+            case 'lookback': {
+                let low = spotPrice;
+                let high = spotPrice;
+                for (let i = 0; i < path.length; i++) {
+                    if (path[i] < low) low = path[i];
+                    if (path[i] > high) high = path[i];
+                }
+                return isCall ? terminal - low : high - terminal;
+            }
+            default:
+                return vanilla(terminal);
+        }
+    }
+
+    // Start a run whose paths are simulated chunk by chunk (see runChunk), so callers can
+    // report progress or yield to the event loop between chunks.
+    createRun(params) {
+        this.validate(params);
+
+        const seed = params.seed !== null && params.seed !== undefined ? params.seed >>> 0 : (Math.random() * 4294967296) >>> 0;
+        const dt = params.timeToExpiry / params.steps;
+        const drift = (params.riskFreeRate - params.dividendYield - 0.5 * params.volatility * params.volatility) * dt;
+        const diffusion = params.volatility * Math.sqrt(dt);
+
+        // Discrete monitoring misses crossings between dates; moving the barrier toward spot
+        // approximates a continuously monitored barrier
+        let barrierLevel = params.barrierLevel;
+        if (params.product === 'barrier' && params.continuityCorrection) {
+            const shift = Math.exp(this.BARRIER_SHIFT * diffusion);
+            barrierLevel = params.barrierType.startsWith('up') ? barrierLevel / shift : barrierLevel * shift;
+        }
+
+        // The stock on a monitoring date is the escrowed diffusion plus the dividends still to come
+        const pendingIncome = new Float64Array(params.steps);
+        for (let i = 0; i < params.steps; i++) {
+            pendingIncome[i] = this.pendingDividends(params, (i + 1) * dt);
+        }
+
+        return {
+            params,
+            seed,
+            escrowedSpot: this.escrowedSpot(params),
+            pendingIncome,
+            normal: this.createNormal(this.createRandom(seed)),
+            drift,
+            diffusion,
+            barrierLevel,
+            discount: Math.exp(-params.riskFreeRate * params.timeToExpiry),
+            samplesDone: 0,
+            sampleTarget: params.antithetic ? Math.ceil(params.paths / 2) : params.paths,
+            sumY: 0,
+            sumY2: 0,
+            sumX: 0,
+            sumX2: 0,
+            sumXY: 0,
+            shocks: new Float64Array(params.steps),
+            path: new Float64Array(params.steps),
+            startedAt: Date.now()
+        };
+    }
+
+    simulatePath(run, sign) {
+        const params = run.params;
+        let price = run.escrowedSpot;
+        for (let i = 0; i < params.steps; i++) {
+            price *= Math.exp(run.drift + run.diffusion * sign * run.shocks[i]);
+            run.path[i] = price + run.pendingIncome[i];
+        }
+        return {
+            payoff: this.payoff(params, run.path, params.spotPrice, run.barrierLevel),
+            terminal: price
+        };
+    }
+
+    // Simulate the next chunk; returns the completed fraction
+    runChunk(run, chunkSize = this.CHUNK_SIZE) {
+        const end = Math.min(run.samplesDone + chunkSize, run.sampleTarget);
+
+        for (; run.samplesDone < end; run.samplesDone++) {
+            for (let i = 0; i < run.params.steps; i++) run.shocks[i] = run.normal();
+
+            const first = this.simulatePath(run, 1);
+            let y = first.payoff;
+            let x = first.terminal;
+            if (run.params.antithetic) {
+                const mirrored = this.simulatePath(run, -1);
+                y = 0.5 * (y + mirrored.payoff);
+                x = 0.5 * (x + mirrored.terminal);
+            }
+            y *= run.discount;
+            x *= run.discount;
+
+            run.sumY += y;
+            run.sumY2 += y * y;
+            run.sumX += x;
+            run.sumX2 += x * x;
+            run.sumXY += x * y;
+        }
+
+        return run.samplesDone / run.sampleTarget;
+    }
+
+    // Estimate, standard error and 95% confidence interval from the accumulated samples.
+    // The control variate is the discounted terminal escrowed price, whose expectation S0* e^(-qT) is known.
+    finishRun(run) {
+        const params = run.params;
+        const n = run.samplesDone;
+        const meanY = run.sumY / n;
+        const meanX = run.sumX / n;
+        const varY = Math.max((run.sumY2 - n * meanY * meanY) / (n - 1), 0);
+        const varX = Math.max((run.sumX2 - n * meanX * meanX) / (n - 1), 0);
+        const covXY = (run.sumXY - n * meanX * meanY) / (n - 1);
+
+        let price = meanY;
+        let variance = varY;
+        let beta = null;
+        if (params.controlVariate && varX > 0) {
+            const expectedX = run.escrowedSpot * Math.exp(-params.dividendYield * params.timeToExpiry);
+            beta = covXY / varX;
+            price = meanY - beta * (meanX - expectedX);
+            variance = Math.max(varY - covXY * covXY / varX, 0);
+        }
+
+        const standardError = Math.sqrt(variance / n);
+        return {
+            product: params.product,
+            price,
+            standardError,
+            confidenceInterval: [price - this.CONFIDENCE_Z * standardError, price + this.CONFIDENCE_Z * standardError],
+            paths: params.antithetic ? 2 * n : n,
+            steps: params.steps,
+            seed: run.seed,
+            antithetic: !!params.antithetic,
+            controlVariateBeta: beta,
+            varianceReduction: params.controlVariate && variance > 0 ? varY / variance : null,
+            elapsedMs: Date.now() - run.startedAt
+        };
+    }
+
+    // Synchronous convenience wrapper
+    price(params, onProgress = null) {
+        const run = this.createRun(params);
+        let progress = 0;
+        while (progress < 1) {
+            progress = this.runChunk(run);
+            if (onProgress) onProgress(progress);
+        }
+        return this.finishRun(run);
+    }
+}
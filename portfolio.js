@@ -0,0 +1,487 @@
+// Position portfolio
+// Analysed contracts saved as positions (entry price, quantity, open date) in localStorage and
+// revalued against the current market inputs. Each underlying has its own spot mark; the
+// form's symbol is marked from the form's underlying price after every analysis.
+
+class PortfolioAnalyzer {
+    constructor(calculator) {
+        this.calculator = calculator;
+        this.FORMAT_VERSION = 1;
+        this.GREEKS = ['delta', 'gamma', 'theta', 'vega'];
+    }
+
+    // Position record from a main-form analysis. quantity is in contracts, negative for short.
+    createPosition(result, quantity, entryPrice, openDate) {
+        const contract = result.originalContract;
+        const position = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            symbol: contract.underlyingSymbol,
+            optionType: contract.optionType,
+            exerciseStyle: contract.exerciseStyle || 'european',
+            strikePrice: contract.strikePrice,
+            expirationDate: contract.expirationDate.toISOString().split('T')[0],
+            quantity,
+            entryPrice,
+            openDate,
+            volatility: result.impliedVolatility,
+            model: result.model,
+            foreignRate: result.originalMarketData.foreignRate,
+            dividendYield: result.originalMarketData.dividendYield,
+            dividends: result.originalMarketData.dividends.map(dividend => ({
+                exDate: dividend.exDate.toISOString().split('T')[0],
+                amount: dividend.amount
+            }))
+        };
+        this.validatePosition(position, 'Position');
+        return position;
+    }
+
+    validatePosition(position, label) {
+        if (!position || typeof position.symbol !== 'string' || !position.symbol) {
+            throw new Error(`${label}: missing underlying symbol`);
+        }
+        if (position.optionType !== 'call' && position.optionType !== 'put') {
+            throw new Error(`${label}: option type must be "call" or "put"`);
+        }
+        if (position.exerciseStyle !== 'european' && position.exerciseStyle !== 'american') {
+            throw new Error(`${label}: exercise style must be "european" or "american"`);
+        }
+        if (!(position.strikePrice > 0)) {
+            throw new Error(`${label}: strike must be a positive number`);
+        }
+        if (!Number.isInteger(position.quantity) || position.quantity === 0) {
+            throw new Error(`${label}: quantity must be a non-zero whole number of contracts (negative for short)`);
+        }
+        if (!(position.entryPrice >= 0)) {
+            throw new Error(`${label}: entry price must be zero or more`);
+        }
+        if (!(position.volatility > 0)) {
+            throw new Error(`${label}: volatility must be positive`);
+        }
+        // Books saved before pricing models were added hold stock options
+        if (position.model !== undefined && !this.calculator.PRICING_MODELS[position.model]) {
+            throw new Error(`${label}: pricing model must be one of ${Object.keys(this.calculator.PRICING_MODELS).join(', ')}`);
+        }
+        if (position.model === 'garman-kohlhagen' && !Number.isFinite(position.foreignRate)) {
+            throw new Error(`${label}: a Garman-Kohlhagen position needs its foreign rate`);
+        }
+        ['expirationDate', 'openDate'].forEach(field => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(position[field]) || isNaN(new Date(position[field]).getTime())) {
+                throw new Error(`${label}: ${field} must be a YYYY-MM-DD date`);
+            }
+        });
+        if (position.openDate > position.expirationDate) {
+            throw new Error(`${label}: open date is after expiry`);
+        }
+        if (!Array.isArray(position.dividends) || position.dividends.some(dividend =>
+            isNaN(new Date(dividend.exDate).getTime()) || !(dividend.amount > 0))) {
+            throw new Error(`${label}: dividends must be a list of { exDate, amount }`);
+        }
+    }
+
+    // Value and position Greeks of every position. marks: { symbol: spot }.
+    revalue(positions, marks, riskFreeRate, treeOptions = {}, valuationDate = new Date()) {
+        const rows = positions.map(position => {
+            const spot = marks[position.symbol];
+            const units = position.quantity * this.calculator.CONTRACT_MULTIPLIER;
+            const row = { position, spot, value: NaN, pnl: NaN, expired: false, error: null };
+            this.GREEKS.forEach(greek => { row[greek] = 0; });
+            row.dollarDelta = 0;
+
+            if (!(spot > 0)) {
+                row.error = `No ${position.symbol} spot`;
+                return row;
+            }
+
+            const contract = {
+                underlyingSymbol: position.symbol,
+                strikePrice: position.strikePrice,
+                expirationDate: new Date(position.expirationDate),
+                optionType: position.optionType,
+                exerciseStyle: position.exerciseStyle,
+                currentPrice: null
+            };
+
+            // Expired positions are carried at intrinsic value against the current mark
+            if (this.calculator.expiryTime(contract.expirationDate) <= valuationDate) {
+                row.expired = true;
+                row.value = position.optionType === 'call' ? Math.max(spot - position.strikePrice, 0) : Math.max(position.strikePrice - spot, 0);
+                row.pnl = (row.value - position.entryPrice) * units;
+                return row;
+            }
+
+            const marketData = {
+                model: position.model,
+                underlyingPrice: spot,
+                riskFreeRate,
+                foreignRate: position.foreignRate,
+                dividendYield: position.dividendYield,
+                dividends: position.dividends.map(dividend => ({ exDate: new Date(dividend.exDate), amount: dividend.amount })),
+                volatilitySurface: null,
+                timestamp: valuationDate
+            };
+
+            try {
+                const result = this.calculator.analyzeOption(contract, marketData, position.volatility, treeOptions);
+                const greeks = this.calculator.positionGreeks(result, spot, position.quantity);
+                row.value = result.theoreticalPrice;
+                row.pnl = (row.value - position.entryPrice) * units;
+                this.GREEKS.forEach(greek => { row[greek] = greeks[greek]; });
+                row.dollarDelta = greeks.dollarDelta;
+            } catch (error) {
+                row.error = error.message;
+            }
+            return row;
+        });
+
+        return { rows, ...this.aggregate(rows) };
+    }
+
+    // Greeks and P&L summed per underlying and overall. Share deltas and gammas of different
+    // underlyings do not add up, so the overall line carries dollar delta instead.
+    aggregate(rows) {
+        const bySymbol = {};
+        const total = { positions: 0, cost: 0, value: 0, pnl: 0, dollarDelta: 0, theta: 0, vega: 0 };
+
+        rows.forEach(row => {
+            const symbol = row.position.symbol;
+            if (!bySymbol[symbol]) {
+                bySymbol[symbol] = { symbol, spot: row.spot, positions: 0, cost: 0, value: 0, pnl: 0, dollarDelta: 0 };
+                this.GREEKS.forEach(greek => { bySymbol[symbol][greek] = 0; });
+            }
+            const group = bySymbol[symbol];
+            const units = row.position.quantity * this.calculator.CONTRACT_MULTIPLIER;
+
+            group.positions += 1;
+            total.positions += 1;
+            group.cost += row.position.entryPrice * units;
+            total.cost += row.position.entryPrice * units;
+            group.value += row.value * units;
+            total.value += row.value * units;
+            group.pnl += row.pnl;
+            total.pnl += row.pnl;
+            this.GREEKS.forEach(greek => { group[greek] += row[greek]; });
+            group.dollarDelta += row.dollarDelta;
+            total.dollarDelta += row.dollarDelta;
+            total.theta += row.theta;
+            total.vega += row.vega;
+        });
+
+        return {
+            symbols: Object.keys(bySymbol).sort().map(symbol => bySymbol[symbol]),
+            total
+        };
+    }
+
+    toJSON(book) {
+        return JSON.stringify({
+            format: 'options-analyzer-portfolio',
+            version: this.FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            positions: book.positions,
+            marks: book.marks
+        }, null, 2);
+    }
+
+    // Parse an exported book. Every position is validated and given a fresh id so an import
+    // can be added to an existing book.
+    fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Portfolio file is not valid JSON');
+        }
+        if (!data || data.format !== 'options-analyzer-portfolio' || !Array.isArray(data.positions)) {
+            throw new Error('Not a portfolio export - expected a file saved with Export JSON');
+        }
+        if (data.version > this.FORMAT_VERSION) {
+            throw new Error(`Portfolio file version ${data.version} is newer than this page supports (${this.FORMAT_VERSION})`);
+        }
+
+        const positions = data.positions.map((position, index) => {
+            this.validatePosition(position, `Position ${index + 1}`);
+            return { ...position, id: `${Date.now().toString(36)}-${index}-${Math.random().toString(36).slice(2, 8)}` };
+        });
+
+        const marks = {};
+        Object.keys(data.marks || {}).forEach(symbol => {
+            if (data.marks[symbol] > 0) {
+                marks[symbol] = data.marks[symbol];
+            }
+        });
+        return { positions, marks };
+    }
+}
+
+// Portfolio panel
+class PortfolioUI {
+    constructor(calculator, getMarketInputs) {
+        this.analyzer = new PortfolioAnalyzer(calculator);
+        this.getMarketInputs = getMarketInputs;
+        this.STORAGE_KEY = 'optionsAnalyzer.portfolio';
+        this.analysis = null;
+        this.book = this.readBook();
+        this.initializeEventListeners();
+        document.getElementById('portfolioOpenDate').value = new Date().toISOString().split('T')[0];
+        this.render();
+    }
+
+    initializeEventListeners() {
+        document.getElementById('addPositionBtn').addEventListener('click', () => this.addPosition());
+        document.getElementById('revaluePortfolioBtn').addEventListener('click', () => this.render());
+        document.getElementById('exportPortfolioBtn').addEventListener('click', () => this.exportJSON());
+        document.getElementById('portfolioFile').addEventListener('change', (e) => this.importFile(e.target.files[0]));
+        document.getElementById('clearPortfolioBtn').addEventListener('click', () => this.clear());
+    }
+
+    // Called after every main analysis; the analysed contract is what Add Position saves
+    setAnalysis(result, signal, pnlData) {
+        this.analysis = result;
+        document.getElementById('portfolioQuantity').value = pnlData.positionSize || 1;
+        document.getElementById('portfolioEntryPrice').value = (signal.marketPrice || result.theoreticalPrice).toFixed(this.analyzer.calculator.priceDigits(result.model));
+
+        const contract = result.originalContract;
+        document.getElementById('portfolioContract').textContent =
+            `${contract.underlyingSymbol} ${contract.expirationDate.toISOString().split('T')[0]} $${contract.strikePrice} ${contract.optionType.toUpperCase()}` +
+            ` (${(contract.exerciseStyle || 'european')}, vol ${(result.impliedVolatility * 100).toFixed(1)}%)`;
+
+        this.book.marks[contract.underlyingSymbol] = result.originalMarketData.underlyingPrice;
+        this.saveBook();
+        this.render();
+    }
+
+    addPosition() {
+        this.hideError();
+        try {
+            if (!this.analysis) {
+                throw new Error('Run an analysis first - the analysed contract is what gets added');
+            }
+            const quantity = Number(document.getElementById('portfolioQuantity').value);
+            const entryPrice = parseFloat(document.getElementById('portfolioEntryPrice').value);
+            const openDate = document.getElementById('portfolioOpenDate').value;
+            const position = this.analyzer.createPosition(this.analysis, quantity, entryPrice, openDate);
+
+            this.book.positions.push(position);
+            this.saveBook();
+            this.render();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    removePosition(id) {
+        this.book.positions = this.book.positions.filter(position => position.id !== id);
+        this.saveBook();
+        this.render();
+    }
+
+    clear() {
+        if (this.book.positions.length === 0 || !window.confirm(`Remove all ${this.book.positions.length} positions from the portfolio?`)) {
+            return;
+        }
+        this.book = { positions: [], marks: {} };
+        this.saveBook();
+        this.render();
+    }
+
+    setMark(symbol, value) {
+        const spot = parseFloat(value);
+        if (!(spot > 0)) {
+            this.showError(`${symbol} spot must be a positive number`);
+            return;
+        }
+        this.hideError();
+        this.book.marks[symbol] = spot;
+        this.saveBook();
+        this.render();
+    }
+
+    // Book: { positions: [...], marks: { symbol: spot } }
+    readBook() {
+        try {
+            const book = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            if (book && Array.isArray(book.positions)) {
+                return { positions: book.positions, marks: book.marks || {} };
+            }
+        } catch (error) {
+            // Unavailable or corrupt storage starts an empty book
+        }
+        return { positions: [], marks: {} };
+    }
+
+    saveBook() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.book));
+        } catch (error) {
+            this.showError('The portfolio could not be saved - browser storage is unavailable, use Export JSON to keep it');
+        }
+    }
+
+    render() {
+        const empty = this.book.positions.length === 0;
+        document.getElementById('portfolioEmpty').classList.toggle('hidden', !empty);
+        document.getElementById('portfolioResults').classList.toggle('hidden', empty);
+        if (empty) {
+            return;
+        }
+
+        // Rate and tree settings come from the form; fall back to 0% while it is incomplete
+        let riskFreeRate = 0;
+        let treeOptions = {};
+        try {
+            const inputs = this.getMarketInputs(false);
+            riskFreeRate = inputs.marketData.riskFreeRate;
+            treeOptions = inputs.treeOptions;
+        } catch (error) {
+            // Keep the fallbacks
+        }
+
+        const valuation = this.analyzer.revalue(this.book.positions, this.book.marks, riskFreeRate, treeOptions);
+        document.getElementById('portfolioNote').textContent =
+            `${valuation.total.positions} position${valuation.total.positions === 1 ? '' : 's'} revalued ${new Date().toLocaleString()} at ${(riskFreeRate * 100).toFixed(2)}% rate, each at the volatility it was saved with.`;
+        this.renderPositions(valuation.rows);
+        this.renderAggregates(valuation);
+    }
+
+    renderPositions(rows) {
+        const tbody = document.getElementById('portfolioPositions');
+        tbody.innerHTML = '';
+
+        rows.forEach(row => {
+            const position = row.position;
+            const digits = this.analyzer.calculator.priceDigits(position.model);
+            const tr = document.createElement('tr');
+            [
+                position.symbol,
+                `${position.quantity > 0 ? '+' : ''}${position.quantity} ${position.optionType.toUpperCase()}${position.exerciseStyle === 'american' ? ' (Am)' : ''}`,
+                `$${position.strikePrice.toFixed(digits)}`,
+                position.expirationDate,
+                position.openDate,
+                `$${position.entryPrice.toFixed(digits)}`,
+                row.error ? row.error : `$${row.value.toFixed(digits)}${row.expired ? ' (expired)' : ''}`,
+                isFinite(row.pnl) ? this.formatMoney(row.pnl) : '--',
+                row.delta.toFixed(1),
+                this.formatMoney(row.theta),
+                this.formatMoney(row.vega)
+            ].forEach((text, index) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                if (index === 7 && isFinite(row.pnl)) {
+                    td.className = row.pnl >= 0 ? 'positive' : 'negative';
+                }
+                tr.appendChild(td);
+            });
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'remove-leg-btn';
+            removeBtn.textContent = '×';
+            removeBtn.title = 'Remove position';
+            removeBtn.addEventListener('click', () => this.removePosition(position.id));
+            const td = document.createElement('td');
+            td.appendChild(removeBtn);
+            tr.appendChild(td);
+
+            tbody.appendChild(tr);
+        });
+    }
+
+    renderAggregates(valuation) {
+        const tbody = document.getElementById('portfolioAggregates');
+        tbody.innerHTML = '';
+
+        valuation.symbols.forEach(group => {
+            const tr = document.createElement('tr');
+            const spotInput = document.createElement('input');
+            spotInput.type = 'number';
+            spotInput.step = '0.01';
+            spotInput.value = group.spot > 0 ? group.spot : '';
+            spotInput.addEventListener('change', () => this.setMark(group.symbol, spotInput.value));
+
+            const cells = [
+                group.symbol,
+                spotInput,
+                isFinite(group.pnl) ? this.formatMoney(group.pnl) : '--',
+                group.delta.toFixed(1),
+                this.formatMoney(group.dollarDelta),
+                group.gamma.toFixed(2),
+                this.formatMoney(group.theta),
+                this.formatMoney(group.vega)
+            ];
+            cells.forEach(content => {
+                const td = document.createElement('td');
+                if (typeof content === 'string') {
+                    td.textContent = content;
+                } else {
+                    td.appendChild(content);
+                }
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+
+        const total = valuation.total;
+        document.getElementById('portfolioCost').textContent = this.formatMoney(total.cost);
+        document.getElementById('portfolioValue').textContent = isFinite(total.value) ? this.formatMoney(total.value) : '--';
+        const pnl = document.getElementById('portfolioPnL');
+        pnl.textContent = isFinite(total.pnl) ? this.formatMoney(total.pnl) : '-- (missing spot)';
+        pnl.className = `value ${total.pnl >= 0 ? 'positive' : 'negative'}`;
+        document.getElementById('portfolioDollarDelta').textContent = this.formatMoney(total.dollarDelta);
+        document.getElementById('portfolioTheta').textContent = `${this.formatMoney(total.theta)}/day`;
+        document.getElementById('portfolioVega').textContent = `${this.formatMoney(total.vega)}/1% vol`;
+    }
+
+    exportJSON() {
+        if (this.book.positions.length === 0) {
+            this.showError('The portfolio is empty - there is nothing to export');
+            return;
+        }
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([this.analyzer.toJSON(this.book)], { type: 'application/json' }));
+        link.download = `portfolio-${new Date().toISOString().split('T')[0]}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Imported positions are added to the book; imported marks only fill symbols without one
+    importFile(file) {
+        if (!file) {
+            return;
+        }
+
+        this.hideError();
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const imported = this.analyzer.fromJSON(reader.result);
+                this.book.positions.push(...imported.positions);
+                this.book.marks = { ...imported.marks, ...this.book.marks };
+                this.saveBook();
+                this.render();
+            } catch (error) {
+                this.showError(error.message);
+            }
+            document.getElementById('portfolioFile').value = '';
+        };
+        reader.onerror = () => this.showError(`Could not read ${file.name}`);
+        reader.readAsText(file);
+    }
+
+    formatMoney(value) {
+        const sign = value < 0 ? '-' : '';
+        return `${sign}$${Math.abs(value).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+    }
+
+    showError(message) {
+        document.getElementById('portfolioErrorMessage').textContent = message;
+        document.getElementById('portfolioError').classList.remove('hidden');
+    }
+
+    hideError() {
+        document.getElementById('portfolioError').classList.add('hidden');
+    }
+}
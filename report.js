@@ -0,0 +1,259 @@
+// Analysis reports
+// A record of one main-form analysis - the inputs as entered and as parsed, the solved volatility
+// and its source, the Greeks, the trading signal with its reasoning and the P&L targets - stamped
+// with the time and app version, as JSON, CSV or a self-contained printable HTML page. A JSON
+// report loads back into the form and, priced at its recorded valuation time, reproduces the
+// analysis exactly.
+
+// Bump with each release so a report says which version of the analysis produced it
+const APP_VERSION = '1.0.0';
+
+class AnalysisReport {
+    // fields: the form's field list ({ name, label }, e.g. VALIDATION_FIELDS) for report labels
+    constructor(calculator, fields = []) {
+        this.calculator = calculator;
+        this.fields = fields;
+        this.FORMAT_VERSION = 1;
+    }
+
+    // values: the form's raw values { name: value }; inputs: getFormData()'s output; pnl: the
+    // P&L target summary ({ positionSize, entryPrice, investment, targets }) or null
+    build(values, inputs, result, signal, pnl, generatedAt = new Date()) {
+        const marketData = inputs.marketData;
+        // Plain JSON: dates become ISO strings, missing and non-finite numbers null
+        const plain = value => JSON.parse(JSON.stringify(value === undefined ? null : value, (key, field) => (field === undefined ? null : field)));
+
+        return {
+            format: 'options-analyzer-report',
+            version: this.FORMAT_VERSION,
+            appVersion: APP_VERSION,
+            generatedAt: generatedAt.toISOString(),
+            valuationTime: marketData.timestamp.toISOString(),
+            form: { ...values },
+            inputs: plain({
+                ...inputs,
+                marketData: { ...marketData, volatilitySurface: marketData.volatilitySurface ? 'fitted volatility surface' : null }
+            }),
+            volatility: {
+                value: result.impliedVolatility,
+                source: result.volatilitySource,
+                solver: plain(result.ivSolution),
+                realised: plain(marketData.realisedVolatility || null)
+            },
+            pricing: plain({
+                model: result.model,
+                modelName: this.calculator.PRICING_MODELS[result.model],
+                exerciseStyle: result.exerciseStyle,
+                treeOptions: result.exerciseStyle === 'american' ? result.treeOptions : null,
+                theoreticalPrice: result.theoreticalPrice,
+                europeanPrice: result.europeanPrice,
+                earlyExercisePremium: result.earlyExercisePremium,
+                expiresAt: result.expiresAt,
+                timeToExpiry: result.timeToExpiry,
+                cashDividends: result.cashDividends,
+                dividendPV: result.dividendPV,
+                dividendExercise: result.dividendExercise
+            }),
+            greeks: plain({
+                delta: result.delta,
+                gamma: result.gamma,
+                theta: result.theta,
+                vega: result.vega,
+                rho: result.rho,
+                foreignRho: result.foreignRho,
+                vanna: result.vanna,
+                volga: result.volga,
+                charm: result.charm,
+                speed: result.speed,
+                color: result.color,
+                zomma: result.zomma,
+                veta: result.veta,
+                thetaConvention: result.thetaConvention,
+                position: result.position
+            }),
+            signal: plain(signal),
+            pnl: plain(pnl)
+        };
+    }
+
+    toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    // Form values and valuation context from an exported report:
+    // { values, valuationTime, realisedVolatility, appVersion, generatedAt }
+    fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Report file is not valid JSON');
+        }
+        if (!data || data.format !== 'options-analyzer-report' || !data.form || typeof data.form !== 'object') {
+            throw new Error('Not an analysis report - expected a JSON file saved with Export JSON');
+        }
+        if (data.version > this.FORMAT_VERSION) {
+            throw new Error(`Report version ${data.version} is newer than this page supports (${this.FORMAT_VERSION})`);
+        }
+        const valuationTime = new Date(data.valuationTime);
+        if (isNaN(valuationTime.getTime())) {
+            throw new Error(`Report valuation time "${data.valuationTime}" is not a date`);
+        }
+
+        const values = {};
+        Object.keys(data.form).forEach(name => {
+            values[name] = data.form[name] === null ? '' : String(data.form[name]);
+        });
+        return {
+            values,
+            valuationTime,
+            realisedVolatility: data.volatility && data.volatility.realised ? data.volatility.realised : null,
+            appVersion: data.appVersion || 'unknown',
+            generatedAt: data.generatedAt || null
+        };
+    }
+
+    // One "section,field,value" row per value, nested fields as dotted paths
+    toCSV(report) {
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = [];
+        const flatten = (section, path, value) => {
+            if (value !== null && typeof value === 'object') {
+                Object.keys(value).forEach(key => flatten(section, path ? `${path}.${key}` : key, value[key]));
+            } else {
+                rows.push([section, path, value].map(escape).join(','));
+            }
+        };
+        ['form', 'inputs', 'volatility', 'pricing', 'greeks', 'signal', 'pnl'].forEach(section => flatten(section, '', report[section]));
+
+        return [
+            `# Options analysis report, app version ${report.appVersion}, report format ${report.version}`,
+            `# Generated ${report.generatedAt}, valued at ${report.valuationTime}`,
+            'section,field,value',
+            ...rows
+        ].join('\n') + '\n';
+    }
+
+    // Self-contained printable page: inline styles, no scripts or external resources
+    toHTML(report) {
+        const escape = value => String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const digits = this.calculator.priceDigits(report.pricing.model);
+        const money = value => (value === null || value === undefined ? '--' : `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(digits)}`);
+        const percent = (value, places = 2) => (value === null || value === undefined ? '--' : `${(value * 100).toFixed(places)}%`);
+        const number = (value, places = 4) => (value === null || value === undefined ? '--' : value.toFixed(places));
+        const rows = pairs => pairs
+            .filter(([, value]) => value !== null)
+            .map(([label, value]) => `<tr><th>${escape(label)}</th><td>${escape(value)}</td></tr>`)
+            .join('\n');
+        const table = pairs => `<table>\n${rows(pairs)}\n</table>`;
+
+        const contract = report.inputs.contract;
+        const signal = report.signal;
+        const pricing = report.pricing;
+        const greeks = report.greeks;
+        const volatility = report.volatility;
+        const title = `${contract.underlyingSymbol} ${contract.strikePrice} ${contract.optionType.toUpperCase()} ${String(contract.expirationDate).split('T')[0]}`;
+        const sources = { input: 'User estimate', surface: 'Fitted volatility surface', implied: 'Solved from market price', default: 'ASSUMED DEFAULT' };
+
+        const labels = {};
+        this.fields.forEach(field => { labels[field.name] = field.label; });
+        const formRows = Object.keys(report.form)
+            .filter(name => String(report.form[name]).trim() !== '')
+            .map(name => [labels[name] || name, report.form[name]]);
+
+        const solver = volatility.solver
+            ? `${volatility.solver.status}${volatility.solver.method ? ` (${volatility.solver.method}, ${volatility.solver.iterations} iterations)` : ''}${volatility.solver.reason ? ` - ${volatility.solver.reason}` : ''}`
+            : 'not run - no market price';
+
+        // Like the page, the quote-based figures only apply with a market price
+        const quoteRows = signal.marketPrice > 0 ? [
+            ['Edge', percent(signal.edge, 1)],
+            ['Net edge', `${percent(signal.netEdge, 1)} ${signal.side === 'long' ? 'buying' : 'selling'}`],
+            ['Market price', money(signal.marketPrice)],
+            ['Bid / Ask', signal.bid !== null && signal.ask !== null ? `${money(signal.bid)} / ${money(signal.ask)}` : null],
+            ['Expected value (per contract)', money(signal.expectedValue)],
+            ['Probability of profit', percent(signal.probabilityOfProfit, 1)],
+            ['Breakeven', signal.breakeven !== null ? money(signal.breakeven) : null]
+        ] : [];
+
+        const sections = [
+            `<h2>Inputs</h2>\n${table(formRows)}`,
+            `<h2>Volatility</h2>\n${table([
+                ['Volatility used', percent(volatility.value)],
+                ['Source', sources[volatility.source] || volatility.source],
+                ['IV solver', solver],
+                ['Realised reference', volatility.realised ? `${percent(volatility.realised.volatility)} (${volatility.realised.estimator}, ${volatility.realised.window} bars)` : null]
+            ])}`,
+            `<h2>Pricing</h2>\n${table([
+                ['Model', `${pricing.exerciseStyle === 'american' ? 'American' : 'European'} (${pricing.modelName}${pricing.treeOptions ? `, ${pricing.treeOptions.method === 'crr' ? 'CRR' : 'Leisen-Reimer'}, ${pricing.treeOptions.steps} steps` : ''})`],
+                ['Fair value', money(pricing.theoreticalPrice)],
+                ['European value', pricing.europeanPrice !== null ? money(pricing.europeanPrice) : null],
+                ['Early exercise premium', pricing.earlyExercisePremium !== null ? money(pricing.earlyExercisePremium) : null],
+                ['Expires', pricing.expiresAt],
+                ['Time to expiry (years)', number(pricing.timeToExpiry, 5)],
+                ['Cash dividend PV', pricing.cashDividends && pricing.cashDividends.length > 0 ? money(pricing.dividendPV) : null]
+            ])}`,
+            `<h2>Greeks</h2>\n${table([
+                ['Delta', number(greeks.delta)],
+                ['Gamma', number(greeks.gamma)],
+                [`Theta (per ${greeks.thetaConvention} day)`, number(greeks.theta)],
+                ['Vega (per 1% vol)', number(greeks.vega)],
+                ['Rho (per 1% rate)', number(greeks.rho)],
+                ['Foreign rho (per 1% rate)', greeks.foreignRho !== null ? number(greeks.foreignRho) : null],
+                ['Vanna / Volga', `${number(greeks.vanna)} / ${number(greeks.volga)}`],
+                ['Charm / Color', `${number(greeks.charm)} / ${number(greeks.color)}`],
+                ['Speed / Zomma / Veta', `${number(greeks.speed)} / ${number(greeks.zomma)} / ${number(greeks.veta)}`],
+                ['Dollar delta / gamma', greeks.position ? `${money(greeks.position.dollarDelta)} / ${money(greeks.position.dollarGamma)}` : null]
+            ])}`,
+            `<h2>Trading Signal</h2>\n${table([
+                ['Action', signal.action],
+                ['Confidence', percent(signal.confidence, 1)],
+                ...quoteRows,
+                ...(signal.checks || []).map(check => [`Rule: ${check.label}`, `${check.passed === null ? '--' : (check.passed ? 'PASS' : 'FAIL')} ${check.detail}`])
+            ])}\n<pre>${escape(signal.reasoning)}</pre>`
+        ];
+
+        if (report.pnl) {
+            sections.push(`<h2>P&amp;L Targets</h2>\n${table([
+                ['Position', `${report.pnl.positionSize} contracts @ ${money(report.pnl.entryPrice)}`],
+                ['Investment', money(report.pnl.investment)]
+            ])}\n<table>\n<tr><th>Underlying target</th><th>Option value</th><th>P&amp;L</th><th>Return</th></tr>\n${report.pnl.targets.map(target =>
+                `<tr><td>${escape(money(target.targetPrice))}</td><td>${escape(money(target.optionValue))}</td><td>${escape(money(target.pnl))}</td><td>${escape(percent(target.pnlPercent / 100, 1))}</td></tr>`
+            ).join('\n')}\n</table>`);
+        }
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Options Analysis - ${escape(title)}</title>
+<style>
+body { font-family: "SF Mono", Monaco, "Cascadia Code", "Roboto Mono", Consolas, monospace; font-size: 12px; color: #000; background: #fff; margin: 24px; }
+h1 { font-size: 18px; margin: 0 0 4px; }
+h2 { font-size: 13px; text-transform: uppercase; letter-spacing: 1px; border-bottom: 1px solid #000; margin: 20px 0 8px; padding-bottom: 2px; }
+.meta { color: #444; margin: 0 0 12px; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 8px; }
+th, td { text-align: left; padding: 3px 8px; border-bottom: 1px solid #ddd; vertical-align: top; }
+th { width: 35%; font-weight: 600; }
+pre { white-space: pre-wrap; border: 1px solid #ddd; padding: 8px; }
+@media print { body { margin: 0; } h2 { break-after: avoid; } table, pre { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Options Analysis - ${escape(title)}</h1>
+<p class="meta">Generated ${escape(report.generatedAt)} - valued at ${escape(report.valuationTime)} - app version ${escape(report.appVersion)}, report format ${escape(report.version)}</p>
+${sections.join('\n')}
+<p class="meta">Model output for record keeping, not investment advice.</p>
+</body>
+</html>
+`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AnalysisReport, APP_VERSION };
+}
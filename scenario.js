@@ -0,0 +1,310 @@
+// Scenario stress grid
+// Revalues the analysed position across spot shocks x volatility shocks at a valuation date
+// rolled forward by a number of days, and renders the P&L as a heatmap. Named shock sets are
+// kept in localStorage.
+
+const DEFAULT_STRESS_SET = {
+    spotShocks: [-20, -10, -5, 0, 5, 10, 20],
+    volShocks: [-10, -5, 0, 5, 10],
+    daysForward: 0
+};
+
+class ScenarioAnalyzer {
+    constructor(calculator) {
+        this.calculator = calculator;
+        this.CONTRACT_MULTIPLIER = 100;
+        this.MAX_SHOCKS = 25;
+        this.CHART_TREE_STEPS = 101;
+    }
+
+    // Comma/space separated shock list, sorted and de-duplicated
+    parseShocks(text, label) {
+        const values = String(text).split(/[\s,;]+/).filter(token => token !== '').map(Number);
+        if (values.length === 0) {
+            throw new Error(`Enter at least one ${label} shock`);
+        }
+        if (values.some(value => !isFinite(value))) {
+            throw new Error(`Each ${label} shock must be a number, e.g. -10, 0, 10`);
+        }
+        const unique = Array.from(new Set(values)).sort((a, b) => a - b);
+        if (unique.length > this.MAX_SHOCKS) {
+            throw new Error(`Use at most ${this.MAX_SHOCKS} ${label} shocks`);
+        }
+        return unique;
+    }
+
+    // position: { contract, marketData, volatility, treeOptions, entryPrice, quantity }
+    // spotShocks in percent, volShocks in volatility points.
+    // Returns cells[volIndex][spotIndex] = { spot, volatility, value, pnl }; unpriceable cells carry NaN.
+    stressGrid(position, spotShocks, volShocks, daysForward) {
+        const { contract, marketData } = position;
+        const valuationDate = new Date(marketData.timestamp.getTime() + daysForward * 24 * 3600 * 1000);
+        const timeToExpiry = this.calculator.timeToExpiration(contract.expirationDate, valuationDate);
+        const cashDividends = this.calculator.dividendSchedule(marketData.dividends, valuationDate);
+        const dividendPV = this.calculator.dividendPresentValue(cashDividends, timeToExpiry, marketData.riskFreeRate);
+        const treeOptions = position.treeOptions
+            ? { method: position.treeOptions.method, steps: Math.min(position.treeOptions.steps, this.CHART_TREE_STEPS) }
+            : {};
+        const units = position.quantity * this.CONTRACT_MULTIPLIER;
+
+        const cells = volShocks.map(volShock => spotShocks.map(spotShock => {
+            const spot = marketData.underlyingPrice * (1 + spotShock / 100);
+            const volatility = position.volatility + volShock / 100;
+            if (!(volatility > 0) || !(spot > dividendPV)) {
+                return { spot, volatility, value: NaN, pnl: NaN };
+            }
+
+            const value = this.calculator.optionPrice(
+                spot,
+                contract.strikePrice,
+                timeToExpiry,
+                marketData.riskFreeRate,
+                volatility,
+                contract.optionType,
+                marketData.dividendYield,
+                contract.exerciseStyle,
+                treeOptions,
+                cashDividends
+            );
+            return { spot, volatility, value, pnl: (value - position.entryPrice) * units };
+        }));
+
+        return { valuationDate, timeToExpiry, spotShocks, volShocks, cells };
+    }
+
+    // Matrix as CSV: one row per vol shock, one column per spot shock
+    toCSV(grid, position) {
+        const lines = [
+            `# ${position.contract.underlyingSymbol} ${position.contract.strikePrice} ${position.contract.optionType}, ${position.quantity} contract(s) @ ${position.entryPrice.toFixed(4)}`,
+            `# Valuation date ${grid.valuationDate.toISOString().split('T')[0]}, base volatility ${(position.volatility * 100).toFixed(2)}%`,
+            ['vol shock (pts) \\ spot shock (%)', ...grid.spotShocks].join(',')
+        ];
+        grid.volShocks.forEach((volShock, i) => {
+            lines.push([volShock, ...grid.cells[i].map(cell => isFinite(cell.pnl) ? cell.pnl.toFixed(2) : '')].join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+}
+
+class ScenarioStressUI {
+    constructor(calculator) {
+        this.analyzer = new ScenarioAnalyzer(calculator);
+        this.STORAGE_KEY = 'optionsAnalyzer.scenarioSets';
+        this.position = null;
+        this.grid = null;
+        this.initializeEventListeners();
+        this.applySet(DEFAULT_STRESS_SET);
+        this.renderSavedSets();
+    }
+
+    initializeEventListeners() {
+        ['stressSpotShocks', 'stressVolShocks'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.render());
+        });
+        document.getElementById('stressDays').addEventListener('input', () => this.render());
+        document.getElementById('stressSetSelect').addEventListener('change', (e) => this.loadSet(e.target.value));
+        document.getElementById('saveStressSetBtn').addEventListener('click', () => this.saveSet());
+        document.getElementById('deleteStressSetBtn').addEventListener('click', () => this.deleteSet());
+        document.getElementById('exportStressBtn').addEventListener('click', () => this.exportCSV());
+    }
+
+    // Called after every main analysis with the position it produced
+    setPosition(result, signal, pnlData) {
+        this.position = {
+            contract: result.originalContract,
+            marketData: result.originalMarketData,
+            volatility: result.impliedVolatility,
+            treeOptions: result.treeOptions,
+            entryPrice: signal.marketPrice || result.theoreticalPrice,
+            quantity: pnlData.positionSize || 1
+        };
+
+        const slider = document.getElementById('stressDays');
+        // Calendar days to the expiry instant, whichever clock the pricing runs on
+        slider.max = Math.max(Math.floor((result.expiresAt - result.originalMarketData.timestamp) / (24 * 3600 * 1000)), 0);
+        if (parseInt(slider.value) > parseInt(slider.max)) {
+            slider.value = slider.max;
+        }
+        this.render();
+    }
+
+    render() {
+        if (!this.position) {
+            return;
+        }
+
+        this.hideError();
+        const daysForward = parseInt(document.getElementById('stressDays').value) || 0;
+        try {
+            const spotShocks = this.analyzer.parseShocks(document.getElementById('stressSpotShocks').value, 'spot');
+            const volShocks = this.analyzer.parseShocks(document.getElementById('stressVolShocks').value, 'volatility');
+            this.grid = this.analyzer.stressGrid(this.position, spotShocks, volShocks, daysForward);
+        } catch (error) {
+            this.grid = null;
+            this.showError(error.message);
+            return;
+        }
+
+        const date = this.grid.valuationDate.toISOString().split('T')[0];
+        const digits = this.analyzer.calculator.priceDigits(this.position.marketData.model);
+        document.getElementById('stressDaysLabel').textContent = `+${daysForward} day${daysForward === 1 ? '' : 's'} (${date})`;
+        document.getElementById('stressNote').textContent =
+            `Position P&L for ${this.position.quantity} contract${this.position.quantity === 1 ? '' : 's'} @ $${this.position.entryPrice.toFixed(digits)}, ` +
+            `base volatility ${(this.position.volatility * 100).toFixed(1)}%. Hover a cell for the option value.`;
+        this.renderTable();
+    }
+
+    renderTable() {
+        const grid = this.grid;
+        const table = document.getElementById('stressTable');
+        table.innerHTML = '';
+
+        const digits = this.analyzer.calculator.priceDigits(this.position.marketData.model);
+        const maxAbs = Math.max(...grid.cells.flat().map(cell => isFinite(cell.pnl) ? Math.abs(cell.pnl) : 0)) || 1;
+        const formatMoney = value => `${value < 0 ? '-' : '+'}$${Math.abs(value).toLocaleString('en-US', {maximumFractionDigits: 0})}`;
+
+        const head = document.createElement('tr');
+        head.appendChild(this.createCell('th', 'Vol \\ Spot'));
+        grid.spotShocks.forEach((shock, j) => {
+            head.appendChild(this.createCell('th', `${shock > 0 ? '+' : ''}${shock}% ($${grid.cells[0][j].spot.toFixed(digits)})`));
+        });
+        table.appendChild(head);
+
+        // Highest volatility on top
+        grid.volShocks.map((shock, i) => ({ shock, row: grid.cells[i] })).reverse().forEach(({ shock, row }) => {
+            const tr = document.createElement('tr');
+            tr.appendChild(this.createCell('th', `${shock > 0 ? '+' : ''}${shock} pts (${(row[0].volatility * 100).toFixed(1)}%)`));
+            row.forEach(cell => {
+                const td = this.createCell('td', isFinite(cell.pnl) ? formatMoney(cell.pnl) : 'n/a');
+                if (isFinite(cell.pnl)) {
+                    const alpha = 0.1 + 0.5 * Math.abs(cell.pnl) / maxAbs;
+                    td.style.backgroundColor = cell.pnl >= 0 ? `rgba(74, 222, 128, ${alpha.toFixed(3)})` : `rgba(239, 68, 68, ${alpha.toFixed(3)})`;
+                    td.title = `Spot $${cell.spot.toFixed(digits)}, vol ${(cell.volatility * 100).toFixed(1)}%: option $${cell.value.toFixed(digits)}, P&L ${formatMoney(cell.pnl)}`;
+                }
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+    }
+
+    createCell(tag, text) {
+        const cell = document.createElement(tag);
+        cell.textContent = text;
+        return cell;
+    }
+
+    exportCSV() {
+        if (!this.grid) {
+            this.showError('Run an analysis first - there is no stress grid to export');
+            return;
+        }
+
+        const csv = this.analyzer.toCSV(this.grid, this.position);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        link.download = `stress-${this.position.contract.underlyingSymbol}-${this.grid.valuationDate.toISOString().split('T')[0]}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Saved sets: { name: { spotShocks, volShocks, daysForward } }
+    readSavedSets() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    writeSavedSets(sets) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(sets));
+        } catch (error) {
+            throw new Error('Scenario sets could not be saved - browser storage is unavailable');
+        }
+    }
+
+    renderSavedSets(selected = '') {
+        const select = document.getElementById('stressSetSelect');
+        select.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Default';
+        select.appendChild(placeholder);
+
+        Object.keys(this.readSavedSets()).sort().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = selected;
+    }
+
+    applySet(set) {
+        document.getElementById('stressSpotShocks').value = set.spotShocks.join(', ');
+        document.getElementById('stressVolShocks').value = set.volShocks.join(', ');
+        document.getElementById('stressDays').value = set.daysForward;
+    }
+
+    loadSet(name) {
+        this.hideError();
+        const set = name ? this.readSavedSets()[name] : DEFAULT_STRESS_SET;
+        if (!set) {
+            return;
+        }
+        this.applySet(set);
+        document.getElementById('stressSetName').value = name;
+        this.render();
+    }
+
+    saveSet() {
+        this.hideError();
+        const name = document.getElementById('stressSetName').value.trim();
+        try {
+            if (!name) {
+                throw new Error('Enter a name for the scenario set');
+            }
+            const sets = this.readSavedSets();
+            sets[name] = {
+                spotShocks: this.analyzer.parseShocks(document.getElementById('stressSpotShocks').value, 'spot'),
+                volShocks: this.analyzer.parseShocks(document.getElementById('stressVolShocks').value, 'volatility'),
+                daysForward: parseInt(document.getElementById('stressDays').value) || 0
+            };
+            this.writeSavedSets(sets);
+            this.renderSavedSets(name);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    deleteSet() {
+        this.hideError();
+        const name = document.getElementById('stressSetSelect').value;
+        if (!name) {
+            this.showError('Select a saved scenario set to delete');
+            return;
+        }
+        const sets = this.readSavedSets();
+        delete sets[name];
+        try {
+            this.writeSavedSets(sets);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+        document.getElementById('stressSetName').value = '';
+        this.renderSavedSets();
+    }
+
+    showError(message) {
+        document.getElementById('stressErrorMessage').textContent = message;
+        document.getElementById('stressError').classList.remove('hidden');
+    }
+
+    hideError() {
+        document.getElementById('stressError').classList.add('hidden');
+    }
+}
@@ -1,390 +1,401 @@
-// Black-Scholes Options Calculator JavaScript Implementation
-class BlackScholesCalculator {
+// Black-Scholes Options Calculator page. The pricing engine (BlackScholesCalculator) is
+// loaded from black-scholes.js.
+
+// DOM manipulation and form handling
+class OptionsAnalyzerUI {
     constructor() {
-        this.TRADING_DAYS_PER_YEAR = 252;
-        this.SECONDS_PER_YEAR = 365.25 * 24 * 3600;
+        this.calculator = new BlackScholesCalculator();
+        this.validator = new InputValidator(this.calculator);
+        this.report = new AnalysisReport(this.calculator, VALIDATION_FIELDS);
+        // The last successful analysis, for the report exports
+        this.lastAnalysis = null;
+        // Valuation time and realised volatility pinned by a loaded report, until the next Calculate
+        this.reportReplay = null;
+        this.initializeEventListeners();
+        this.applyCalendarSettings(new FormData(document.getElementById('optionsForm')));
+        this.strategyBuilder = new StrategyBuilderUI(this.calculator, () => this.getMarketInputs());
+        this.optionChain = new OptionChainUI(this.calculator, () => this.getMarketInputs(false));
+        this.historicalVol = new HistoricalVolatilityUI(this.calculator);
+        this.monteCarlo = new MonteCarloUI(this.calculator, () => this.getFormData());
+        this.hedgeSimulator = new HedgeSimulatorUI(this.calculator, () => this.getFormData());
+        this.scenarioStress = new ScenarioStressUI(this.calculator);
+        this.portfolio = new PortfolioUI(this.calculator, (requireUnderlying) => this.getMarketInputs(requireUnderlying));
+        this.marketFeed = new MarketFeedUI(() => this.refreshFromFeed());
+        this.analysisLink = new AnalysisLink(this.validator);
+        this.applyLink(window.location.hash);
     }
 
-    // Standard normal cumulative distribution function
-    normCDF(x) {
-        const a1 =  0.254829592;
-        const a2 = -0.284496736;
-        const a3 =  1.421413741;
-        const a4 = -1.453152027;
-        const a5 =  1.061405429;
-        const p  =  0.3275911;
+    initializeEventListeners() {
+        const form = document.getElementById('optionsForm');
+        form.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        // Editing a highlighted field clears its error
+        form.addEventListener('input', (e) => this.clearFieldError(e.target.id));
+        form.addEventListener('change', (e) => this.clearFieldError(e.target.id));
+        document.getElementById('copyLinkBtn').addEventListener('click', () => this.copyLink());
+        document.getElementById('loadReportFile').addEventListener('change', (e) => this.loadReport(e.target.files[0]));
+        document.getElementById('printReportBtn').addEventListener('click', () => this.printReport());
+        document.getElementById('exportHtmlBtn').addEventListener('click', () => this.exportReport('html'));
+        document.getElementById('exportJsonBtn').addEventListener('click', () => this.exportReport('json'));
+        document.getElementById('exportCsvBtn').addEventListener('click', () => this.exportReport('csv'));
+
+        // Back/forward step through previously analysed links. The state lives in the hash
+        // rather than the query so history entries also work for pages opened from file://.
+        window.addEventListener('hashchange', () => {
+            if (window.location.hash !== this.recordedHash) {
+                this.applyLink(window.location.hash);
+            }
+        });
 
-        const sign = x < 0 ? -1 : 1;
-        x = Math.abs(x) / Math.sqrt(2.0);
+        // Set minimum date to today
+        const expiryInput = document.getElementById('expiry');
+        const today = new Date();
+        const minDate = today.toISOString().split('T')[0];
+        expiryInput.min = minDate;
 
-        const t = 1.0 / (1.0 + p * x);
-        const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
+        // Tree settings only apply to American exercise
+        const exerciseSelect = document.getElementById('exerciseStyle');
+        exerciseSelect.addEventListener('change', () => this.toggleExerciseFields());
+        this.toggleExerciseFields();
 
-        return 0.5 * (1.0 + sign * y);
-    }
+        // Weekend weight only applies to the blended clock
+        document.getElementById('timeBasis').addEventListener('change', () => this.toggleClockFields());
+        this.toggleClockFields();
 
-    // Standard normal probability density function
-    normPDF(x) {
-        return (1.0 / Math.sqrt(2.0 * Math.PI)) * Math.exp(-0.5 * x * x);
+        // Dividends only apply to stock, the foreign rate only to currencies
+        document.getElementById('model').addEventListener('change', () => this.toggleModelFields());
+        this.toggleModelFields();
     }
 
-    // Calculate time to expiration in years
-    timeToExpiration(expirationDate, currentDate = new Date()) {
-        const timeDiff = expirationDate.getTime() - currentDate.getTime();
-        return Math.max(timeDiff / (this.SECONDS_PER_YEAR * 1000), 0.0);
+    toggleExerciseFields() {
+        const isAmerican = document.getElementById('exerciseStyle').value === 'american';
+        document.querySelectorAll('.american-only').forEach(el => el.classList.toggle('hidden', !isAmerican));
     }
 
-    // Black-Scholes option pricing formula
-    blackScholesPrice(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividendYield = 0.0) {
-        if (timeToExpiry <= 0) {
-            if (optionType === 'call') {
-                return Math.max(spotPrice - strikePrice, 0);
-            } else {
-                return Math.max(strikePrice - spotPrice, 0);
-            }
-        }
-
-        const adjustedSpot = spotPrice * Math.exp(-dividendYield * timeToExpiry);
-        const d1 = (Math.log(adjustedSpot / strikePrice) + (riskFreeRate + 0.5 * volatility * volatility) * timeToExpiry) / 
-                   (volatility * Math.sqrt(timeToExpiry));
-        const d2 = d1 - volatility * Math.sqrt(timeToExpiry);
-
-        if (optionType === 'call') {
-            return adjustedSpot * this.normCDF(d1) - 
-                   strikePrice * Math.exp(-riskFreeRate * timeToExpiry) * this.normCDF(d2);
-        } else {
-            return strikePrice * Math.exp(-riskFreeRate * timeToExpiry) * this.normCDF(-d2) - 
-                   adjustedSpot * this.normCDF(-d1);
-        }
+    toggleClockFields() {
+        const isBlended = document.getElementById('timeBasis').value === 'blended';
+        document.querySelectorAll('.blended-only').forEach(el => el.classList.toggle('hidden', !isBlended));
     }
 
-    // Calculate option delta
-    calculateDelta(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividendYield = 0.0) {
-        if (timeToExpiry <= 0) {
-            if (optionType === 'call') {
-                return spotPrice > strikePrice ? 1.0 : 0.0;
-            } else {
-                return spotPrice < strikePrice ? -1.0 : 0.0;
-            }
-        }
-
-        const adjustedSpot = spotPrice * Math.exp(-dividendYield * timeToExpiry);
-        const d1 = (Math.log(adjustedSpot / strikePrice) + (riskFreeRate + 0.5 * volatility * volatility) * timeToExpiry) / 
-                   (volatility * Math.sqrt(timeToExpiry));
-
-        if (optionType === 'call') {
-            return Math.exp(-dividendYield * timeToExpiry) * this.normCDF(d1);
-        } else {
-            return -Math.exp(-dividendYield * timeToExpiry) * this.normCDF(-d1);
-        }
+    toggleModelFields() {
+        const model = document.getElementById('model').value;
+        document.querySelectorAll('.stock-only').forEach(el => el.classList.toggle('hidden', model !== 'black-scholes'));
+        document.querySelectorAll('.fx-only').forEach(el => el.classList.toggle('hidden', model !== 'garman-kohlhagen'));
+        const labels = {
+            'black-scholes': ['Current Underlying Price ($)', 'Risk-Free Rate (%)'],
+            'black-76': ['Futures Price ($)', 'Risk-Free Rate (%)'],
+            'garman-kohlhagen': ['Spot Exchange Rate', 'Domestic Interest Rate (%)']
+        }[model];
+        document.getElementById('underlyingPriceLabel').textContent = labels[0];
+        document.getElementById('riskFreeRateLabel').textContent = labels[1];
     }
 
-    // Calculate option gamma
-    calculateGamma(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield = 0.0) {
-        if (timeToExpiry <= 0) {
-            return 0.0;
+    // Pricing model inputs. Only stock reads the dividend fields and only currencies the
+    // foreign rate, so hidden fields never block an analysis.
+    getModelInputs(formData) {
+        const model = formData.get('model') || this.calculator.DEFAULT_PRICING_MODEL;
+        const foreignRate = parseFloat(formData.get('foreignRate')) / 100;
+        if (model === 'garman-kohlhagen' && isNaN(foreignRate)) {
+            throw new Error('Enter the foreign interest rate for a Garman-Kohlhagen currency option');
         }
+        return {
+            model,
+            foreignRate: model === 'garman-kohlhagen' ? foreignRate : null,
+            dividends: model === 'black-scholes' ? this.calculator.parseDividendSchedule(formData.get('dividends')) : []
+        };
+    }
 
-        const adjustedSpot = spotPrice * Math.exp(-dividendYield * timeToExpiry);
-        const d1 = (Math.log(adjustedSpot / strikePrice) + (riskFreeRate + 0.5 * volatility * volatility) * timeToExpiry) / 
-                   (volatility * Math.sqrt(timeToExpiry));
-
-        return (Math.exp(-dividendYield * timeToExpiry) * this.normPDF(d1)) / 
-               (spotPrice * volatility * Math.sqrt(timeToExpiry));
+    // Expiry cut-off, holidays and time clock from the form. The calendar is set on the shared
+    // calculator, so every tool on the page times expiries the same way.
+    applyCalendarSettings(formData) {
+        const weekendWeight = parseFloat(formData.get('weekendWeight'));
+        this.calculator.expiryCalendar = new MarketCalendar({
+            settlement: formData.get('settlement') || 'pm',
+            timeBasis: formData.get('timeBasis') || 'calendar',
+            weekendWeight: isNaN(weekendWeight) ? undefined : weekendWeight,
+            holidays: (formData.get('holidays') || '').split(/[\s,;]+/).filter(day => day !== '')
+        });
+        return this.calculator.expiryCalendar;
     }
 
-    // Calculate option theta (time decay)
-    calculateTheta(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividendYield = 0.0) {
-        if (timeToExpiry <= 0) {
-            return 0.0;
+    handleFormSubmit(e) {
+        e.preventDefault();
+        this.hideLinkNotice();
+        this.reportReplay = null;
+        if (this.runAnalysis()) {
+            this.updateLink();
         }
+    }
 
-        const adjustedSpot = spotPrice * Math.exp(-dividendYield * timeToExpiry);
-        const d1 = (Math.log(adjustedSpot / strikePrice) + (riskFreeRate + 0.5 * volatility * volatility) * timeToExpiry) / 
-                   (volatility * Math.sqrt(timeToExpiry));
-        const d2 = d1 - volatility * Math.sqrt(timeToExpiry);
+    // Analyse the form as it stands; returns whether the analysis succeeded
+    runAnalysis() {
+        this.showLoading();
+        this.hideError();
+        this.clearFieldErrors();
 
-        let theta;
-        if (optionType === 'call') {
-            theta = ((-adjustedSpot * this.normPDF(d1) * volatility) / (2 * Math.sqrt(timeToExpiry)) +
-                    dividendYield * adjustedSpot * this.normCDF(d1) -
-                    riskFreeRate * strikePrice * Math.exp(-riskFreeRate * timeToExpiry) * this.normCDF(d2));
-        } else {
-            theta = ((-adjustedSpot * this.normPDF(d1) * volatility) / (2 * Math.sqrt(timeToExpiry)) -
-                    dividendYield * adjustedSpot * this.normCDF(-d1) +
-                    riskFreeRate * strikePrice * Math.exp(-riskFreeRate * timeToExpiry) * this.normCDF(-d2));
+        try {
+            const values = Object.fromEntries(new FormData(document.getElementById('optionsForm')));
+            const formData = this.getFormData();
+            const result = this.calculator.analyzeOption(formData.contract, formData.marketData, formData.volatilityEstimate, formData.treeOptions, {
+                thetaConvention: formData.thetaConvention,
+                positionSize: formData.pnlData.positionSize
+            });
+            const signal = this.calculator.generateTradingSignal(formData.contract, formData.marketData, result, formData.edgeThreshold, formData.signalRules);
+            
+            // Store original contract and market data in result for PnL calculations
+            result.originalContract = formData.contract;
+            result.originalMarketData = formData.marketData;
+            
+            this.displayResults(result, signal, formData.pnlData);
+            this.lastAnalysis = { values, inputs: formData, result, signal };
+            return true;
+        } catch (error) {
+            // The exports only ever describe the results of the form as it stands
+            this.lastAnalysis = null;
+            if (error instanceof ValidationError) {
+                this.showFieldErrors(error.errors);
+            }
+            this.showError(error.message);
+            return false;
+        } finally {
+            this.hideLoading();
         }
-
-        return theta / 365.25; // Convert to daily theta
     }
 
-    // Calculate option vega
-    calculateVega(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield = 0.0) {
-        if (timeToExpiry <= 0) {
-            return 0.0;
+    // Rerun the analysis on a market data tick once results are showing. The link is left alone so
+    // the address bar does not churn with every quote.
+    refreshFromFeed() {
+        if (!document.getElementById('results').classList.contains('hidden')) {
+            this.reportReplay = null;
+            this.runAnalysis();
         }
-
-        const adjustedSpot = spotPrice * Math.exp(-dividendYield * timeToExpiry);
-        const d1 = (Math.log(adjustedSpot / strikePrice) + (riskFreeRate + 0.5 * volatility * volatility) * timeToExpiry) / 
-                   (volatility * Math.sqrt(timeToExpiry));
-
-        return adjustedSpot * this.normPDF(d1) * Math.sqrt(timeToExpiry) / 100; // Convert to 1% vol change
     }
 
-    // Calculate option rho
-    calculateRho(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividendYield = 0.0) {
-        if (timeToExpiry <= 0) {
-            return 0.0;
+    // Fill the form from a link's hash and rerun it when every parameter checks out. An empty
+    // hash (e.g. going back to the page as first opened) restores the blank form.
+    applyLink(hash) {
+        const form = document.getElementById('optionsForm');
+        const search = (hash || '').replace(/^#/, '');
+        this.recordedHash = hash;
+        this.reportReplay = null;
+        form.reset();
+        this.hideLinkNotice();
+        this.hideError();
+
+        if (!search) {
+            this.toggleExerciseFields();
+            this.toggleClockFields();
+            this.toggleModelFields();
+            document.getElementById('results').classList.add('hidden');
+            this.lastAnalysis = null;
+            return;
         }
 
-        const adjustedSpot = spotPrice * Math.exp(-dividendYield * timeToExpiry);
-        const d1 = (Math.log(adjustedSpot / strikePrice) + (riskFreeRate + 0.5 * volatility * volatility) * timeToExpiry) / 
-                   (volatility * Math.sqrt(timeToExpiry));
-        const d2 = d1 - volatility * Math.sqrt(timeToExpiry);
+        // The expiry is checked on the link's own calendar, falling back to the form's defaults
+        const defaults = Object.fromEntries(new FormData(form));
+        const params = new URLSearchParams(search);
+        try {
+            this.applyCalendarSettings({ get: name => params.get(name) || defaults[name] || null });
+        } catch (error) {
+            // A bad calendar parameter is reported by the link check below
+        }
+        const link = this.analysisLink.decode(search, new Date(), defaults);
+        Object.keys(link.values).forEach(name => {
+            form.elements[name].value = link.values[name];
+        });
+        this.toggleExerciseFields();
+        this.toggleClockFields();
+        this.toggleModelFields();
 
-        let rho;
-        if (optionType === 'call') {
-            rho = strikePrice * timeToExpiry * Math.exp(-riskFreeRate * timeToExpiry) * this.normCDF(d2);
+        if (link.problems.length > 0) {
+            this.showLinkNotice(link.complete ? 'Shared Link' : 'Shared Link Needs Attention', link.problems);
+        }
+        if (link.complete) {
+            this.runAnalysis();
         } else {
-            rho = -strikePrice * timeToExpiry * Math.exp(-riskFreeRate * timeToExpiry) * this.normCDF(-d2);
+            document.getElementById('results').classList.add('hidden');
         }
-
-        return rho / 100; // Convert to 1% rate change
     }
 
-    // Calculate implied volatility using Newton-Raphson method
-    calculateImpliedVolatility(optionPrice, spotPrice, strikePrice, timeToExpiry, riskFreeRate, optionType, dividendYield = 0.0, maxIterations = 100, tolerance = 1e-6) {
-        if (timeToExpiry <= 0) {
-            return null;
+    // Record the analysed form in the address bar as a new history entry
+    updateLink() {
+        const hash = `#${this.analysisLink.encode(new FormData(document.getElementById('optionsForm')))}`;
+        if (hash !== window.location.hash) {
+            this.recordedHash = hash;
+            window.location.hash = hash;
         }
+    }
 
-        let volatility = 0.3; // Initial guess
-
-        for (let i = 0; i < maxIterations; i++) {
-            const price = this.blackScholesPrice(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividendYield);
-            const vega = this.calculateVega(spotPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield) * 100;
-
-            const priceDiff = price - optionPrice;
-
-            if (Math.abs(priceDiff) < tolerance) {
-                return volatility;
-            }
-
-            if (vega === 0) {
-                break;
-            }
-
-            volatility -= priceDiff / vega;
-            volatility = Math.max(0.001, Math.min(volatility, 5.0));
-        }
+    copyLink() {
+        const hash = this.analysisLink.encode(new FormData(document.getElementById('optionsForm')));
+        const url = `${window.location.href.split('#')[0]}#${hash}`;
+        const button = document.getElementById('copyLinkBtn');
+        const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject(new Error('Clipboard unavailable'));
+        copied.then(() => {
+            button.textContent = 'Link Copied';
+            setTimeout(() => { button.textContent = 'Copy Link'; }, 2000);
+        }).catch(() => {
+            this.showLinkNotice('Shared Link', [`Copy this link: ${url}`]);
+        });
+    }
 
-        return null;
+    showLinkNotice(title, messages) {
+        document.getElementById('linkNoticeTitle').textContent = title;
+        const list = document.getElementById('linkNoticeList');
+        list.innerHTML = '';
+        messages.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+        document.getElementById('linkNotice').classList.remove('hidden');
     }
 
-    // Complete analysis
-    analyzeOption(contract, marketData, volatilityEstimate = null) {
-        const timeToExpiry = this.timeToExpiration(contract.expirationDate, marketData.timestamp);
+    hideLinkNotice() {
+        document.getElementById('linkNotice').classList.add('hidden');
+    }
 
-        // Determine volatility to use
-        let volatility = volatilityEstimate;
-        if (!volatility && contract.currentPrice) {
-            volatility = this.calculateImpliedVolatility(
-                contract.currentPrice,
-                marketData.underlyingPrice,
-                contract.strikePrice,
-                timeToExpiry,
-                marketData.riskFreeRate,
-                contract.optionType,
-                marketData.dividendYield
-            );
+    // Report of the last analysis, stamped now
+    buildReport() {
+        if (!this.lastAnalysis) {
+            throw new Error('Run an analysis first - the report records the results shown');
         }
-        if (!volatility) {
-            volatility = 0.3; // Default 30% volatility
-        }
-
-        const theoreticalPrice = this.blackScholesPrice(
-            marketData.underlyingPrice,
-            contract.strikePrice,
-            timeToExpiry,
-            marketData.riskFreeRate,
-            volatility,
-            contract.optionType,
-            marketData.dividendYield
-        );
-
-        const delta = this.calculateDelta(
-            marketData.underlyingPrice,
-            contract.strikePrice,
-            timeToExpiry,
-            marketData.riskFreeRate,
-            volatility,
-            contract.optionType,
-            marketData.dividendYield
-        );
-
-        const gamma = this.calculateGamma(
-            marketData.underlyingPrice,
-            contract.strikePrice,
-            timeToExpiry,
-            marketData.riskFreeRate,
-            volatility,
-            marketData.dividendYield
-        );
-
-        const theta = this.calculateTheta(
-            marketData.underlyingPrice,
-            contract.strikePrice,
-            timeToExpiry,
-            marketData.riskFreeRate,
-            volatility,
-            contract.optionType,
-            marketData.dividendYield
-        );
-
-        const vega = this.calculateVega(
-            marketData.underlyingPrice,
-            contract.strikePrice,
-            timeToExpiry,
-            marketData.riskFreeRate,
-            volatility,
-            marketData.dividendYield
-        );
-
-        const rho = this.calculateRho(
-            marketData.underlyingPrice,
-            contract.strikePrice,
-            timeToExpiry,
-            marketData.riskFreeRate,
-            volatility,
-            contract.optionType,
-            marketData.dividendYield
-        );
-
-        return {
-            theoreticalPrice,
-            delta,
-            gamma,
-            theta,
-            vega,
-            rho,
-            impliedVolatility: volatility,
-            timeToExpiry
-        };
+        const { values, inputs, result, signal } = this.lastAnalysis;
+        return this.report.build(values, inputs, result, signal, this.calculatePnLTargets(result, signal, inputs.pnlData));
     }
 
-    // Generate trading signal
-    generateTradingSignal(contract, marketData, result, edgeThreshold = 0.10) {
-        if (!contract.currentPrice) {
-            return {
-                action: "HOLD",
-                confidence: 0.0,
-                reasoning: "No market price available for analysis",
-                fairValue: result.theoreticalPrice,
-                marketPrice: 0.0,
-                edge: 0.0
-            };
+    // Open the HTML report in a new window and print it (or save it as PDF from the print dialog)
+    printReport() {
+        this.hideError();
+        try {
+            const html = this.report.toHTML(this.buildReport());
+            const reportWindow = window.open('', '_blank');
+            if (!reportWindow) {
+                throw new Error('The report window was blocked - allow pop-ups for this page or use Export HTML instead');
+            }
+            reportWindow.document.write(html);
+            reportWindow.document.close();
+            reportWindow.focus();
+            reportWindow.print();
+        } catch (error) {
+            this.showError(error.message);
         }
+    }
 
-        const fairValue = result.theoreticalPrice;
-        const marketPrice = contract.currentPrice;
-        const edge = marketPrice > 0 ? (fairValue - marketPrice) / marketPrice : 0;
-
-        // Check time to expiry
-        const minTimeToExpiry = 0.02; // ~1 week
-        if (result.timeToExpiry < minTimeToExpiry) {
-            return {
-                action: "AVOID",
-                confidence: 0.8,
-                reasoning: `Option expires too soon (${result.timeToExpiry.toFixed(3)} years remaining)`,
-                fairValue,
-                marketPrice,
-                edge
-            };
+    exportReport(format) {
+        this.hideError();
+        try {
+            const report = this.buildReport();
+            const content = {
+                html: () => this.report.toHTML(report),
+                json: () => this.report.toJSON(report),
+                csv: () => this.report.toCSV(report)
+            }[format]();
+            const types = { html: 'text/html', json: 'application/json', csv: 'text/csv' };
+            const contract = report.inputs.contract;
+            const name = `analysis-${contract.underlyingSymbol}-${contract.strikePrice}-${contract.optionType}-${report.generatedAt.split('T')[0]}.${format}`;
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([content], { type: types[format] }));
+            link.download = name;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            this.showError(error.message);
         }
+    }
 
-        // Generate trading signal based on edge
-        const confidence = Math.min(Math.abs(edge) / edgeThreshold, 1.0);
-
-        let action, reasoning;
-        if (edge > edgeThreshold) {
-            action = "BUY";
-            reasoning = `Option undervalued by ${(edge * 100).toFixed(1)}%. Fair value: $${fairValue.toFixed(2)} vs Market: $${marketPrice.toFixed(2)}`;
-        } else if (edge < -edgeThreshold) {
-            action = "SELL";
-            reasoning = `Option overvalued by ${(Math.abs(edge) * 100).toFixed(1)}%. Fair value: $${fairValue.toFixed(2)} vs Market: $${marketPrice.toFixed(2)}`;
-        } else {
-            action = "HOLD";
-            reasoning = `Option fairly valued (edge: ${(edge * 100).toFixed(1)}%). Fair value: $${fairValue.toFixed(2)} vs Market: $${marketPrice.toFixed(2)}`;
+    loadReport(file) {
+        if (!file) {
+            return;
         }
-
-        reasoning += `\nGreeks - Delta: ${result.delta.toFixed(3)}, Theta: ${result.theta.toFixed(2)}, Vega: ${result.vega.toFixed(2)}`;
-
-        return {
-            action,
-            confidence: action === "HOLD" ? 1.0 - confidence : confidence,
-            reasoning,
-            fairValue,
-            marketPrice,
-            edge
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.applyReport(this.report.fromJSON(reader.result));
+            } catch (error) {
+                this.showError(error.message);
+            }
+            document.getElementById('loadReportFile').value = '';
         };
-    }
-}
-
-// DOM manipulation and form handling
-class OptionsAnalyzerUI {
-    constructor() {
-        this.calculator = new BlackScholesCalculator();
-        this.initializeEventListeners();
+        reader.onerror = () => this.showError(`Could not read ${file.name}`);
+        reader.readAsText(file);
     }
 
-    initializeEventListeners() {
+    // Fill the form from an exported report and rerun it as of the report's valuation time, so the
+    // results match the report. The next Calculate prices at the current time again.
+    applyReport(loaded) {
         const form = document.getElementById('optionsForm');
-        form.addEventListener('submit', (e) => this.handleFormSubmit(e));
-
-        // Set minimum date to today
-        const expiryInput = document.getElementById('expiry');
-        const today = new Date();
-        const minDate = today.toISOString().split('T')[0];
-        expiryInput.min = minDate;
-    }
-
-    handleFormSubmit(e) {
-        e.preventDefault();
-        this.showLoading();
+        form.reset();
+        this.hideLinkNotice();
         this.hideError();
-
-        try {
-            const formData = this.getFormData();
-            const result = this.calculator.analyzeOption(formData.contract, formData.marketData, formData.volatilityEstimate);
-            const signal = this.calculator.generateTradingSignal(formData.contract, formData.marketData, result, formData.edgeThreshold);
-            
-            // Store original contract and market data in result for PnL calculations
-            result.originalContract = formData.contract;
-            result.originalMarketData = formData.marketData;
-            
-            this.displayResults(result, signal, formData.pnlData);
-        } catch (error) {
-            this.showError(error.message);
-        } finally {
-            this.hideLoading();
+        this.clearFieldErrors();
+
+        const messages = [`Reproduced as of ${loaded.valuationTime.toISOString()} (report from app version ${loaded.appVersion})`];
+        Object.keys(loaded.values).forEach(name => {
+            const input = form.elements[name];
+            if (!input) {
+                messages.push(`Ignored unknown field "${name}"`);
+            } else if (input.type === 'checkbox') {
+                input.checked = !input.disabled && loaded.values[name] === 'on';
+            } else {
+                input.value = loaded.values[name];
+            }
+        });
+        if (loaded.values.useSurface === 'on' && form.elements.useSurface.disabled) {
+            messages.push('The report priced off a fitted volatility surface, which is not saved in it - fit the surface in the Option Chain section and Calculate to price off it');
         }
+        this.toggleExerciseFields();
+        this.toggleClockFields();
+        this.toggleModelFields();
+
+        this.reportReplay = { valuationTime: loaded.valuationTime, realisedVolatility: loaded.realisedVolatility };
+        messages.push('Calculate again to price at the current time');
+        this.showLinkNotice('Loaded Analysis', messages);
+        this.runAnalysis();
     }
 
     getFormData() {
         const form = document.getElementById('optionsForm');
         const formData = new FormData(form);
+        try {
+            this.applyCalendarSettings(formData);
+        } catch (error) {
+            // A bad calendar field is reported against its field by the validator below
+        }
+        // A loaded report is priced as of its own valuation time
+        const replay = this.reportReplay;
+        const timestamp = replay ? replay.valuationTime : new Date();
+
+        // Every field is checked before parsing, so the values below are known to be usable
+        this.validator.assertValid(formData, timestamp);
 
         // Parse form data
         const symbol = formData.get('symbol').toUpperCase();
         const strikePrice = parseFloat(formData.get('strike'));
         const expirationDate = new Date(formData.get('expiry'));
         const optionType = formData.get('optionType');
-        const currentPrice = formData.get('currentPrice') ? parseFloat(formData.get('currentPrice')) : null;
+        const exerciseStyle = formData.get('exerciseStyle') || 'european';
+        const treeOptions = {
+            method: formData.get('treeMethod'),
+            steps: parseInt(formData.get('treeSteps'))
+        };
+        const bid = formData.get('bid') ? parseFloat(formData.get('bid')) : null;
+        const ask = formData.get('ask') ? parseFloat(formData.get('ask')) : null;
+        const openInterest = formData.get('openInterest') ? parseInt(formData.get('openInterest')) : null;
+        // Without a price the two-sided quote's mid is used, so IV is still solved
+        const currentPrice = formData.get('currentPrice')
+            ? parseFloat(formData.get('currentPrice'))
+            : (bid > 0 && ask > 0 ? (bid + ask) / 2 : null);
         const underlyingPrice = parseFloat(formData.get('underlyingPrice'));
         const riskFreeRate = parseFloat(formData.get('riskFreeRate')) / 100; // Convert percentage to decimal
-        const dividendYield = parseFloat(formData.get('dividendYield')) / 100;
+        const dividendYield = formData.get('dividendYield') ? parseFloat(formData.get('dividendYield')) / 100 : 0.0;
+        const { model, foreignRate, dividends } = this.getModelInputs(formData);
         const volatilityEstimate = formData.get('volatility') ? parseFloat(formData.get('volatility')) / 100 : null;
-        const edgeThreshold = parseFloat(formData.get('edgeThreshold')) / 100;
+        const edgeThreshold = formData.get('edgeThreshold') ? parseFloat(formData.get('edgeThreshold')) / 100 : 0.10;
+        const thetaConvention = formData.get('thetaConvention') || 'calendar';
+        const useSurface = formData.get('useSurface') === 'on';
 
         // PnL analysis data
         const positionSize = formData.get('positionSize') ? parseInt(formData.get('positionSize')) : null;
@@ -392,13 +403,8 @@ class OptionsAnalyzerUI {
         const priceTarget2 = formData.get('priceTarget2') ? parseFloat(formData.get('priceTarget2')) : null;
         const priceTarget3 = formData.get('priceTarget3') ? parseFloat(formData.get('priceTarget3')) : null;
 
-        // Validation
-        if (!symbol || isNaN(strikePrice) || !expirationDate || !optionType || isNaN(underlyingPrice) || isNaN(riskFreeRate)) {
-            throw new Error('Please fill in all required fields with valid values');
-        }
-
-        if (expirationDate <= new Date()) {
-            throw new Error('Expiration date must be in the future');
+        if (useSurface && !this.optionChain.surface) {
+            throw new Error('Fit a volatility surface in the Option Chain section before pricing off it');
         }
 
         const contract = {
@@ -406,15 +412,25 @@ class OptionsAnalyzerUI {
             strikePrice,
             expirationDate,
             optionType,
-            currentPrice
+            exerciseStyle,
+            currentPrice,
+            bid,
+            ask,
+            openInterest
         };
 
-        const marketData = {
+        // Resolved for the model, so every tool reading it prices futures and currencies too
+        const marketData = this.calculator.modelMarketData({
+            model,
             underlyingPrice,
             riskFreeRate,
             dividendYield,
-            timestamp: new Date()
-        };
+            foreignRate,
+            dividends,
+            volatilitySurface: useSurface ? this.optionChain.surface : null,
+            realisedVolatility: replay ? replay.realisedVolatility : this.historicalVol.reference(),
+            timestamp
+        });
 
         const pnlData = {
             positionSize,
@@ -425,22 +441,138 @@ class OptionsAnalyzerUI {
             contract,
             marketData,
             volatilityEstimate,
+            treeOptions,
             edgeThreshold,
+            signalRules: this.getSignalRules(formData),
+            thetaConvention,
             pnlData
         };
     }
 
+    // Signal rules and trading costs from the form; a blank rule is switched off
+    getSignalRules(formData) {
+        const optional = (name, scale = 1) => formData.get(name) ? parseFloat(formData.get(name)) / scale : null;
+        const rules = {
+            minDaysToExpiry: optional('minDaysToExpiry'),
+            maxSpread: optional('maxSpread', 100),
+            minOpenInterest: optional('minOpenInterest'),
+            minDelta: optional('minDelta'),
+            maxDelta: optional('maxDelta'),
+            commission: optional('commission') || 0,
+            slippage: optional('slippage') || 0
+        };
+
+        if (Object.values(rules).some(value => value !== null && (isNaN(value) || value < 0))) {
+            throw new Error('Signal rules and costs must be zero or positive numbers');
+        }
+        if ((rules.minDelta !== null && rules.minDelta > 1) || (rules.maxDelta !== null && rules.maxDelta > 1)) {
+            throw new Error('Delta range limits are absolute deltas between 0 and 1');
+        }
+        if (rules.minDelta !== null && rules.maxDelta !== null && rules.minDelta > rules.maxDelta) {
+            throw new Error('The minimum delta must not exceed the maximum delta');
+        }
+        return rules;
+    }
+
+    // Market inputs shared with the strategy builder and option chain - contract fields are not
+    // required here. The chain can supply its own underlying price per row.
+    getMarketInputs(requireUnderlying = true) {
+        const formData = new FormData(document.getElementById('optionsForm'));
+        try {
+            this.applyCalendarSettings(formData);
+        } catch (error) {
+            // Reported by the validator below
+        }
+
+        if (!formData.get('riskFreeRate')) {
+            throw new Error('Enter the risk-free rate under Market Data first');
+        }
+        if (requireUnderlying && !formData.get('underlyingPrice')) {
+            throw new Error('Enter the underlying price and risk-free rate under Market Data first');
+        }
+        // The other tools price off the same market inputs, so they get the same checks as the analysis
+        const marketFields = [
+            'exerciseStyle', 'treeMethod', 'treeSteps', 'model', 'underlyingPrice', 'riskFreeRate', 'foreignRate',
+            'dividendYield', 'dividends', 'volatility', 'edgeThreshold', 'settlement', 'timeBasis', 'weekendWeight',
+            'holidays', 'minDaysToExpiry', 'maxSpread', 'minOpenInterest', 'minDelta', 'maxDelta', 'commission', 'slippage'
+        ];
+        this.validator.assertValid(formData, new Date(), marketFields.filter(name => name !== 'underlyingPrice' || formData.get('underlyingPrice')));
+
+        const symbol = formData.get('symbol').toUpperCase();
+        const underlyingPrice = parseFloat(formData.get('underlyingPrice'));
+        const riskFreeRate = parseFloat(formData.get('riskFreeRate')) / 100;
+        const dividendYield = formData.get('dividendYield') ? parseFloat(formData.get('dividendYield')) / 100 : 0.0;
+        const { model, foreignRate, dividends } = this.getModelInputs(formData);
+        const volatilityEstimate = formData.get('volatility') ? parseFloat(formData.get('volatility')) / 100 : null;
+
+        const edgeThreshold = parseFloat(formData.get('edgeThreshold')) / 100;
+        const exerciseStyle = formData.get('exerciseStyle') || 'european';
+        const treeOptions = {
+            method: formData.get('treeMethod'),
+            steps: parseInt(formData.get('treeSteps'))
+        };
+
+        // Templates default to the form expiry, or 30 days out if none is set
+        const defaultExpiry = formData.get('expiry')
+            ? new Date(formData.get('expiry'))
+            : new Date(new Date().toISOString().split('T')[0]);
+        if (!formData.get('expiry')) {
+            defaultExpiry.setUTCDate(defaultExpiry.getUTCDate() + 30);
+        }
+
+        return {
+            symbol,
+            marketData: this.calculator.modelMarketData({
+                model,
+                underlyingPrice,
+                riskFreeRate,
+                dividendYield,
+                foreignRate,
+                dividends,
+                volatilitySurface: formData.get('useSurface') === 'on' ? this.optionChain.surface : null,
+                timestamp: new Date()
+            }),
+            volatilityEstimate,
+            edgeThreshold: isNaN(edgeThreshold) ? 0.10 : edgeThreshold,
+            signalRules: this.getSignalRules(formData),
+            exerciseStyle,
+            treeOptions,
+            defaultExpiry
+        };
+    }
+
     displayResults(result, signal, pnlData) {
         // Update theoretical pricing
-        document.getElementById('fairValue').textContent = `$${result.theoreticalPrice.toFixed(2)}`;
-        document.getElementById('impliedVol').textContent = `${(result.impliedVolatility * 100).toFixed(1)}%`;
+        // Currency option premiums and rates need more than cents
+        this.priceDigits = this.calculator.priceDigits(result.model);
+        document.getElementById('fairValue').textContent = `$${result.theoreticalPrice.toFixed(this.priceDigits)}`;
+        this.displayVolatility(result);
+
+        const isAmerican = result.exerciseStyle === 'american';
+        const modelName = this.calculator.PRICING_MODELS[result.model];
+        document.getElementById('pricingModel').textContent = isAmerican
+            ? `American (${modelName}, ${result.treeOptions.method === 'crr' ? 'CRR' : 'Leisen-Reimer'}, ${result.treeOptions.steps} steps)`
+            : `European (${modelName})`;
+        document.querySelectorAll('.american-result').forEach(el => el.classList.toggle('hidden', !isAmerican));
+        this.displayExpiry(result);
+        if (isAmerican) {
+            document.getElementById('europeanValue').textContent = `$${result.europeanPrice.toFixed(this.priceDigits)}`;
+            document.getElementById('earlyExercisePremium').textContent = `$${result.earlyExercisePremium.toFixed(4)}`;
+        }
+        this.displayDividends(result);
 
         // Update Greeks
+        const day = result.thetaConvention === 'trading' ? 'trading day' : 'day';
         document.getElementById('delta').textContent = result.delta.toFixed(4);
         document.getElementById('gamma').textContent = result.gamma.toFixed(4);
-        document.getElementById('theta').textContent = `$${result.theta.toFixed(2)}/day`;
-        document.getElementById('vega').textContent = `$${result.vega.toFixed(2)}/1% vol`;
-        document.getElementById('rho').textContent = `$${result.rho.toFixed(2)}/1% rate`;
+        document.getElementById('theta').textContent = `$${result.theta.toFixed(this.priceDigits)}/${day}`;
+        document.getElementById('vega').textContent = `$${result.vega.toFixed(this.priceDigits)}/1% vol`;
+        document.getElementById('rho').textContent = `$${result.rho.toFixed(this.priceDigits)}/1% rate`;
+        document.querySelectorAll('.fx-result').forEach(el => el.classList.toggle('hidden', result.foreignRho === null));
+        if (result.foreignRho !== null) {
+            document.getElementById('foreignRho').textContent = `$${result.foreignRho.toFixed(this.priceDigits)}/1% rate`;
+        }
+        this.displayHigherOrderGreeks(result, day);
 
         // Update trading recommendation if market price is available
         const tradingCard = document.getElementById('tradingCard');
@@ -453,7 +585,15 @@ class OptionsAnalyzerUI {
             
             document.getElementById('confidence').textContent = `${(signal.confidence * 100).toFixed(1)}%`;
             document.getElementById('edge').textContent = `${(signal.edge * 100).toFixed(1)}%`;
-            document.getElementById('marketPrice').textContent = `$${signal.marketPrice.toFixed(2)}`;
+            document.getElementById('netEdge').textContent = `${(signal.netEdge * 100).toFixed(1)}% ${signal.side === 'long' ? 'buying' : 'selling'}`;
+            document.getElementById('marketPrice').textContent = signal.bid !== null && signal.ask !== null
+                ? `$${signal.marketPrice.toFixed(this.priceDigits)} ($${signal.bid.toFixed(this.priceDigits)} / $${signal.ask.toFixed(this.priceDigits)})`
+                : `$${signal.marketPrice.toFixed(this.priceDigits)}`;
+            const expectedValue = document.getElementById('expectedValue');
+            expectedValue.textContent = `${signal.expectedValue < 0 ? '-' : ''}$${Math.abs(signal.expectedValue).toFixed(this.priceDigits)}/contract`;
+            expectedValue.className = `value ${signal.expectedValue >= 0 ? 'positive' : 'negative'}`;
+            document.getElementById('probabilityOfProfit').textContent = `${(signal.probabilityOfProfit * 100).toFixed(1)}%`;
+            this.displaySignalChecks(signal.checks);
             document.getElementById('reasoning').textContent = signal.reasoning;
         } else {
             tradingCard.classList.add('hidden');
@@ -463,12 +603,179 @@ class OptionsAnalyzerUI {
         this.displayPnLAnalysis(result, signal, pnlData);
 
         this.showResults();
+
+        // Chart is drawn after the results are visible so the canvas has a measurable width
+        this.displayPnLChart(result, signal, pnlData);
+        this.displayProbabilities(result, signal);
+        this.scenarioStress.setPosition(result, signal, pnlData);
+        this.portfolio.setAnalysis(result, signal, pnlData);
+    }
+
+    displayHigherOrderGreeks(result, day) {
+        const formatGreek = value => {
+            if (value === null || !isFinite(value)) return '--';
+            return Math.abs(value) !== 0 && Math.abs(value) < 0.001 ? value.toExponential(2) : value.toFixed(4);
+        };
+        const formatMoney = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+
+        document.getElementById('vanna').textContent = `${formatGreek(result.vanna)} Δ/1% vol`;
+        document.getElementById('volga').textContent = `${formatGreek(result.volga)} ν/1% vol`;
+        document.getElementById('charm').textContent = `${formatGreek(result.charm)} Δ/${day}`;
+        document.getElementById('speed').textContent = `${formatGreek(result.speed)} Γ/$1`;
+        document.getElementById('color').textContent = `${formatGreek(result.color)} Γ/${day}`;
+        document.getElementById('zomma').textContent = `${formatGreek(result.zomma)} Γ/1% vol`;
+        document.getElementById('veta').textContent = `${formatGreek(result.veta)} ν/${day}`;
+
+        const position = result.position;
+        document.getElementById('positionGreeksHeading').textContent =
+            `Position (${position.contracts} contract${position.contracts === 1 ? '' : 's'} × ${this.calculator.CONTRACT_MULTIPLIER})`;
+        document.getElementById('dollarDelta').textContent = formatMoney(position.dollarDelta);
+        document.getElementById('dollarGamma').textContent = `${formatMoney(position.dollarGamma)}/1% move`;
+        document.getElementById('positionDelta').textContent = `${position.delta.toFixed(1)} shares`;
+        document.getElementById('positionGamma').textContent = `${position.gamma.toFixed(2)} shares/$1`;
+        document.getElementById('positionTheta').textContent = `${formatMoney(position.theta)}/${day}`;
+        document.getElementById('positionVega').textContent = `${formatMoney(position.vega)}/1% vol`;
+        document.getElementById('positionRho').textContent = `${formatMoney(position.rho)}/1% rate`;
+        if (position.foreignRho !== null) {
+            document.getElementById('positionForeignRho').textContent = `${formatMoney(position.foreignRho)}/1% rate`;
+        }
+    }
+
+    // Expiry instant and time left on each clock
+    displayExpiry(result) {
+        const calendar = this.calculator.expiryCalendar;
+        const timestamp = result.originalMarketData.timestamp;
+        const expiry = calendar.expiry(result.originalContract.expirationDate);
+        const notes = [];
+        if (expiry.rolled) {
+            notes.push(`rolled back from ${calendar.dayKey(result.originalContract.expirationDate)} (${expiry.reason})`);
+        }
+        if (expiry.earlyClose) {
+            notes.push('early close');
+        }
+        document.getElementById('expiresAt').textContent =
+            `${calendar.formatLocal(expiry.instant)} ET (${calendar.settlement.toUpperCase()})${notes.length ? ` - ${notes.join(', ')}` : ''}`;
+
+        const calendarDays = (expiry.instant - timestamp) / (24 * 3600 * 1000);
+        const tradingDays = calendar.tradingDaysBetween(timestamp, expiry.instant);
+        document.getElementById('timeToExpiry').textContent =
+            `${calendarDays.toFixed(2)} days / ${tradingDays.toFixed(2)} sessions - T = ${result.timeToExpiry.toFixed(5)} yr (${calendar.timeBasis})`;
+    }
+
+    // One line per signal rule: PASS, FAIL or -- when the rule could not be checked
+    displaySignalChecks(checks) {
+        const list = document.getElementById('signalChecks');
+        list.innerHTML = '';
+        checks.forEach(check => {
+            const item = document.createElement('li');
+            const status = document.createElement('span');
+            status.className = `check-status ${check.passed === null ? 'skip' : (check.passed ? 'pass' : 'fail')}`;
+            status.textContent = check.passed === null ? '--' : (check.passed ? 'PASS' : 'FAIL');
+            item.appendChild(status);
+            item.appendChild(document.createTextNode(`${check.label}: ${check.detail}`));
+            list.appendChild(item);
+        });
+    }
+
+    // Volatility used, where it came from and how the solver got there
+    displayVolatility(result) {
+        const sources = {
+            implied: 'Solved from market price',
+            input: 'User estimate',
+            surface: 'Fitted volatility surface',
+            default: 'ASSUMED DEFAULT - not market-implied'
+        };
+
+        const volElement = document.getElementById('impliedVol');
+        const sourceElement = document.getElementById('volSource');
+        const isDefault = result.volatilitySource === 'default';
+        volElement.textContent = `${(result.impliedVolatility * 100).toFixed(1)}%${isDefault ? ' *' : ''}`;
+        volElement.classList.toggle('warning-value', isDefault);
+        sourceElement.textContent = sources[result.volatilitySource];
+        sourceElement.classList.toggle('warning-value', isDefault);
+
+        const solution = result.ivSolution;
+        let diagnostics = 'Not attempted';
+        if (solution && solution.status === 'solved') {
+            diagnostics = `${solution.method === 'newton' ? 'Newton' : 'Brent'}, ${solution.iterations} iter, residual ${Math.abs(solution.residual).toExponential(1)}`;
+            if (solution.reason) diagnostics += ` (${solution.reason})`;
+        } else if (solution) {
+            diagnostics = `Failed [${solution.status}]: ${solution.reason}`;
+        } else if (result.volatilitySource === 'input') {
+            diagnostics = 'Not needed - volatility provided';
+        }
+        document.getElementById('ivDiagnostics').textContent = diagnostics;
+    }
+
+    // Cash dividends before expiry and, for American contracts, where exercising ahead of each
+    // ex-date becomes optimal
+    displayDividends(result) {
+        const hasDividends = result.cashDividends.length > 0;
+        document.querySelectorAll('.dividend-result').forEach(el => el.classList.toggle('hidden', !hasDividends));
+        if (!hasDividends) {
+            return;
+        }
+
+        document.getElementById('dividendPV').textContent =
+            `$${result.dividendPV.toFixed(2)} (${result.cashDividends.length} ex-date${result.cashDividends.length === 1 ? '' : 's'})`;
+
+        const exerciseRow = document.getElementById('dividendExerciseRow');
+        const exerciseElement = document.getElementById('dividendExercise');
+        if (result.exerciseStyle !== 'american') {
+            exerciseRow.classList.add('hidden');
+            return;
+        }
+
+        const notes = result.dividendExercise.map(dividend => {
+            const date = dividend.exDate.toISOString().split('T')[0];
+            if (dividend.boundary === null) {
+                return `${date}: not optimal`;
+            }
+            const side = result.originalContract.optionType === 'call' ? 'above' : 'below';
+            return `${date}: ${dividend.optimalAtSpot ? 'OPTIMAL NOW - ' : ''}exercise ${side} $${dividend.boundary.toFixed(2)}`;
+        });
+        exerciseElement.textContent = notes.join('; ');
+        exerciseElement.classList.toggle('warning-value', result.dividendExercise.some(dividend => dividend.optimalAtSpot));
+    }
+
+    // Position P&L at each underlying price target, or null without a position size and targets:
+    // { positionSize, entryPrice, investment, targets: [{ targetPrice, optionValue, value, pnl, pnlPercent }] }
+    calculatePnLTargets(result, signal, pnlData) {
+        if (!pnlData.positionSize || pnlData.priceTargets.length === 0) {
+            return null;
+        }
+        // Use the stored original contract and market data
+        const contract = result.originalContract;
+        const originalMarketData = result.originalMarketData;
+        const entryPrice = signal.marketPrice || result.theoreticalPrice;
+        const investment = pnlData.positionSize * entryPrice * 100; // 100 shares per contract
+
+        const targets = pnlData.priceTargets.slice(0, 3).map(targetPrice => {
+            // Use the same volatility and exercise style that were used in the original calculation
+            const optionValue = this.calculator.optionPrice(
+                targetPrice,
+                contract.strikePrice,
+                result.timeToExpiry,
+                originalMarketData.riskFreeRate,
+                result.impliedVolatility,
+                contract.optionType,
+                originalMarketData.dividendYield,
+                result.exerciseStyle,
+                result.treeOptions,
+                result.cashDividends
+            );
+            const value = pnlData.positionSize * optionValue * 100;
+            const pnl = value - investment;
+            return { targetPrice, optionValue, value, pnl, pnlPercent: (pnl / investment) * 100 };
+        });
+        return { positionSize: pnlData.positionSize, entryPrice, investment, targets };
     }
 
     displayPnLAnalysis(result, signal, pnlData) {
         const pnlCard = document.getElementById('pnlCard');
-        
-        if (!pnlData.positionSize || pnlData.priceTargets.length === 0) {
+        const summary = this.calculatePnLTargets(result, signal, pnlData);
+
+        if (!summary) {
             pnlCard.classList.add('hidden');
             return;
         }
@@ -476,24 +783,19 @@ class OptionsAnalyzerUI {
         pnlCard.classList.remove('hidden');
 
         // Display position size and total investment
-        document.getElementById('displayPositionSize').textContent = `${pnlData.positionSize} contracts`;
-        
-        const currentOptionPrice = signal.marketPrice || result.theoreticalPrice;
-        const totalInvestment = pnlData.positionSize * currentOptionPrice * 100; // 100 shares per contract
-        document.getElementById('totalInvestment').textContent = `$${totalInvestment.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+        document.getElementById('displayPositionSize').textContent = `${summary.positionSize} contracts`;
+        document.getElementById('totalInvestment').textContent = `$${summary.investment.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
 
-        // Calculate and display PnL for each target
-        pnlData.priceTargets.forEach((target, index) => {
-            if (target && index < 3) { // Limit to 3 targets
-                const targetElement = document.getElementById(`pnlTarget${index + 1}`);
-                if (targetElement) {
-                    this.calculateAndDisplayTargetPnL(targetElement, target, result, currentOptionPrice, pnlData.positionSize, totalInvestment, index + 1);
-                }
+        // Display PnL for each target
+        summary.targets.forEach((target, index) => {
+            const targetElement = document.getElementById(`pnlTarget${index + 1}`);
+            if (targetElement) {
+                this.displayTargetPnL(targetElement, target, index + 1);
             }
         });
 
         // Hide unused target elements
-        for (let i = pnlData.priceTargets.length; i < 3; i++) {
+        for (let i = summary.targets.length; i < 3; i++) {
             const targetElement = document.getElementById(`pnlTarget${i + 1}`);
             if (targetElement) {
                 targetElement.style.display = 'none';
@@ -501,28 +803,8 @@ class OptionsAnalyzerUI {
         }
     }
 
-    calculateAndDisplayTargetPnL(targetElement, targetPrice, result, currentOptionPrice, positionSize, totalInvestment, targetNumber) {
-        // Use the stored original contract and market data
-        const contract = result.originalContract;
-        const originalMarketData = result.originalMarketData;
-
-        // Use the same volatility that was used in the original calculation
-        const targetOptionValue = this.calculator.blackScholesPrice(
-            targetPrice,
-            contract.strikePrice,
-            result.timeToExpiry,
-            originalMarketData.riskFreeRate,
-            result.impliedVolatility,
-            contract.optionType,
-            originalMarketData.dividendYield
-        );
-
-        // Calculate PnL
-        const totalTargetValue = positionSize * targetOptionValue * 100;
-        const pnl = totalTargetValue - totalInvestment;
-        const pnlPercent = (pnl / totalInvestment) * 100;
-
-        // Update the display
+    displayTargetPnL(targetElement, target, targetNumber) {
+        const { targetPrice, optionValue, pnl, pnlPercent } = target;
         targetElement.style.display = 'block';
         
         const targetPriceSpan = targetElement.querySelector('.target-price');
@@ -530,18 +812,214 @@ class OptionsAnalyzerUI {
         const optionValueSpan = targetElement.querySelector('.option-value');
         const pnlPercentSpan = targetElement.querySelector('.pnl-percent');
 
-        if (targetPriceSpan) targetPriceSpan.textContent = `Target ${targetNumber}: $${targetPrice.toFixed(2)}`;
+        if (targetPriceSpan) targetPriceSpan.textContent = `Target ${targetNumber}: $${targetPrice.toFixed(this.priceDigits)}`;
         if (targetPnlSpan) {
             targetPnlSpan.textContent = `PnL: ${pnl >= 0 ? '+' : ''}$${pnl.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
             targetPnlSpan.className = `target-pnl ${pnl >= 0 ? 'positive' : 'negative'}`;
         }
-        if (optionValueSpan) optionValueSpan.textContent = `Option Value: $${targetOptionValue.toFixed(2)}`;
+        if (optionValueSpan) optionValueSpan.textContent = `Option Value: $${optionValue.toFixed(this.priceDigits)}`;
         if (pnlPercentSpan) {
             pnlPercentSpan.textContent = `Return: ${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(1)}%`;
             pnlPercentSpan.className = `pnl-percent ${pnlPercent >= 0 ? 'positive' : 'negative'}`;
         }
     }
 
+    // P&L profile across a range of underlying prices at several valuation dates
+    displayPnLChart(result, signal, pnlData) {
+        const contract = result.originalContract;
+        const marketData = result.originalMarketData;
+        const positionSize = pnlData.positionSize || 1;
+        const entryPrice = signal.marketPrice || result.theoreticalPrice;
+        const multiplier = positionSize * 100; // 100 shares per contract
+
+        document.getElementById('chartPositionNote').textContent =
+            `${positionSize} contract${positionSize === 1 ? '' : 's'} @ $${entryPrice.toFixed(this.priceDigits)}${pnlData.positionSize ? '' : ' (set Position Size to scale)'}`;
+
+        // Span roughly three standard deviations of the terminal price, widened to include strike and targets
+        const spot = marketData.underlyingPrice;
+        const spread = Math.min(Math.max(3 * result.impliedVolatility * Math.sqrt(result.timeToExpiry), 0.15), 0.9);
+        const anchors = [contract.strikePrice, ...pnlData.priceTargets];
+        // Prices at or below the PV of pending cash dividends have no escrowed component to model
+        const lower = Math.max(Math.min(spot * (1 - spread), ...anchors.map(a => a * 0.95)), result.dividendPV * 1.1, 0.01);
+        const upper = Math.max(spot * (1 + spread), ...anchors.map(a => a * 1.05));
+
+        const pointCount = 200;
+        const spots = [];
+        for (let i = 0; i <= pointCount; i++) {
+            spots.push(lower + (upper - lower) * i / pointCount);
+        }
+
+        const horizons = [
+            { fraction: 1, label: 'Today', color: '#60a5fa' },
+            { fraction: 2 / 3, color: '#818cf8' },
+            { fraction: 1 / 3, color: '#c084fc' },
+            { fraction: 0, label: 'Expiry', color: '#e0e0e0', width: 2 }
+        ];
+
+        // Coarser tree for the chart: hundreds of revaluations per curve
+        const chartTreeOptions = result.treeOptions
+            ? { method: result.treeOptions.method, steps: Math.min(result.treeOptions.steps, 101) }
+            : {};
+
+        // Horizons are fractions of the calendar time left; the calendar's clock sets the time
+        // remaining at each
+        const curves = horizons.map(horizon => {
+            const date = new Date(result.expiresAt.getTime() - (result.expiresAt - marketData.timestamp) * horizon.fraction);
+            const remaining = this.calculator.timeToExpiration(contract.expirationDate, date);
+            const cashDividends = this.calculator.dividendSchedule(marketData.dividends, date);
+            const optionValues = spots.map(s => this.calculator.optionPrice(
+                s,
+                contract.strikePrice,
+                remaining,
+                marketData.riskFreeRate,
+                result.impliedVolatility,
+                contract.optionType,
+                marketData.dividendYield,
+                result.exerciseStyle,
+                chartTreeOptions,
+                cashDividends
+            ));
+
+            return {
+                label: horizon.label || date.toISOString().split('T')[0],
+                color: horizon.color,
+                width: horizon.width,
+                optionValues,
+                values: optionValues.map(v => (v - entryPrice) * multiplier)
+            };
+        });
+
+        const markers = [
+            { x: spot, label: 'Spot', color: '#888' },
+            { x: contract.strikePrice, label: 'K', color: '#fbbf24' }
+        ];
+        pnlData.priceTargets.forEach((target, index) => {
+            markers.push({ x: target, label: `T${index + 1}`, color: '#4ade80' });
+        });
+
+        const formatMoney = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+
+        if (!this.pnlChart) {
+            this.pnlChart = new LineChart(document.getElementById('pnlChart'), {
+                includeZero: true,
+                xLabel: 'Underlying Price',
+                formatX: value => `$${value.toFixed(0)}`,
+                formatY: value => formatMoney(value).replace('.00', '')
+            });
+        }
+
+        this.pnlChart.setData({
+            xValues: spots,
+            series: curves,
+            markers,
+            tooltip: index => [`Underlying: $${spots[index].toFixed(this.priceDigits)}`].concat(curves.map(curve => {
+                const pnl = curve.values[index];
+                return `${curve.label}: $${curve.optionValues[index].toFixed(this.priceDigits)} | P&L ${pnl >= 0 ? '+' : '-'}${formatMoney(Math.abs(pnl))}`;
+            }))
+        });
+    }
+
+    // Risk-neutral probabilities, expected moves and the lognormal price at expiry, for a long
+    // position entered at the market price (the fair value without one)
+    displayProbabilities(result, signal) {
+        const entryPrice = signal.marketPrice || result.theoreticalPrice;
+        const analysis = this.calculator.probabilityAnalysis(result.originalContract, result.originalMarketData, result, entryPrice);
+        const card = document.getElementById('probabilityCard');
+        card.classList.toggle('hidden', !analysis);
+        if (!analysis) {
+            return;
+        }
+
+        const contract = result.originalContract;
+        const spot = result.originalMarketData.underlyingPrice;
+        const money = value => `$${value.toFixed(this.priceDigits)}`;
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+        const isCall = contract.optionType === 'call';
+
+        document.getElementById('probabilityNote').textContent =
+            `Risk-neutral, at ${percent(analysis.volatility)} volatility over ${analysis.timeToExpiry.toFixed(3)} yr. ` +
+            `Breakeven for a long ${contract.optionType} bought at ${money(entryPrice)}, financed to expiry; early exercise is ignored.`;
+        document.getElementById('probabilityITM').textContent =
+            `${percent(analysis.probabilityITM)} (S ${isCall ? '>' : '<'} ${money(contract.strikePrice)})`;
+        document.getElementById('probabilityOfTouch').textContent = percent(analysis.probabilityOfTouch);
+        document.getElementById('breakevenPrice').textContent = analysis.breakeven > 0
+            ? `${money(analysis.breakeven)} (${((analysis.breakeven / spot - 1) * 100).toFixed(1)}% from spot)`
+            : 'None - the premium exceeds the strike';
+        document.getElementById('probabilityBeyondBreakeven').textContent = percent(analysis.probabilityBeyondBreakeven);
+        document.getElementById('probabilityTouchBreakeven').textContent = percent(analysis.probabilityTouchBreakeven);
+        analysis.expectedMoves.forEach(move => {
+            document.getElementById(`expectedMove${move.sigmas}`).textContent =
+                `±${money(move.move)} (±${(move.move / spot * 100).toFixed(1)}%) - ${money(move.low)} to ${money(move.high)} (${percent(move.probability)})`;
+        });
+        document.getElementById('forwardMedian').textContent = `${money(analysis.forward)} / ${money(analysis.median)}`;
+
+        // Density line with the in-the-money side filled in a second colour
+        const { prices, density, cumulative } = analysis.distribution;
+        const inTheMoney = prices.map((price, index) => (isCall ? price >= contract.strikePrice : price <= contract.strikePrice) ? density[index] : NaN);
+        const oneSigma = analysis.expectedMoves[0];
+        const markers = [
+            { x: spot, label: 'Spot', color: '#888' },
+            { x: contract.strikePrice, label: 'K', color: '#fbbf24' },
+            { x: oneSigma.low, label: '-1σ', color: '#555' },
+            { x: oneSigma.high, label: '+1σ', color: '#555' }
+        ];
+        if (analysis.breakeven > 0) {
+            markers.push({ x: analysis.breakeven, label: 'BE', color: '#f87171' });
+        }
+
+        if (!this.distributionChart) {
+            this.distributionChart = new LineChart(document.getElementById('distributionChart'), {
+                height: 260,
+                includeZero: true,
+                xLabel: 'Price at Expiry',
+                formatX: value => `$${value.toFixed(this.priceDigits === 2 ? 0 : this.priceDigits)}`,
+                formatY: value => String(Number(value.toPrecision(2)))
+            });
+        }
+        this.distributionChart.setData({
+            xValues: prices,
+            series: [
+                { label: 'Density', color: '#60a5fa', values: density },
+                { label: 'In the money', color: '#4ade80', values: inTheMoney }
+            ],
+            markers,
+            tooltip: index => [
+                `Price at expiry: ${money(prices[index])}`,
+                `Below: ${percent(cumulative[index])} | Above: ${percent(1 - cumulative[index])}`
+            ]
+        });
+    }
+
+    // Mark each field named in a validation error and put its message under it
+    showFieldErrors(errors) {
+        errors.forEach(({ field, message }) => {
+            const input = document.getElementById(field);
+            if (!input) {
+                return;
+            }
+            input.classList.add('invalid');
+            input.setAttribute('aria-invalid', 'true');
+            const note = document.createElement('small');
+            note.className = 'field-error';
+            note.dataset.field = field;
+            note.textContent = message;
+            input.closest('.form-group').appendChild(note);
+        });
+    }
+
+    clearFieldError(field) {
+        const input = field ? document.getElementById(field) : null;
+        if (input && input.classList.contains('invalid')) {
+            input.classList.remove('invalid');
+            input.removeAttribute('aria-invalid');
+            document.querySelectorAll(`.field-error[data-field="${field}"]`).forEach(note => note.remove());
+        }
+    }
+
+    clearFieldErrors() {
+        document.querySelectorAll('#optionsForm .invalid').forEach(input => this.clearFieldError(input.id));
+    }
+
     showLoading() {
         document.getElementById('loadingIndicator').classList.remove('hidden');
     }
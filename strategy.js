@@ -0,0 +1,466 @@
+// Multi-leg option strategy builder
+// Every leg is priced through BlackScholesCalculator.analyzeOption; the strategy layer only
+// aggregates premiums, Greeks and the payoff profile across legs.
+
+// Preset templates. Strikes are expressed as offsets (in strike steps) from the at-the-money
+// strike, expiries as day offsets from the base expiry.
+const STRATEGY_TEMPLATES = {
+    longCall: {
+        name: 'Long Call',
+        legs: [{ side: 'long', optionType: 'call', strikeOffset: 0 }]
+    },
+    longPut: {
+        name: 'Long Put',
+        legs: [{ side: 'long', optionType: 'put', strikeOffset: 0 }]
+    },
+    bullCallSpread: {
+        name: 'Bull Call Spread',
+        legs: [
+            { side: 'long', optionType: 'call', strikeOffset: 0 },
+            { side: 'short', optionType: 'call', strikeOffset: 2 }
+        ]
+    },
+    bearPutSpread: {
+        name: 'Bear Put Spread',
+        legs: [
+            { side: 'long', optionType: 'put', strikeOffset: 0 },
+            { side: 'short', optionType: 'put', strikeOffset: -2 }
+        ]
+    },
+    longStraddle: {
+        name: 'Long Straddle',
+        legs: [
+            { side: 'long', optionType: 'call', strikeOffset: 0 },
+            { side: 'long', optionType: 'put', strikeOffset: 0 }
+        ]
+    },
+    longStrangle: {
+        name: 'Long Strangle',
+        legs: [
+            { side: 'long', optionType: 'call', strikeOffset: 2 },
+            { side: 'long', optionType: 'put', strikeOffset: -2 }
+        ]
+    },
+    ironCondor: {
+        name: 'Iron Condor',
+        legs: [
+            { side: 'long', optionType: 'put', strikeOffset: -4 },
+            { side: 'short', optionType: 'put', strikeOffset: -2 },
+            { side: 'short', optionType: 'call', strikeOffset: 2 },
+            { side: 'long', optionType: 'call', strikeOffset: 4 }
+        ]
+    },
+    callButterfly: {
+        name: 'Call Butterfly',
+        legs: [
+            { side: 'long', optionType: 'call', strikeOffset: -2 },
+            { side: 'short', optionType: 'call', strikeOffset: 0, quantity: 2 },
+            { side: 'long', optionType: 'call', strikeOffset: 2 }
+        ]
+    },
+    callCalendar: {
+        name: 'Call Calendar',
+        legs: [
+            { side: 'short', optionType: 'call', strikeOffset: 0 },
+            { side: 'long', optionType: 'call', strikeOffset: 0, expiryOffsetDays: 28 }
+        ]
+    }
+};
+
+class StrategyAnalyzer {
+    constructor(calculator) {
+        this.calculator = calculator;
+        this.CONTRACT_MULTIPLIER = 100;
+        this.PAYOFF_GRID_POINTS = 600;
+    }
+
+    // Strike increment used when laying out template strikes
+    strikeStep(spotPrice) {
+        if (spotPrice < 25) return 0.5;
+        if (spotPrice < 100) return 1;
+        if (spotPrice < 200) return 2.5;
+        if (spotPrice < 500) return 5;
+        return 10;
+    }
+
+    // Build concrete legs from a preset template
+    buildTemplateLegs(templateKey, spotPrice, baseExpiry) {
+        const template = STRATEGY_TEMPLATES[templateKey];
+        if (!template) {
+            throw new Error(`Unknown strategy template: ${templateKey}`);
+        }
+
+        const step = this.strikeStep(spotPrice);
+        const atmStrike = Math.round(spotPrice / step) * step;
+
+        return template.legs.map(leg => {
+            const expirationDate = new Date(baseExpiry.getTime() + (leg.expiryOffsetDays || 0) * 24 * 3600 * 1000);
+            return {
+                side: leg.side,
+                quantity: leg.quantity || 1,
+                optionType: leg.optionType,
+                strikePrice: Math.max(atmStrike + leg.strikeOffset * step, step),
+                expirationDate,
+                premium: null
+            };
+        });
+    }
+
+    // Price every leg and aggregate into a strategy-level view
+    analyzeStrategy(strategy, marketData, volatilityEstimate = null) {
+        const legs = strategy.legs;
+        if (legs.length === 0) {
+            throw new Error('Add at least one leg to the strategy');
+        }
+
+        legs.forEach((leg, index) => {
+            if (isNaN(leg.strikePrice) || leg.strikePrice <= 0 || !(leg.quantity > 0) || isNaN(leg.expirationDate.getTime())) {
+                throw new Error(`Leg ${index + 1} needs a positive strike, a positive quantity and a valid expiry`);
+            }
+            if (this.calculator.expiryTime(leg.expirationDate) <= marketData.timestamp) {
+                throw new Error(`Leg ${index + 1} has already expired`);
+            }
+        });
+
+        const legResults = legs.map(leg => {
+            const contract = {
+                underlyingSymbol: strategy.underlyingSymbol,
+                strikePrice: leg.strikePrice,
+                expirationDate: leg.expirationDate,
+                optionType: leg.optionType,
+                currentPrice: leg.premium
+            };
+            const result = this.calculator.analyzeOption(contract, marketData, volatilityEstimate);
+            const units = (leg.side === 'long' ? 1 : -1) * leg.quantity * this.CONTRACT_MULTIPLIER;
+            const entryPrice = leg.premium !== null ? leg.premium : result.theoreticalPrice;
+
+            return { leg, result, units, entryPrice };
+        });
+
+        // Positive = debit paid, negative = credit received
+        const netPremium = legResults.reduce((sum, lr) => sum + lr.units * lr.entryPrice, 0);
+        const theoreticalValue = legResults.reduce((sum, lr) => sum + lr.units * lr.result.theoreticalPrice, 0);
+
+        const greeks = {};
+        ['delta', 'gamma', 'theta', 'vega', 'rho'].forEach(greek => {
+            greeks[greek] = legResults.reduce((sum, lr) => sum + lr.units * lr.result[greek], 0);
+        });
+
+        const payoff = this.calculatePayoffProfile(legResults, marketData, netPremium);
+
+        return {
+            legResults,
+            netPremium,
+            theoreticalValue,
+            greeks,
+            ...payoff
+        };
+    }
+
+    // Value every leg at the earliest expiry. Legs expiring later keep their remaining
+    // time value (priced with their own volatility), which handles calendars and diagonals.
+    // Cash dividends still ahead of the valuation date are escrowed out of the spot.
+    positionValueAt(spotPrice, legResults, marketData, valuationDate) {
+        const cashDividends = this.calculator.dividendSchedule(marketData.dividends, valuationDate);
+        return legResults.reduce((sum, lr) => {
+            const remaining = this.calculator.timeToExpiration(lr.leg.expirationDate, valuationDate);
+            const dividendPV = this.calculator.dividendPresentValue(cashDividends, remaining, marketData.riskFreeRate);
+            const value = this.calculator.blackScholesPrice(
+                Math.max(spotPrice - dividendPV, 0),
+                lr.leg.strikePrice,
+                remaining,
+                marketData.riskFreeRate,
+                lr.result.impliedVolatility,
+                lr.leg.optionType,
+                marketData.dividendYield
+            );
+            return sum + lr.units * value;
+        }, 0);
+    }
+
+    calculatePayoffProfile(legResults, marketData, netPremium) {
+        const valuationDate = new Date(Math.min(...legResults.map(lr => this.calculator.expiryTime(lr.leg.expirationDate).getTime())));
+        const strikes = legResults.map(lr => lr.leg.strikePrice);
+        const upperBound = 3 * Math.max(marketData.underlyingPrice, ...strikes);
+
+        // Uniform grid plus the strikes themselves so piecewise-linear kinks are hit exactly
+        const spots = [];
+        for (let i = 0; i <= this.PAYOFF_GRID_POINTS; i++) {
+            spots.push(upperBound * i / this.PAYOFF_GRID_POINTS);
+        }
+        spots.push(...strikes);
+        spots.sort((a, b) => a - b);
+
+        const points = spots.map(spot => ({
+            spot,
+            pnl: this.positionValueAt(spot, legResults, marketData, valuationDate) - netPremium
+        }));
+
+        let maxProfit = Math.max(...points.map(p => p.pnl));
+        let maxLoss = Math.min(...points.map(p => p.pnl));
+
+        // As spot grows without bound only the net call position keeps moving the payoff
+        const netCallUnits = legResults
+            .filter(lr => lr.leg.optionType === 'call')
+            .reduce((sum, lr) => sum + lr.units, 0);
+        if (netCallUnits > 0) {
+            maxProfit = Infinity;
+        } else if (netCallUnits < 0) {
+            maxLoss = -Infinity;
+        }
+
+        return {
+            valuationDate,
+            payoffPoints: points,
+            maxProfit,
+            maxLoss,
+            breakevens: this.findBreakevens(points)
+        };
+    }
+
+    findBreakevens(points) {
+        const tolerance = 1e-6;
+        const breakevens = [];
+        let lastNonZero = null;
+        let firstZeroSince = null;
+
+        points.forEach(point => {
+            if (Math.abs(point.pnl) < tolerance) {
+                if (firstZeroSince === null) firstZeroSince = point;
+                return;
+            }
+            if (lastNonZero && Math.sign(lastNonZero.pnl) !== Math.sign(point.pnl)) {
+                if (firstZeroSince) {
+                    breakevens.push(firstZeroSince.spot);
+                } else {
+                    const ratio = lastNonZero.pnl / (lastNonZero.pnl - point.pnl);
+                    breakevens.push(lastNonZero.spot + ratio * (point.spot - lastNonZero.spot));
+                }
+            }
+            lastNonZero = point;
+            firstZeroSince = null;
+        });
+
+        return breakevens;
+    }
+}
+
+// Strategy builder panel
+class StrategyBuilderUI {
+    constructor(calculator, getMarketInputs) {
+        this.analyzer = new StrategyAnalyzer(calculator);
+        this.getMarketInputs = getMarketInputs;
+        this.legs = [];
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        const templateSelect = document.getElementById('strategyTemplate');
+        Object.keys(STRATEGY_TEMPLATES).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = STRATEGY_TEMPLATES[key].name;
+            templateSelect.appendChild(option);
+        });
+
+        templateSelect.addEventListener('change', () => this.applyTemplate(templateSelect.value));
+        document.getElementById('addLegBtn').addEventListener('click', () => this.addLeg());
+        document.getElementById('analyzeStrategyBtn').addEventListener('click', () => this.analyze());
+    }
+
+    applyTemplate(templateKey) {
+        if (!templateKey) {
+            return;
+        }
+
+        this.hideError();
+        try {
+            const inputs = this.getMarketInputs();
+            this.legs = this.analyzer.buildTemplateLegs(templateKey, inputs.marketData.underlyingPrice, inputs.defaultExpiry);
+            this.renderLegs();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    addLeg() {
+        const last = this.legs[this.legs.length - 1];
+        let strikePrice = last ? last.strikePrice : NaN;
+        let expirationDate = last ? last.expirationDate : null;
+
+        if (!last) {
+            try {
+                const inputs = this.getMarketInputs();
+                strikePrice = inputs.marketData.underlyingPrice;
+                expirationDate = inputs.defaultExpiry;
+            } catch (error) {
+                expirationDate = new Date(NaN);
+            }
+        }
+
+        this.legs.push({
+            side: 'long',
+            quantity: 1,
+            optionType: 'call',
+            strikePrice,
+            expirationDate,
+            premium: null
+        });
+        document.getElementById('strategyTemplate').value = '';
+        this.renderLegs();
+    }
+
+    removeLeg(index) {
+        this.legs.splice(index, 1);
+        document.getElementById('strategyTemplate').value = '';
+        this.renderLegs();
+    }
+
+    renderLegs() {
+        const tbody = document.getElementById('strategyLegs');
+        tbody.innerHTML = '';
+
+        this.legs.forEach((leg, index) => {
+            const row = document.createElement('tr');
+
+            row.appendChild(this.createCell(this.createSelect(
+                [['long', 'Long'], ['short', 'Short']], leg.side,
+                value => { leg.side = value; }
+            )));
+            row.appendChild(this.createCell(this.createInput(
+                'number', leg.quantity, '1',
+                value => { leg.quantity = parseInt(value); }
+            )));
+            row.appendChild(this.createCell(this.createSelect(
+                [['call', 'Call'], ['put', 'Put']], leg.optionType,
+                value => { leg.optionType = value; }
+            )));
+            row.appendChild(this.createCell(this.createInput(
+                'number', isNaN(leg.strikePrice) ? '' : leg.strikePrice, '0.01',
+                value => { leg.strikePrice = parseFloat(value); }
+            )));
+            row.appendChild(this.createCell(this.createInput(
+                'date', isNaN(leg.expirationDate.getTime()) ? '' : leg.expirationDate.toISOString().split('T')[0], null,
+                value => { leg.expirationDate = new Date(value); }
+            )));
+            row.appendChild(this.createCell(this.createInput(
+                'number', leg.premium !== null ? leg.premium : '', '0.01',
+                value => { leg.premium = value ? parseFloat(value) : null; },
+                'theo'
+            )));
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'remove-leg-btn';
+            removeBtn.textContent = '×';
+            removeBtn.title = 'Remove leg';
+            removeBtn.addEventListener('click', () => this.removeLeg(index));
+            row.appendChild(this.createCell(removeBtn));
+
+            tbody.appendChild(row);
+        });
+    }
+
+    createCell(child) {
+        const cell = document.createElement('td');
+        cell.appendChild(child);
+        return cell;
+    }
+
+    createSelect(options, selected, onChange) {
+        const select = document.createElement('select');
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = selected;
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
+
+    createInput(type, value, step, onChange, placeholder = '') {
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = value;
+        if (step) input.step = step;
+        if (placeholder) input.placeholder = placeholder;
+        input.addEventListener('change', () => onChange(input.value));
+        return input;
+    }
+
+    analyze() {
+        this.hideError();
+
+        try {
+            const inputs = this.getMarketInputs();
+            const analysis = this.analyzer.analyzeStrategy(
+                { underlyingSymbol: inputs.symbol, legs: this.legs },
+                inputs.marketData,
+                inputs.volatilityEstimate
+            );
+            this.displayResults(analysis);
+        } catch (error) {
+            document.getElementById('strategyResults').classList.add('hidden');
+            this.showError(error.message);
+        }
+    }
+
+    displayResults(analysis) {
+        const netLabel = analysis.netPremium >= 0 ? 'Debit' : 'Credit';
+        // Every leg is priced on the same market data, so shares its model
+        const digits = this.analyzer.calculator.priceDigits(analysis.legResults[0].result.model);
+        document.getElementById('strategyNetPremium').textContent = `${this.formatMoney(Math.abs(analysis.netPremium))} ${netLabel}`;
+        document.getElementById('strategyTheoValue').textContent = this.formatMoney(analysis.theoreticalValue);
+
+        document.getElementById('strategyDelta').textContent = analysis.greeks.delta.toFixed(2);
+        document.getElementById('strategyGamma').textContent = analysis.greeks.gamma.toFixed(4);
+        document.getElementById('strategyTheta').textContent = `${this.formatMoney(analysis.greeks.theta)}/day`;
+        document.getElementById('strategyVega').textContent = `${this.formatMoney(analysis.greeks.vega)}/1% vol`;
+        document.getElementById('strategyRho').textContent = `${this.formatMoney(analysis.greeks.rho)}/1% rate`;
+
+        document.getElementById('strategyMaxProfit').textContent = analysis.maxProfit === Infinity ? 'Unlimited' : this.formatMoney(analysis.maxProfit);
+        document.getElementById('strategyMaxLoss').textContent = analysis.maxLoss === -Infinity ? 'Unlimited' : this.formatMoney(analysis.maxLoss);
+        document.getElementById('strategyBreakevens').textContent = analysis.breakevens.length > 0
+            ? analysis.breakevens.map(b => `$${b.toFixed(digits)}`).join(', ')
+            : 'None';
+        document.getElementById('strategyValuationDate').textContent = analysis.valuationDate.toISOString().split('T')[0];
+
+        const tbody = document.getElementById('strategyLegResults');
+        tbody.innerHTML = '';
+        analysis.legResults.forEach(lr => {
+            const row = document.createElement('tr');
+            [
+                `${lr.leg.side === 'long' ? '+' : '-'}${lr.leg.quantity} ${lr.leg.optionType.toUpperCase()}`,
+                `$${lr.leg.strikePrice.toFixed(digits)}`,
+                lr.leg.expirationDate.toISOString().split('T')[0],
+                `$${lr.result.theoreticalPrice.toFixed(digits)}`,
+                `$${lr.entryPrice.toFixed(digits)}`,
+                `${(lr.result.impliedVolatility * 100).toFixed(1)}%${lr.result.volatilitySource === 'default' ? ' (assumed)' : ''}`,
+                lr.result.delta.toFixed(3)
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+
+        document.getElementById('strategyResults').classList.remove('hidden');
+    }
+
+    formatMoney(value) {
+        const sign = value < 0 ? '-' : '';
+        return `${sign}$${Math.abs(value).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+    }
+
+    showError(message) {
+        document.getElementById('strategyErrorMessage').textContent = message;
+        document.getElementById('strategyError').classList.remove('hidden');
+    }
+
+    hideError() {
+        document.getElementById('strategyError').classList.add('hidden');
+    }
+}
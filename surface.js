@@ -0,0 +1,323 @@
+// Implied volatility surface
+// Per-expiry smiles are fitted in total variance w(k) = sigma^2 * T against log-moneyness
+// k = ln(K / F): raw SVI when an expiry has five or more quotes, a convex quadratic for three
+// or four, flat otherwise. Between expiries total variance is interpolated linearly in time at
+// fixed k; outside the fitted range the nearest slice's volatility is held constant.
+// Cash dividends ([{ time, amount }]) come out of the spot at their present value when computing forwards.
+class VolatilitySurface {
+    constructor(spotPrice, riskFreeRate, dividendYield = 0.0, cashDividends = []) {
+        this.spotPrice = spotPrice;
+        this.riskFreeRate = riskFreeRate;
+        this.dividendYield = dividendYield;
+        this.cashDividends = cashDividends;
+        this.slices = [];
+        this.MIN_TOTAL_VARIANCE = 1e-8;
+    }
+
+    forward(timeToExpiry) {
+        const dividendPV = this.cashDividends
+            .filter(dividend => dividend.time > 0 && dividend.time <= timeToExpiry)
+            .reduce((sum, dividend) => sum + dividend.amount * Math.exp(-this.riskFreeRate * dividend.time), 0);
+        return (this.spotPrice - dividendPV) * Math.exp((this.riskFreeRate - this.dividendYield) * timeToExpiry);
+    }
+
+    logMoneyness(strikePrice, timeToExpiry) {
+        return Math.log(strikePrice / this.forward(timeToExpiry));
+    }
+
+    // quotes: [{ expiryKey, timeToExpiry, strikePrice, impliedVolatility }]
+    fit(quotes) {
+        const byExpiry = {};
+        quotes.forEach(quote => {
+            if (!(quote.impliedVolatility > 0) || !(quote.timeToExpiry > 0)) return;
+            (byExpiry[quote.expiryKey] = byExpiry[quote.expiryKey] || []).push(quote);
+        });
+
+        this.slices = Object.keys(byExpiry).map(expiryKey => {
+            const sliceQuotes = byExpiry[expiryKey];
+            const timeToExpiry = sliceQuotes[0].timeToExpiry;
+            const points = sliceQuotes.map(quote => ({
+                strikePrice: quote.strikePrice,
+                k: this.logMoneyness(quote.strikePrice, timeToExpiry),
+                w: quote.impliedVolatility * quote.impliedVolatility * timeToExpiry,
+                impliedVolatility: quote.impliedVolatility
+            })).sort((a, b) => a.k - b.k);
+
+            return this.fitSlice(expiryKey, timeToExpiry, points);
+        }).sort((a, b) => a.timeToExpiry - b.timeToExpiry);
+
+        if (this.slices.length === 0) {
+            throw new Error('No solved implied volatilities to fit a surface to');
+        }
+        return this;
+    }
+
+    fitSlice(expiryKey, timeToExpiry, points) {
+        let model, params;
+        if (points.length >= 5) {
+            model = 'svi';
+            params = this.fitSVI(points);
+        } else if (points.length >= 3) {
+            model = 'quadratic';
+            params = this.fitQuadratic(points);
+        } else {
+            model = 'flat';
+            params = { w: points.reduce((sum, p) => sum + p.w, 0) / points.length };
+        }
+
+        const slice = { expiryKey, timeToExpiry, model, params, points };
+        const squaredErrors = points.map(p => Math.pow(Math.sqrt(this.sliceVariance(slice, p.k) / timeToExpiry) - p.impliedVolatility, 2));
+        slice.rmse = Math.sqrt(squaredErrors.reduce((sum, e) => sum + e, 0) / points.length);
+        return slice;
+    }
+
+    // Total variance of one fitted slice at log-moneyness k
+    sliceVariance(slice, k) {
+        const p = slice.params;
+        let w;
+        if (slice.model === 'svi') {
+            w = p.a + p.b * (p.rho * (k - p.m) + Math.sqrt((k - p.m) * (k - p.m) + p.sigma * p.sigma));
+        } else if (slice.model === 'quadratic') {
+            w = p.c0 + p.c1 * k + p.c2 * k * k;
+        } else {
+            w = p.w;
+        }
+        return Math.max(w, this.MIN_TOTAL_VARIANCE);
+    }
+
+    // Solve a small dense linear system (Gaussian elimination with partial pivoting)
+    solveLinear(matrix, vector) {
+        const n = vector.length;
+        const a = matrix.map((row, i) => row.concat([vector[i]]));
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            if (Math.abs(a[pivot][col]) < 1e-14) return null;
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = a[row][col] / a[col][col];
+                for (let j = col; j <= n; j++) a[row][j] -= factor * a[col][j];
+            }
+        }
+
+        const x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = a[row][n];
+            for (let j = row + 1; j < n; j++) sum -= a[row][j] * x[j];
+            x[row] = sum / a[row][row];
+        }
+        return x;
+    }
+
+    // Ordinary least squares via the normal equations
+    leastSquares(design, targets) {
+        const n = design[0].length;
+        const normal = Array.from({ length: n }, () => new Array(n).fill(0));
+        const rhs = new Array(n).fill(0);
+        design.forEach((row, i) => {
+            for (let r = 0; r < n; r++) {
+                rhs[r] += row[r] * targets[i];
+                for (let c = 0; c < n; c++) normal[r][c] += row[r] * row[c];
+            }
+        });
+        return this.solveLinear(normal, rhs);
+    }
+
+    fitQuadratic(points) {
+        let coefficients = this.leastSquares(points.map(p => [1, p.k, p.k * p.k]), points.map(p => p.w));
+        if (!coefficients || coefficients[2] < 0) {
+            // Concave fits create butterfly arbitrage in the wings; fall back to a line
+            const line = this.leastSquares(points.map(p => [1, p.k]), points.map(p => p.w));
+            coefficients = line ? [line[0], line[1], 0] : [points.reduce((sum, p) => sum + p.w, 0) / points.length, 0, 0];
+        }
+        return { c0: coefficients[0], c1: coefficients[1], c2: coefficients[2] };
+    }
+
+    // Quasi-explicit SVI fit: for fixed (m, sigma) the remaining parameters are linear,
+    // so Nelder-Mead only searches the two-dimensional (m, log sigma) space.
+    fitSVI(points) {
+        const inner = (m, sigma) => {
+            const design = points.map(p => {
+                const y = (p.k - m) / sigma;
+                return [1, y, Math.sqrt(y * y + 1)];
+            });
+            const solution = this.leastSquares(design, points.map(p => p.w));
+            if (!solution) return null;
+
+            // Project onto the SVI constraints: b >= 0, |rho| < 1, wing slopes b(1 + |rho|) <= 2
+            // (Lee's moment bound) and minimum variance >= 0. The level a is re-solved after
+            // the slopes are projected.
+            let [a, d, c] = solution;
+            c = Math.max(c, 1e-10);
+            d = Math.min(Math.max(d, -0.999 * c), 0.999 * c);
+            if (c + Math.abs(d) > 2 * sigma) {
+                const scale = 2 * sigma / (c + Math.abs(d));
+                c *= scale;
+                d *= scale;
+                a = design.reduce((sum, row, i) => sum + points[i].w - d * row[1] - c * row[2], 0) / points.length;
+            }
+            a = Math.max(a, -Math.sqrt(c * c - d * d) + this.MIN_TOTAL_VARIANCE);
+
+            const params = { a, b: c / sigma, rho: d / c, m, sigma };
+            const sse = points.reduce((sum, p) => {
+                const w = a + params.b * (params.rho * (p.k - m) + Math.sqrt((p.k - m) * (p.k - m) + sigma * sigma));
+                return sum + (w - p.w) * (w - p.w);
+            }, 0);
+            return { params, sse };
+        };
+
+        const objective = x => {
+            const sigma = Math.exp(x[1]);
+            if (sigma < 1e-3 || sigma > 5) return Infinity;
+            const result = inner(x[0], sigma);
+            return result ? result.sse : Infinity;
+        };
+
+        const minVariancePoint = points.reduce((best, p) => p.w < best.w ? p : best, points[0]);
+        let best = null;
+        [minVariancePoint.k, 0].forEach(m0 => {
+            [0.05, 0.2, 0.5].forEach(sigma0 => {
+                const x = this.nelderMead(objective, [m0, Math.log(sigma0)], [0.1, 0.5]);
+                const value = objective(x);
+                if (!best || value < best.value) best = { x, value };
+            });
+        });
+
+        return inner(best.x[0], Math.exp(best.x[1])).params;
+    }
+
+    nelderMead(f, start, steps, maxIterations = 300, tolerance = 1e-14) {
+        const n = start.length;
+        let simplex = [start.slice()];
+        for (let i = 0; i < n; i++) {
+            const vertex = start.slice();
+            vertex[i] += steps[i];
+            simplex.push(vertex);
+        }
+        let values = simplex.map(f);
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            const order = values.map((v, i) => i).sort((i, j) => values[i] - values[j]);
+            simplex = order.map(i => simplex[i]);
+            values = order.map(i => values[i]);
+            if (Math.abs(values[n] - values[0]) < tolerance) break;
+
+            const centroid = new Array(n).fill(0);
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) centroid[j] += simplex[i][j] / n;
+            }
+            const along = (t) => centroid.map((c, j) => c + t * (simplex[n][j] - c));
+
+            const reflected = along(-1);
+            const reflectedValue = f(reflected);
+            if (reflectedValue < values[0]) {
+                const expanded = along(-2);
+                const expandedValue = f(expanded);
+                if (expandedValue < reflectedValue) {
+                    simplex[n] = expanded;
+                    values[n] = expandedValue;
+                } else {
+                    simplex[n] = reflected;
+                    values[n] = reflectedValue;
+                }
+            } else if (reflectedValue < values[n - 1]) {
+                simplex[n] = reflected;
+                values[n] = reflectedValue;
+            } else {
+                const contracted = along(0.5);
+                const contractedValue = f(contracted);
+                if (contractedValue < values[n]) {
+                    simplex[n] = contracted;
+                    values[n] = contractedValue;
+                } else {
+                    for (let i = 1; i <= n; i++) {
+                        simplex[i] = simplex[i].map((v, j) => simplex[0][j] + 0.5 * (v - simplex[0][j]));
+                        values[i] = f(simplex[i]);
+                    }
+                }
+            }
+        }
+
+        return simplex[values.indexOf(Math.min(...values))];
+    }
+
+    // Total variance at log-moneyness k and time T
+    totalVariance(k, timeToExpiry) {
+        const slices = this.slices;
+        const first = slices[0];
+        const last = slices[slices.length - 1];
+
+        if (timeToExpiry <= first.timeToExpiry) {
+            return this.sliceVariance(first, k) * timeToExpiry / first.timeToExpiry;
+        }
+        if (timeToExpiry >= last.timeToExpiry) {
+            return this.sliceVariance(last, k) * timeToExpiry / last.timeToExpiry;
+        }
+
+        const upperIndex = slices.findIndex(slice => slice.timeToExpiry >= timeToExpiry);
+        const lower = slices[upperIndex - 1];
+        const upper = slices[upperIndex];
+        const weight = (timeToExpiry - lower.timeToExpiry) / (upper.timeToExpiry - lower.timeToExpiry);
+        return (1 - weight) * this.sliceVariance(lower, k) + weight * this.sliceVariance(upper, k);
+    }
+
+    // Implied volatility for an arbitrary strike and time to expiry
+    volatility(strikePrice, timeToExpiry) {
+        if (timeToExpiry <= 0) {
+            return Math.sqrt(this.sliceVariance(this.slices[0], this.logMoneyness(strikePrice, 0)) / this.slices[0].timeToExpiry);
+        }
+        const k = this.logMoneyness(strikePrice, timeToExpiry);
+        return Math.sqrt(this.totalVariance(k, timeToExpiry) / timeToExpiry);
+    }
+
+    // Log-moneyness grid spanning the quoted strikes plus a margin
+    checkGrid(points = 81) {
+        const ks = this.slices.reduce((all, slice) => all.concat(slice.points.map(p => p.k)), []);
+        const low = Math.min(...ks) - 0.1;
+        const high = Math.max(...ks) + 0.1;
+        return Array.from({ length: points }, (_, i) => low + (high - low) * i / (points - 1));
+    }
+
+    // Durrleman's condition g(k) >= 0 (no butterfly arbitrage) per slice, and total variance
+    // non-decreasing in time at fixed k (no calendar arbitrage) between consecutive slices.
+    checkArbitrage() {
+        const grid = this.checkGrid();
+        const h = 1e-4;
+
+        const butterfly = this.slices.map(slice => {
+            const violations = grid.filter(k => {
+                const w = this.sliceVariance(slice, k);
+                const wUp = this.sliceVariance(slice, k + h);
+                const wDown = this.sliceVariance(slice, k - h);
+                const w1 = (wUp - wDown) / (2 * h);
+                const w2 = (wUp - 2 * w + wDown) / (h * h);
+                const g = Math.pow(1 - k * w1 / (2 * w), 2) - (w1 * w1 / 4) * (1 / w + 0.25) + w2 / 2;
+                return g < -1e-8;
+            });
+            return {
+                expiryKey: slice.expiryKey,
+                passed: violations.length === 0,
+                range: violations.length > 0 ? [Math.min(...violations), Math.max(...violations)] : null
+            };
+        });
+
+        const calendar = [];
+        for (let i = 1; i < this.slices.length; i++) {
+            const earlier = this.slices[i - 1];
+            const later = this.slices[i];
+            const violations = grid.filter(k => this.sliceVariance(later, k) < this.sliceVariance(earlier, k) - 1e-10);
+            calendar.push({
+                from: earlier.expiryKey,
+                to: later.expiryKey,
+                passed: violations.length === 0,
+                range: violations.length > 0 ? [Math.min(...violations), Math.max(...violations)] : null
+            });
+        }
+
+        return { butterfly, calendar };
+    }
+}
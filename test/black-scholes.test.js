@@ -0,0 +1,241 @@
+// Reference tests for the pricing engine: run with `node --test`
+// Published values are from Hull, "Options, Futures, and Other Derivatives" and Haug, "The
+// Complete Guide to Option Pricing Formulas" (2nd ed.); normal probabilities are exact to double
+// precision.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BlackScholesCalculator } = require('../black-scholes.js');
+
+const calculator = new BlackScholesCalculator();
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        `${message || 'value'}: expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+function assertRelative(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance * Math.abs(expected),
+        `${message || 'value'}: expected ${expected} to ${tolerance} relative, got ${actual}`);
+}
+
+test('normCDF matches the standard normal to double precision, tails included', () => {
+    const reference = [
+        [0, 0.5],
+        [-0.3, 0.3820885778110474],
+        [-1, 0.15865525393145707],
+        [-1.96, 0.024997895148220435],
+        [-3, 0.0013498980316300957],
+        [-5, 2.866515718791946e-7],
+        [-7, 1.279812543885835e-12],
+        [-10, 7.619853024160593e-24],
+        [-20, 2.7536241186063314e-89],
+        [-30, 4.906713927148764e-198],
+        [1.96, 0.9750021048517795],
+        [5, 0.9999997133484281]
+    ];
+    reference.forEach(([x, expected]) => assertRelative(calculator.normCDF(x), expected, 1e-14, `N(${x})`));
+    assert.equal(calculator.normCDF(-40), 0);
+    assert.equal(calculator.normCDF(40), 1);
+});
+
+test('normCDF is symmetric and monotonic', () => {
+    for (let x = -8; x <= 8; x += 0.25) {
+        assertClose(calculator.normCDF(x) + calculator.normCDF(-x), 1, 1e-15, `N(${x}) + N(${-x})`);
+        assert.ok(calculator.normCDF(x + 0.25) >= calculator.normCDF(x), `N rises at ${x}`);
+    }
+});
+
+test('Black-Scholes-Merton prices match published values', () => {
+    // Hull, Example 15.6: S 42, K 40, T 0.5, r 10%, vol 20%
+    assertClose(calculator.blackScholesPrice(42, 40, 0.5, 0.10, 0.20, 'call'), 4.7594, 5e-5, 'Hull call');
+    assertClose(calculator.blackScholesPrice(42, 40, 0.5, 0.10, 0.20, 'put'), 0.8086, 5e-5, 'Hull put');
+    // Haug 1.1.1: S 60, K 65, T 0.25, r 8%, vol 30%
+    assertClose(calculator.blackScholesPrice(60, 65, 0.25, 0.08, 0.30, 'call'), 2.1334, 5e-5, 'Haug call');
+    // Haug 1.1.2 (Merton): S 100, K 95, T 0.5, r 10%, q 5%, vol 20%
+    assertClose(calculator.blackScholesPrice(100, 95, 0.5, 0.10, 0.20, 'put', 0.05), 2.4648, 5e-5, 'Haug Merton put');
+    // Haug 1.1.6 (generalised, b = 5%): S 75, K 70, T 0.5, r 10%, vol 35%
+    assertClose(calculator.blackScholesPrice(75, 70, 0.5, 0.10, 0.35, 'put', 0.05), 4.0870, 5e-5, 'Haug generalised put');
+});
+
+test('Black-76 and Garman-Kohlhagen price as cost-of-carry forms', () => {
+    const futures = calculator.modelMarketData({ model: 'black-76', underlyingPrice: 19, riskFreeRate: 0.10, dividendYield: 0.03 });
+    assert.equal(futures.dividendYield, 0.10);
+    // Haug 1.1.3: F 19, K 19, T 0.75, r 10%, vol 28%
+    assertClose(calculator.blackScholesPrice(19, 19, 0.75, 0.10, 0.28, 'call', futures.dividendYield), 1.7011, 5e-5, 'Black-76 call');
+    assertClose(calculator.blackScholesPrice(19, 19, 0.75, 0.10, 0.28, 'put', futures.dividendYield), 1.7011, 5e-5, 'Black-76 put');
+
+    const currency = calculator.modelMarketData({ model: 'garman-kohlhagen', underlyingPrice: 1.56, riskFreeRate: 0.06, foreignRate: 0.08 });
+    assert.equal(currency.dividendYield, 0.08);
+    // Haug 1.1.5: S 1.56, K 1.60, T 0.5, r 6%, rf 8%, vol 12%
+    assertClose(calculator.blackScholesPrice(1.56, 1.60, 0.5, 0.06, 0.12, 'call', currency.dividendYield), 0.0291, 5e-5, 'Garman-Kohlhagen call');
+});
+
+test('Greeks match published values', () => {
+    // Haug 2.1.1: futures option, S 105, K 100, T 0.5, r 10%, b 0, vol 36%
+    assertClose(calculator.calculateDelta(105, 100, 0.5, 0.10, 0.36, 'call', 0.10), 0.5946, 5e-5, 'call delta');
+    assertClose(calculator.calculateDelta(105, 100, 0.5, 0.10, 0.36, 'put', 0.10), -0.3566, 5e-5, 'put delta');
+    // Haug 2.2.1: S 55, K 60, T 0.75, r 10%, b 10%, vol 30%
+    assertClose(calculator.calculateGamma(55, 60, 0.75, 0.10, 0.30), 0.0278, 5e-5, 'gamma');
+    // Haug 2.4.1: S 430, K 405, T 0.0833, r 7%, b 2%, vol 20% - theta per year
+    assertClose(calculator.calculateTheta(430, 405, 0.0833, 0.07, 0.20, 'put', 0.05, 1), -31.1924, 5e-4, 'put theta');
+    // Haug 2.5.1: S 72, K 75, T 1, r 9%, b 9%, vol 19% - rho per 100% rate move
+    assertClose(calculator.calculateRho(72, 75, 1, 0.09, 0.19, 'call') * 100, 38.7325, 5e-4, 'call rho');
+});
+
+test('Greeks agree with finite differences of the price', () => {
+    const cases = [
+        [100, 100, 0.5, 0.05, 0.25, 0.02],
+        [100, 130, 0.1, 0.03, 0.40, 0.00],
+        [100, 70, 2.0, 0.08, 0.15, 0.04],
+        [50, 55, 1.0, -0.01, 0.60, 0.01]
+    ];
+    cases.forEach(([S, K, T, r, vol, q]) => {
+        ['call', 'put'].forEach(type => {
+            const label = `${type} S ${S} K ${K} T ${T}`;
+            const price = (s = S, t = T, rate = r, v = vol) => calculator.blackScholesPrice(s, K, t, rate, v, type, q);
+
+            const dS = S * 1e-4;
+            assertClose(calculator.calculateDelta(S, K, T, r, vol, type, q), (price(S + dS) - price(S - dS)) / (2 * dS), 1e-7, `${label} delta`);
+
+            const gS = S * 1e-3;
+            assertClose(calculator.calculateGamma(S, K, T, r, vol, q), (price(S + gS) - 2 * price() + price(S - gS)) / (gS * gS), 1e-6, `${label} gamma`);
+
+            const dv = 1e-5;
+            assertClose(calculator.calculateVega(S, K, T, r, vol, q), (price(S, T, r, vol + dv) - price(S, T, r, vol - dv)) / (2 * dv) / 100, 1e-8, `${label} vega`);
+
+            const dr = 1e-6;
+            assertClose(calculator.calculateRho(S, K, T, r, vol, type, q), (price(S, T, r + dr) - price(S, T, r - dr)) / (2 * dr) / 100, 1e-8, `${label} rho`);
+
+            // Theta is the price change as time passes, i.e. minus the T derivative, per day
+            const dT = 1e-6;
+            assertClose(calculator.calculateTheta(S, K, T, r, vol, type, q), -(price(S, T + dT) - price(S, T - dT)) / (2 * dT) / 365.25, 1e-7, `${label} theta`);
+        });
+    });
+});
+
+test('Higher-order Greeks agree with finite differences of the first-order Greeks', () => {
+    const [S, K, T, r, vol, q] = [100, 105, 0.75, 0.04, 0.30, 0.01];
+    const greeks = calculator.higherOrderGreeks(S, K, T, r, vol, 'call', q);
+    const delta = (v = vol) => calculator.calculateDelta(S, K, T, r, v, 'call', q);
+    const vega = v => calculator.calculateVega(S, K, T, r, v, q);
+    const dv = 1e-5;
+    // Per 1 vol point
+    assertClose(greeks.vanna, (delta(vol + dv) - delta(vol - dv)) / (2 * dv) / 100, 1e-8, 'vanna');
+    assertClose(greeks.volga, (vega(vol + dv) - vega(vol - dv)) / (2 * dv) / 100, 1e-8, 'volga');
+});
+
+test('European prices satisfy put-call parity', () => {
+    [[100, 100, 0.5, 0.05, 0.25, 0.02], [100, 300, 0.25, 0.05, 0.2, 0], [100, 20, 3, 0.1, 0.8, 0.03], [1.1, 1.12, 1, 0.02, 0.1, 0.035]]
+        .forEach(([S, K, T, r, vol, q]) => {
+            const call = calculator.blackScholesPrice(S, K, T, r, vol, 'call', q);
+            const put = calculator.blackScholesPrice(S, K, T, r, vol, 'put', q);
+            assertClose(call - put, S * Math.exp(-q * T) - K * Math.exp(-r * T), 1e-12 * S, `parity S ${S} K ${K}`);
+        });
+});
+
+test('Implied volatility round-trips across strikes, expiries and far wings', () => {
+    const S = 100, r = 0.05, q = 0.02;
+    [30, 50, 70, 100, 140, 200, 300].forEach(K => {
+        [0.02, 0.25, 1, 3].forEach(T => {
+            [0.05, 0.2, 0.6, 1.5].forEach(vol => {
+                ['call', 'put'].forEach(type => {
+                    const price = calculator.blackScholesPrice(S, K, T, r, vol, type, q);
+                    const { lower } = calculator.priceBounds(S, K, T, r, type, q);
+                    // Below this the price carries no time value that double precision can see
+                    if (price - lower < 1e-10) {
+                        return;
+                    }
+                    const solution = calculator.solveImpliedVolatility(price, S, K, T, r, type, q);
+                    assert.equal(solution.status, 'solved', `${type} K ${K} T ${T} vol ${vol}: ${solution.reason}`);
+                    assertClose(solution.volatility, vol, 1e-6, `${type} K ${K} T ${T} vol ${vol} (price ${price})`);
+                });
+            });
+        });
+    });
+});
+
+test('Implied volatility matches Hull and rejects prices outside the no-arbitrage bounds', () => {
+    // Hull, Section 15.11: a call with S 21, K 20, r 10%, T 0.25 priced at 1.875 implies 23.5%
+    const solution = calculator.solveImpliedVolatility(1.875, 21, 20, 0.25, 0.10, 'call');
+    assert.equal(solution.status, 'solved');
+    assertClose(solution.volatility, 0.235, 5e-4, 'Hull implied volatility');
+
+    assert.equal(calculator.solveImpliedVolatility(0.5, 21, 20, 0.25, 0.10, 'call').status, 'below-lower-bound');
+    assert.equal(calculator.solveImpliedVolatility(21, 21, 20, 0.25, 0.10, 'call').status, 'above-upper-bound');
+    assert.equal(calculator.solveImpliedVolatility(-1, 21, 20, 0.25, 0.10, 'call').status, 'invalid-price');
+});
+
+test('American prices on the tree bracket the European value and converge', () => {
+    // Hull, Example 21.1: American put with S 50, K 50, T 5/12, r 10%, vol 40% converges to 4.28
+    const european = calculator.blackScholesPrice(50, 50, 5 / 12, 0.10, 0.40, 'put');
+    const american = calculator.optionPrice(50, 50, 5 / 12, 0.10, 0.40, 'put', 0, 'american', { method: 'leisen-reimer', steps: 801 });
+    assert.ok(american > european, 'early exercise premium is positive');
+    assertClose(american, 4.2842, 2e-3, 'American put');
+    // Without dividends an American call is worth the European call
+    const call = calculator.optionPrice(50, 50, 5 / 12, 0.10, 0.40, 'call', 0, 'american', { method: 'leisen-reimer', steps: 801 });
+    assertClose(call, calculator.blackScholesPrice(50, 50, 5 / 12, 0.10, 0.40, 'call'), 1e-3, 'American call');
+});
+
+test('analyzeOption recovers the volatility behind a market price', () => {
+    const timestamp = new Date('2030-01-02T15:00:00Z');
+    const contract = { underlyingSymbol: 'TEST', strikePrice: 105, expirationDate: new Date('2030-07-02T15:00:00Z'), optionType: 'call', exerciseStyle: 'european' };
+    const marketData = { underlyingPrice: 100, riskFreeRate: 0.04, dividendYield: 0.01, timestamp };
+    const T = calculator.timeToExpiration(contract.expirationDate, timestamp);
+    contract.currentPrice = calculator.blackScholesPrice(100, 105, T, 0.04, 0.27, 'call', 0.01);
+
+    const result = calculator.analyzeOption(contract, marketData);
+    assert.equal(result.volatilitySource, 'implied');
+    assertClose(result.impliedVolatility, 0.27, 1e-7, 'implied volatility');
+    assertClose(result.theoreticalPrice, contract.currentPrice, 1e-8, 'fair value');
+});
+
+test('analyzeOption rejects a volatility estimate at or below zero', () => {
+    const timestamp = new Date('2030-01-02T15:00:00Z');
+    const contract = { underlyingSymbol: 'TEST', strikePrice: 105, expirationDate: new Date('2030-07-02T15:00:00Z'), optionType: 'call' };
+    const marketData = { underlyingPrice: 100, riskFreeRate: 0.04, dividendYield: 0.01, timestamp };
+    assert.throws(() => calculator.analyzeOption(contract, marketData, -0.05), /Volatility estimate must be greater than 0/);
+    assert.throws(() => calculator.analyzeOption(contract, marketData, 0), /Volatility estimate must be greater than 0/);
+    assert.throws(() => calculator.analyzeOption(contract, marketData, NaN), /Volatility estimate must be greater than 0/);
+    assert.equal(calculator.analyzeOption(contract, marketData, null).volatilitySource, 'default');
+});
+
+test('a HOLD reports no failed rule, and the edge is only checked on a trade', () => {
+    const timestamp = new Date('2030-01-02T15:00:00Z');
+    const contract = { underlyingSymbol: 'TEST', strikePrice: 100, expirationDate: new Date('2030-07-02T15:00:00Z'), optionType: 'call', bid: 8.5, ask: 10.5 };
+    const marketData = { underlyingPrice: 100, riskFreeRate: 0.04, dividendYield: 0, timestamp };
+    const result = calculator.analyzeOption(contract, marketData, 0.25);
+
+    const hold = calculator.generateTradingSignal(contract, marketData, result, 0.10);
+    assert.equal(hold.action, 'HOLD');
+    assert.deepEqual(hold.checks.filter(check => check.passed === false), []);
+    assert.equal(hold.checks.find(check => check.rule === 'edge').passed, null);
+
+    const buy = calculator.generateTradingSignal({ ...contract, bid: 4.5, ask: 5 }, marketData, result, 0.10);
+    assert.equal(buy.action, 'BUY');
+    assert.equal(buy.checks.find(check => check.rule === 'edge').passed, true);
+});
+
+test('a HOLD has a finite confidence with a zero edge threshold', () => {
+    const timestamp = new Date('2026-10-19T00:00:00Z');
+    const contract = { underlyingSymbol: 'TEST', strikePrice: 100, expirationDate: new Date('2027-06-18'), optionType: 'call', bid: 8.5, ask: 10.5 };
+    const marketData = { underlyingPrice: 100, riskFreeRate: 0.04, dividendYield: 0, timestamp };
+    const result = calculator.analyzeOption(contract, marketData, 0.25);
+    const signal = calculator.generateTradingSignal(contract, marketData, result, 0);
+    assert.equal(signal.action, 'HOLD');
+    assert.equal(signal.confidence, 1);
+});
+
+test('signal reasoning and solver reasons quote currency option prices to four decimals', () => {
+    const timestamp = new Date('2026-10-19T00:00:00Z');
+    const contract = { underlyingSymbol: 'EURUSD', strikePrice: 1.10, expirationDate: new Date('2027-06-18'), optionType: 'call', currentPrice: 0.0255 };
+    const marketData = { model: 'garman-kohlhagen', underlyingPrice: 1.0812, riskFreeRate: 0.04, foreignRate: 0.02, timestamp };
+    const result = calculator.analyzeOption(contract, marketData);
+    const signal = calculator.generateTradingSignal(contract, marketData, result);
+    assert.match(signal.reasoning, /Fair value: \$0\.0255 vs Market: \$0\.0255/);
+    assert.match(signal.reasoning, /Vega: 0\.00\d\d/);
+    assert.equal(calculator.priceDigits('black-scholes'), 2);
+
+    const below = calculator.analyzeOption({ ...contract, strikePrice: 0.90, currentPrice: 0.1500 }, marketData);
+    assert.match(below.ivSolution.reason, /Price \$0\.1500 is below the no-arbitrage lower bound of \$0\.\d{4}$/);
+});
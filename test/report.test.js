@@ -0,0 +1,75 @@
+// Tests for the analysis report exports: run with `node --test`
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BlackScholesCalculator } = require('../black-scholes.js');
+const { VALIDATION_FIELDS } = require('../validation.js');
+const { AnalysisReport, APP_VERSION } = require('../report.js');
+
+const calculator = new BlackScholesCalculator();
+const reports = new AnalysisReport(calculator, VALIDATION_FIELDS);
+const timestamp = new Date('2030-01-02T15:00:00Z');
+const generatedAt = new Date('2030-01-02T15:00:05Z');
+
+// An analysis as the page runs it, with the form values it came from
+function analysis() {
+    const values = { symbol: 'TEST', strike: '105', expiry: '2030-07-02', optionType: 'call', currentPrice: '5.20', bid: '5.10', ask: '5.30', underlyingPrice: '100', riskFreeRate: '4', dividendYield: '1', edgeThreshold: '10', positionSize: '2', priceTarget1: '115' };
+    const contract = { underlyingSymbol: 'TEST', strikePrice: 105, expirationDate: new Date('2030-07-02T15:00:00Z'), optionType: 'call', exerciseStyle: 'european', currentPrice: 5.2, bid: 5.1, ask: 5.3, openInterest: null };
+    const marketData = calculator.modelMarketData({ underlyingPrice: 100, riskFreeRate: 0.04, dividendYield: 0.01, timestamp });
+    const result = calculator.analyzeOption(contract, marketData);
+    const signal = calculator.generateTradingSignal(contract, marketData, result, 0.10);
+    const pnlData = { positionSize: 2, priceTargets: [115] };
+    const pnl = { positionSize: 2, entryPrice: signal.marketPrice, investment: 2 * signal.marketPrice * 100, targets: [{ targetPrice: 115, optionValue: 12, value: 2400, pnl: 1360, pnlPercent: 130.77 }] };
+    return reports.build(values, { contract, marketData, volatilityEstimate: null, edgeThreshold: 0.10, pnlData }, result, signal, pnl, generatedAt);
+}
+
+test('a report records the inputs, volatility, Greeks, signal and P&L with its time and version', () => {
+    const report = analysis();
+    assert.equal(report.format, 'options-analyzer-report');
+    assert.equal(report.appVersion, APP_VERSION);
+    assert.equal(report.generatedAt, '2030-01-02T15:00:05.000Z');
+    assert.equal(report.valuationTime, '2030-01-02T15:00:00.000Z');
+    assert.equal(report.form.strike, '105');
+    assert.equal(report.inputs.contract.expirationDate, '2030-07-02T15:00:00.000Z');
+    assert.equal(report.volatility.source, 'implied');
+    assert.equal(report.volatility.solver.status, 'solved');
+    assert.equal(typeof report.greeks.vega, 'number');
+    assert.equal(report.pricing.europeanPrice, null);
+    assert.ok(report.signal.reasoning.length > 0);
+    assert.equal(report.pnl.targets[0].targetPrice, 115);
+});
+
+test('a JSON report loads back as the form values and valuation time it was priced at', () => {
+    const report = analysis();
+    const loaded = reports.fromJSON(reports.toJSON(report));
+    assert.deepEqual(loaded.values, report.form);
+    assert.equal(loaded.valuationTime.getTime(), timestamp.getTime());
+    assert.equal(loaded.appVersion, APP_VERSION);
+
+    assert.throws(() => reports.fromJSON('not json'), /not valid JSON/);
+    assert.throws(() => reports.fromJSON('{"format":"options-analyzer-portfolio"}'), /Not an analysis report/);
+    assert.throws(() => reports.fromJSON(JSON.stringify({ ...report, version: 99 })), /newer than this page supports/);
+});
+
+test('the CSV export has one row per value with quoted text', () => {
+    const report = analysis();
+    const lines = reports.toCSV(report).trim().split('\n');
+    assert.match(lines[0], new RegExp(`^# Options analysis report, app version ${APP_VERSION.replace(/\./g, '\\.')}`));
+    assert.equal(lines[2], 'section,field,value');
+    assert.ok(lines.includes('form,strike,105'));
+    assert.ok(lines.includes('volatility,source,implied'));
+    assert.ok(lines.includes('pnl,targets.0.targetPrice,115'));
+    assert.ok(lines.some(line => line.startsWith('signal,reasoning,"')));
+});
+
+test('the HTML report is self-contained and escapes what it prints', () => {
+    const report = analysis();
+    report.form.symbol = '<b>TEST</b>';
+    const html = reports.toHTML(report);
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.doesNotMatch(html, /<script|<link|src=/);
+    assert.match(html, /&lt;b&gt;TEST&lt;\/b&gt;/);
+    assert.match(html, /Solved from market price/);
+    assert.match(html, /P&amp;L Targets/);
+    assert.match(html, new RegExp(`app version ${APP_VERSION.replace(/\./g, '\\.')}`));
+});
@@ -0,0 +1,113 @@
+// Tests for the analysis input validation layer: run with `node --test`
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BlackScholesCalculator } = require('../black-scholes.js');
+const { MarketCalendar } = require('../market-calendar.js');
+const { InputValidator, ValidationError } = require('../validation.js');
+
+const now = new Date('2030-01-02T15:00:00Z');
+const calculator = new BlackScholesCalculator();
+calculator.expiryCalendar = new MarketCalendar();
+const validator = new InputValidator(calculator);
+
+// A complete, valid form as entered
+function form(overrides = {}) {
+    return {
+        symbol: 'AAPL',
+        strike: '150',
+        expiry: '2030-03-15',
+        settlement: 'pm',
+        optionType: 'call',
+        exerciseStyle: 'european',
+        treeMethod: 'leisen-reimer',
+        treeSteps: '201',
+        currentPrice: '6.50',
+        bid: '',
+        ask: '',
+        model: 'black-scholes',
+        underlyingPrice: '152',
+        riskFreeRate: '5',
+        foreignRate: '0',
+        dividendYield: '0.5',
+        dividends: '',
+        volatility: '',
+        edgeThreshold: '10',
+        thetaConvention: 'calendar',
+        timeBasis: 'calendar',
+        weekendWeight: '0.30',
+        holidays: '',
+        ...overrides
+    };
+}
+
+const fields = errors => errors.map(error => error.field);
+
+test('a complete form passes', () => {
+    assert.deepEqual(validator.validate(form(), now), []);
+    assert.doesNotThrow(() => validator.assertValid(form(), now));
+});
+
+test('required fields are reported by name', () => {
+    const errors = validator.validate(form({ symbol: '', strike: ' ', optionType: '', underlyingPrice: '', riskFreeRate: '' }), now);
+    assert.deepEqual(fields(errors), ['symbol', 'strike', 'optionType', 'underlyingPrice', 'riskFreeRate']);
+    assert.equal(errors[1].message, 'Enter the strike price');
+});
+
+test('values that would break the pricing maths are rejected at their field', () => {
+    assert.deepEqual(fields(validator.validate(form({ volatility: '-25' }), now)), ['volatility']);
+    assert.deepEqual(fields(validator.validate(form({ strike: '0' }), now)), ['strike']);
+    assert.deepEqual(fields(validator.validate(form({ underlyingPrice: 'abc' }), now)), ['underlyingPrice']);
+    assert.deepEqual(fields(validator.validate(form({ dividendYield: 'NaN' }), now)), ['dividendYield']);
+    assert.deepEqual(fields(validator.validate(form({ dividends: '2030-02-01, -0.25' }), now)), ['dividends']);
+    assert.deepEqual(fields(validator.validate(form({ currentPrice: '0' }), now)), ['currentPrice']);
+    assert.deepEqual(fields(validator.validate(form({ riskFreeRate: '-100' }), now)), ['riskFreeRate']);
+    assert.match(validator.validate(form({ volatility: '-25' }), now)[0].message, /Volatility estimate must be greater than 0/);
+});
+
+test('expiries are checked against the exchange cut-off', () => {
+    const sameDay = form({ expiry: '2030-01-02' });
+    assert.deepEqual(validator.validate(sameDay, new Date('2030-01-02T20:00:00Z')), []);
+    const errors = validator.validate(sameDay, new Date('2030-01-02T21:30:00Z'));
+    assert.deepEqual(fields(errors), ['expiry']);
+    assert.match(errors[0].message, /stopped trading at 2030-01-02 16:00 ET/);
+    assert.deepEqual(fields(validator.validate(form({ expiry: '02/03/2030' }), now)), ['expiry']);
+});
+
+test('fields only apply to the inputs that use them', () => {
+    assert.deepEqual(validator.validate(form({ treeSteps: '5' }), now), []);
+    assert.deepEqual(fields(validator.validate(form({ exerciseStyle: 'american', treeSteps: '5' }), now)), ['treeSteps']);
+    assert.deepEqual(fields(validator.validate(form({ exerciseStyle: 'american', treeSteps: '20.5' }), now)), ['treeSteps']);
+
+    assert.deepEqual(validator.validate(form({ foreignRate: '' }), now), []);
+    assert.deepEqual(fields(validator.validate(form({ model: 'garman-kohlhagen', foreignRate: '' }), now)), ['foreignRate']);
+    assert.deepEqual(validator.validate(form({ model: 'black-76', dividends: 'not a schedule' }), now), []);
+});
+
+test('cross-field checks name the field to fix', () => {
+    assert.deepEqual(fields(validator.validate(form({ bid: '5.60', ask: '5.40' }), now)), ['ask']);
+    assert.deepEqual(fields(validator.validate(form({ minDelta: '0.6', maxDelta: '0.4' }), now)), ['minDelta']);
+    // A field that is already wrong is not reported twice
+    assert.deepEqual(fields(validator.validate(form({ bid: 'x', ask: '5.40' }), now)), ['bid']);
+});
+
+test('assertValid throws a ValidationError carrying every field error', () => {
+    assert.throws(() => validator.assertValid(form({ strike: '-1', volatility: '0' }), now), error => {
+        assert.ok(error instanceof ValidationError);
+        assert.deepEqual(fields(error.errors), ['strike', 'volatility']);
+        assert.match(error.message, /^2 inputs need attention/);
+        return true;
+    });
+});
+
+test('FormData-style inputs are read through get()', () => {
+    const values = form({ strike: '0' });
+    const formData = { get: name => (name in values ? values[name] : null) };
+    assert.deepEqual(fields(validator.validate(formData, now)), ['strike']);
+});
+
+test('a field list limits the checks to those fields', () => {
+    const values = form({ strike: '', expiry: '2020-01-01', volatility: '-5', bid: '5.60', ask: '5.40' });
+    assert.deepEqual(fields(validator.validate(values, now, ['underlyingPrice', 'volatility'])), ['volatility']);
+    assert.deepEqual(fields(validator.validate(values, now, ['strike', 'bid'])), ['strike']);
+});
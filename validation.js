@@ -0,0 +1,172 @@
+// Analysis input validation
+// Checks the main form's raw values field by field before anything reaches the pricing engine,
+// so a negative volatility, zero strike or unreadable dividend is reported against the field it
+// came from instead of surfacing as NaN in the results. No DOM: the page highlights the fields
+// named in the errors.
+
+// Field rules, named after the form fields; shareable links (deep-link.js) encode and check the
+// same list. Numbers are as entered (rates, yields and volatility in percent). `when` limits a
+// rule to the inputs it applies to.
+const VALIDATION_FIELDS = [
+    { name: 'symbol', label: 'Underlying symbol', kind: 'symbol', required: true },
+    { name: 'strike', label: 'Strike price', kind: 'number', min: 0, exclusive: true, required: true },
+    { name: 'expiry', label: 'Expiration date', kind: 'date', required: true },
+    { name: 'settlement', label: 'Expiry settlement', kind: 'choice', choices: ['pm', 'am'] },
+    { name: 'optionType', label: 'Option type', kind: 'choice', choices: ['call', 'put'], required: true },
+    { name: 'exerciseStyle', label: 'Exercise style', kind: 'choice', choices: ['european', 'american'] },
+    { name: 'treeMethod', label: 'Tree method', kind: 'choice', choices: ['leisen-reimer', 'crr'], when: values => values.exerciseStyle === 'american' },
+    { name: 'treeSteps', label: 'Tree steps', kind: 'integer', min: 10, max: 2000, required: true, when: values => values.exerciseStyle === 'american' },
+    { name: 'currentPrice', label: 'Current option price', kind: 'number', min: 0, exclusive: true },
+    { name: 'bid', label: 'Bid', kind: 'number', min: 0 },
+    { name: 'ask', label: 'Ask', kind: 'number', min: 0 },
+    { name: 'openInterest', label: 'Open interest', kind: 'integer', min: 0 },
+    { name: 'model', label: 'Pricing model', kind: 'choice', choices: ['black-scholes', 'black-76', 'garman-kohlhagen'] },
+    { name: 'underlyingPrice', label: 'Underlying price', kind: 'number', min: 0, exclusive: true, required: true },
+    { name: 'riskFreeRate', label: 'Risk-free rate', kind: 'number', min: -100, max: 100, exclusive: true, required: true },
+    { name: 'foreignRate', label: 'Foreign interest rate', kind: 'number', min: -100, max: 100, exclusive: true, required: true, when: values => values.model === 'garman-kohlhagen' },
+    { name: 'dividendYield', label: 'Dividend yield', kind: 'number', min: -100, max: 100, exclusive: true, when: values => !values.model || values.model === 'black-scholes' },
+    { name: 'dividends', label: 'Cash dividends', kind: 'dividends', when: values => !values.model || values.model === 'black-scholes' },
+    { name: 'volatility', label: 'Volatility estimate', kind: 'number', min: 0, max: 500, exclusive: true },
+    { name: 'edgeThreshold', label: 'Edge threshold', kind: 'number', min: 0 },
+    { name: 'thetaConvention', label: 'Theta convention', kind: 'choice', choices: ['calendar', 'trading'] },
+    { name: 'timeBasis', label: 'Time to expiry clock', kind: 'choice', choices: ['calendar', 'trading', 'blended'] },
+    { name: 'weekendWeight', label: 'Weekend weight', kind: 'number', min: 0, max: 1 },
+    { name: 'holidays', label: 'Additional holidays', kind: 'holidays' },
+    { name: 'minDaysToExpiry', label: 'Minimum days to expiry', kind: 'number', min: 0 },
+    { name: 'maxSpread', label: 'Maximum spread', kind: 'number', min: 0 },
+    { name: 'minOpenInterest', label: 'Minimum open interest', kind: 'number', min: 0 },
+    { name: 'minDelta', label: 'Minimum delta', kind: 'number', min: 0, max: 1 },
+    { name: 'maxDelta', label: 'Maximum delta', kind: 'number', min: 0, max: 1 },
+    { name: 'commission', label: 'Commission', kind: 'number', min: 0 },
+    { name: 'slippage', label: 'Slippage', kind: 'number', min: 0 },
+    { name: 'positionSize', label: 'Position size', kind: 'integer', min: 1 },
+    { name: 'priceTarget1', label: 'Price target 1', kind: 'number', min: 0, exclusive: true },
+    { name: 'priceTarget2', label: 'Price target 2', kind: 'number', min: 0, exclusive: true },
+    { name: 'priceTarget3', label: 'Price target 3', kind: 'number', min: 0, exclusive: true }
+];
+
+// Thrown with every field error at once; errors is [{ field, message }]
+class ValidationError extends Error {
+    constructor(errors) {
+        super(errors.length === 1
+            ? errors[0].message
+            : `${errors.length} inputs need attention: ${errors.map(error => error.message).join('; ')}`);
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+class InputValidator {
+    constructor(calculator) {
+        this.calculator = calculator;
+    }
+
+    // Field errors for a { name: value } map or FormData of raw form values, as [{ field, message }]
+    // in form order; empty when the inputs can be analysed. Expiries are checked against the
+    // calculator's cut-off, so set its calendar first. names limits the checks to those fields,
+    // e.g. the market inputs the page's other tools read.
+    validate(values, now = new Date(), names = null) {
+        const get = name => (typeof values.get === 'function' ? values.get(name) : values[name]);
+        const raw = {};
+        VALIDATION_FIELDS.forEach(field => {
+            const value = get(field.name);
+            raw[field.name] = value === null || value === undefined ? '' : String(value).trim();
+        });
+
+        const errors = [];
+        VALIDATION_FIELDS.forEach(field => {
+            if ((names && !names.includes(field.name)) || (field.when && !field.when(raw))) {
+                return;
+            }
+            const value = raw[field.name];
+            if (value === '') {
+                if (field.required) {
+                    errors.push({ field: field.name, message: `Enter the ${field.label.toLowerCase()}` });
+                }
+                return;
+            }
+            const message = this.checkValue(field, value, now);
+            if (message) {
+                errors.push({ field: field.name, message });
+            }
+        });
+
+        // Checks across fields, once each field is valid on its own
+        const failed = new Set(errors.map(error => error.field));
+        const number = name => (raw[name] === '' || failed.has(name) || (names && !names.includes(name)) ? null : Number(raw[name]));
+        if (number('bid') !== null && number('ask') !== null && number('ask') < number('bid')) {
+            errors.push({ field: 'ask', message: `Ask ${raw.ask} is below the bid ${raw.bid}` });
+        }
+        if (number('minDelta') !== null && number('maxDelta') !== null && number('minDelta') > number('maxDelta')) {
+            errors.push({ field: 'minDelta', message: 'The minimum delta must not exceed the maximum delta' });
+        }
+        return errors;
+    }
+
+    // Throws a ValidationError listing every field error
+    assertValid(values, now = new Date(), names = null) {
+        const errors = this.validate(values, now, names);
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+    }
+
+    checkValue(field, raw, now) {
+        const quoted = `"${raw}"`;
+        switch (field.kind) {
+            case 'symbol':
+                return /^[A-Za-z0-9.\-^/]{1,12}$/.test(raw)
+                    ? null
+                    : `${field.label} ${quoted} is not a ticker symbol`;
+            case 'choice':
+                return field.choices.includes(raw.toLowerCase())
+                    ? null
+                    : `${field.label} must be one of ${field.choices.join(', ')}`;
+            case 'date': {
+                const date = new Date(raw);
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(raw) || isNaN(date.getTime())) {
+                    return `${field.label} ${quoted} is not a YYYY-MM-DD date`;
+                }
+                // Same-day expiries stay valid until their cut-off
+                const expiresAt = this.calculator.expiryTime(date);
+                if (expiresAt <= now) {
+                    const calendar = this.calculator.expiryCalendar;
+                    return calendar
+                        ? `This option stopped trading at ${calendar.formatLocal(expiresAt)} ET (${calendar.settlement.toUpperCase()} settlement) - choose a later expiration`
+                        : `This option expired at ${expiresAt.toISOString()} - choose a later expiration`;
+                }
+                return null;
+            }
+            case 'holidays': {
+                const bad = raw.split(/[\s,;]+/).filter(day => day !== '' && (!/^\d{4}-\d{2}-\d{2}$/.test(day) || isNaN(new Date(day).getTime())));
+                return bad.length === 0
+                    ? null
+                    : `${field.label}: ${bad.map(day => `"${day}"`).join(', ')} ${bad.length === 1 ? 'is' : 'are'} not YYYY-MM-DD`;
+            }
+            case 'dividends':
+                try {
+                    this.calculator.parseDividendSchedule(raw);
+                    return null;
+                } catch (error) {
+                    return error.message;
+                }
+            default: {
+                const value = Number(raw);
+                if (!isFinite(value) || (field.kind === 'integer' && !Number.isInteger(value))) {
+                    return `${field.label} ${quoted} is not ${field.kind === 'integer' ? 'a whole number' : 'a number'}`;
+                }
+                if (field.min !== undefined && (field.exclusive ? value <= field.min : value < field.min)) {
+                    return `${field.label} must be ${field.exclusive ? 'greater than' : 'at least'} ${field.min}`;
+                }
+                if (field.max !== undefined && value > field.max) {
+                    return `${field.label} must be at most ${field.max}`;
+                }
+                return null;
+            }
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InputValidator, ValidationError, VALIDATION_FIELDS };
+}